@@ -47,6 +47,12 @@ async function query(text, params) {
   }
 }
 
+// Detection, anonymization and policy decisions are shared with the Express app
+const { evaluatePolicy, loadPolicyContext } = require('../modules/policyEngine');
+const { analyzeText } = require('../modules/analyzer');
+const { anonymizeText } = require('../modules/anonymizer');
+const { loadAnalysisContext } = require('../modules/analysisContext');
+
 // CORS configuration
 const cors = require('cors');
 
@@ -194,9 +200,11 @@ class TelemetryService {
         try {
             // Handle structured events
             if (['PromptEvaluated', 'ANALYSIS', 'BLOCK', 'WARN'].includes(enrichedEvent.type)) {
+                // Policy version from the decision (inline check response), else the one in effect at the time
                 await query(
-                    `INSERT INTO security_logs (log_id, tenant_id, user_id, action_type, risk_level, decision, findings_count, findings, platform, latency_ms, timestamp)
-                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+                    `INSERT INTO security_logs (log_id, tenant_id, user_id, action_type, risk_level, decision, findings_count, findings, platform, latency_ms, timestamp, policy_version)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
+                             COALESCE($12::integer, (SELECT MAX(version) FROM policy_versions WHERE tenant_id = $2 AND created_at <= $11)))`,
                     [
                         uuidv4(),
                         enrichedEvent.tenantId || 'demo-tenant',
@@ -208,7 +216,8 @@ class TelemetryService {
                         JSON.stringify(enrichedEvent.findings || []),
                         enrichedEvent.tool || 'UNKNOWN',
                         enrichedEvent.latencyMs || null,
-                        enrichedEvent.timestamp || new Date()
+                        enrichedEvent.timestamp || new Date(),
+                        Number.isInteger(enrichedEvent.policyVersion) ? enrichedEvent.policyVersion : null
                     ]
                 );
             } else if (enrichedEvent.type === 'PromptActionTaken') {
@@ -262,41 +271,6 @@ class TelemetryService {
 
 const telemetryService = new TelemetryService();
 
-// Simple text analysis (simplified version)
-function analyzeText(text, context) {
-  // This is a simplified version - in the real app, this would use AI services
-  const findings = [];
-  const riskLevel = 'LOW'; // Simplified
-  
-  // Basic PII detection
-  if (text.match(/\b\d{3}-\d{2}-\d{4}\b/)) { // SSN pattern
-    findings.push({ category: 'PII_BASIC', type: 'SSN', detected: true });
-  }
-  if (text.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/)) { // Email
-    findings.push({ category: 'PII_BASIC', type: 'EMAIL', detected: true });
-  }
-  
-  return {
-    findings,
-    riskLevel,
-    text
-  };
-}
-
-// Simple text anonymization (simplified version)
-function anonymizeText(text, findings) {
-  let sanitizedText = text;
-  
-  // Replace detected PII with placeholders
-  sanitizedText = sanitizedText.replace(/\b\d{3}-\d{2}-\d{4}\b/g, '[SSN]');
-  sanitizedText = sanitizedText.replace(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g, '[EMAIL]');
-  
-  return {
-    sanitizedText,
-    originalText: text
-  };
-}
-
 // AuthService functions (simplified)
 async function checkAuthMode(email) {
   // In a real implementation, this would check the user's authentication mode
@@ -472,31 +446,33 @@ module.exports = async function handler(req, res) {
             // Get persona (simplified)
             const persona = { name: 'Client Explainer', id: effectivePersonaId };
 
-            // Analyze text
-            const analysis = analyzeText(rawText, { tenantId, userId, platform: sourceApp });
-
-            // Get policies for tenant (simplified)
-            const policies = { 'PII_BASIC': 'WARN' }; // Default policy
+            // Tenant policy (categories, mode, rule set) and the user's role and group
+            const policyContext = await loadPolicyContext(tenantId, {
+              userId,
+              userRole: req.auth.role,
+              tool: 'EXTENSION',
+              platform: sourceApp
+            });
 
-            // Determine overall decision based on categories
-            let decision = 'ALLOW';
-            const detectedCategories = [...new Set(analysis.findings.map(f => f.category || 'PII_BASIC'))];
+            // Analyze text with built-in and tenant-defined detectors, minus allowlisted values
+            const analysisContext = await loadAnalysisContext(tenantId, {
+              userId,
+              userGroup: policyContext.userGroup,
+              platform: sourceApp,
+              policyMode: policyContext.policyMode
+            });
+            const analysis = analyzeText(rawText, analysisContext);
 
-            for (const category of detectedCategories) {
-              const policyDecision = policies[category] || 'WARN';
-              if (policyDecision === 'BLOCK') {
-                decision = 'BLOCK';
-                break;
-              } else if (policyDecision === 'WARN' && decision === 'ALLOW') {
-                decision = 'WARN';
-              }
-            }
+            // Evaluate the tenant's policy (categories, mode, role, destination)
+            const policy = evaluatePolicy(analysis, policyContext);
+            const { decision } = policy;
+            const detectedCategories = policy.categories;
 
             // Anonymize if not blocked
             let sanitizedText = rawText;
             let explanation = '';
 
-            if (decision !== 'BLOCK') {
+            if (decision !== 'BLOCK' && policy.action !== 'WARN_AND_ALLOW') {
               const anonymized = anonymizeText(rawText, analysis.findings);
               sanitizedText = anonymized.sanitizedText;
             }
@@ -513,13 +489,16 @@ module.exports = async function handler(req, res) {
             // Insert event
             const eventId = `evt_${uuidv4()}`;
             await query(
-              `INSERT INTO events (id, tenant_id, user_id, timestamp, event_type, decision, risk_level, categories, tool)
-               VALUES ($1, $2, $3, CURRENT_TIMESTAMP, 'INLINE_CHECK', $4, $5, $6, 'EXTENSION')`,
-              [eventId, tenantId, userId, decision, analysis.riskLevel, detectedCategories]
+              `INSERT INTO events (id, tenant_id, user_id, timestamp, event_type, decision, risk_level, categories, tool, policy_version)
+               VALUES ($1, $2, $3, CURRENT_TIMESTAMP, 'INLINE_CHECK', $4, $5, $6, 'EXTENSION', $7)`,
+              [eventId, tenantId, userId, decision, analysis.riskLevel, detectedCategories, policy.policyVersion]
             );
 
             return {
               decision,
+              action: policy.action,
+              policyTrace: policy.trace,
+              policyVersion: policy.policyVersion,
               riskLevel: analysis.riskLevel,
               categories: detectedCategories,
               findings: analysis.findings,
@@ -102,9 +102,11 @@ async function initializeSchema() {
         anomaly_score INTEGER DEFAULT 0,
         platform VARCHAR(100),
         latency_ms INTEGER,
+        policy_version INTEGER,
         timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
+    await client.query('ALTER TABLE security_logs ADD COLUMN IF NOT EXISTS policy_version INTEGER');
 
     // Create documents table
     await client.query(`
@@ -139,6 +141,24 @@ async function initializeSchema() {
       )
     `);
 
+    // Create policy_versions table (as in migration 014): security log inserts look up
+    // the version in effect even when the migrations have not run. No foreign key,
+    // as the tenants key differs between this schema and the migrations.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS policy_versions (
+        id VARCHAR(255) PRIMARY KEY,
+        tenant_id VARCHAR(255),
+        version INTEGER NOT NULL,
+        snapshot JSONB NOT NULL,
+        author VARCHAR(255),
+        comment TEXT,
+        change_type VARCHAR(30) NOT NULL,
+        restored_from INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(tenant_id, version)
+      )
+    `);
+
     // Create api_keys table
     await client.query(`
       CREATE TABLE IF NOT EXISTS api_keys (
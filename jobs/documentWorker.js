@@ -0,0 +1,210 @@
+// Document Worker - Runs queued document processing jobs step by step
+// extraction -> detection -> anonymization -> summary, recording progress and
+// step timings on the job. Transient LLM errors in the summary step are retried.
+const os = require('os');
+const Job = require('../models/Job');
+const Document = require('../models/Document');
+const documentStorage = require('../modules/documentStorage');
+const WizardService = require('../services/WizardService');
+
+let hasDatabase = false;
+try {
+    hasDatabase = !!process.env.DATABASE_URL;
+} catch (error) {
+    hasDatabase = false;
+}
+
+const JOB_TYPE = 'DOCUMENT_PROCESSING';
+const STEPS = ['extraction', 'detection', 'anonymization', 'summary'];
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+// A running job whose lock was not refreshed for this long is claimed again
+const STALE_AFTER_MS = parseInt(process.env.JOB_STALE_AFTER_MS, 10) || 10 * 60 * 1000;
+const LLM_RETRY_ATTEMPTS = parseInt(process.env.JOB_LLM_RETRY_ATTEMPTS, 10) || 3;
+const LLM_RETRY_BASE_DELAY_MS = 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const STEP_HANDLERS = {
+    extraction: ctx => WizardService.extractStep(ctx),
+    detection: ctx => WizardService.detectStep(ctx),
+    anonymization: ctx => WizardService.anonymizeStep(ctx),
+    summary: ctx => WizardService.summaryStep(ctx)
+};
+
+// Steps whose failures may be transient (LLM rate limits, timeouts, outages)
+const RETRYABLE_STEPS = ['summary'];
+
+// Rate limits, server errors and network failures are worth retrying
+function isTransientError(error) {
+    const status = error.status || error.statusCode || (error.response && error.response.status);
+    if (status === 408 || status === 409 || status === 429 || status >= 500) return true;
+    if (['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'].includes(error.code)) return true;
+    return /timeout|timed out|rate limit|overloaded|temporarily unavailable|fetch failed|socket hang up/i.test(error.message || '');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Queue a processing job for an uploaded document
+async function enqueueDocument(document, metadata = {}) {
+    return Job.create({
+        tenant_id: document.tenant_id,
+        user_id: document.user_id,
+        document_id: document.document_id,
+        type: JOB_TYPE,
+        payload: { title: metadata.title || document.filename, docType: metadata.docType },
+        steps: STEPS
+    });
+}
+
+// Run one step, retrying transient errors where allowed; records timings on the step
+async function runStep(job, step, ctx) {
+    const index = job.steps.findIndex(s => s.name === step.name);
+    const maxAttempts = RETRYABLE_STEPS.includes(step.name) ? LLM_RETRY_ATTEMPTS : 1;
+    const startedAt = Date.now();
+
+    Object.assign(step, { status: 'RUNNING', startedAt: new Date(startedAt).toISOString(), attempts: 0, error: null });
+    await Job.updateProgress(job.id, { steps: job.steps, current_step: step.name, progress: job.progress });
+
+    for (let attempt = 1; ; attempt++) {
+        step.attempts = attempt;
+        try {
+            await STEP_HANDLERS[step.name](ctx);
+            break;
+        } catch (error) {
+            if (attempt >= maxAttempts || !isTransientError(error)) {
+                Object.assign(step, {
+                    status: 'FAILED',
+                    error: error.message,
+                    finishedAt: new Date().toISOString(),
+                    durationMs: Date.now() - startedAt
+                });
+                throw error;
+            }
+
+            // Exponential backoff: 1s, 2s, 4s...
+            step.error = `Attempt ${attempt} failed: ${error.message}`;
+            await Job.updateProgress(job.id, { steps: job.steps, current_step: step.name, progress: job.progress });
+            await sleep(LLM_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+        }
+    }
+
+    Object.assign(step, { status: 'DONE', error: null, finishedAt: new Date().toISOString(), durationMs: Date.now() - startedAt });
+    job.progress = Math.round(((index + 1) / job.steps.length) * 100);
+    await Job.updateProgress(job.id, { steps: job.steps, current_step: step.name, progress: job.progress });
+}
+
+// Run all steps of a claimed job against a decrypted copy of the original
+async function runJob(job) {
+    const document = await Document.findById(job.document_id, job.tenant_id);
+    if (!document) {
+        throw new Error('Document not found');
+    }
+    if (!document.storage_key) {
+        throw new Error('Original file no longer available');
+    }
+
+    // A re-claimed job starts over; earlier step results were not persisted
+    job.steps = job.steps.map(s => ({ name: s.name, status: 'PENDING', attempts: 0 }));
+    job.progress = 0;
+
+    const ctx = {
+        tenantId: job.tenant_id,
+        userId: job.user_id,
+        title: job.payload && job.payload.title,
+        docType: job.payload && job.payload.docType,
+        fileType: document.file_type
+    };
+
+    await documentStorage.withTempFile(document.storage_key, `.${document.file_type}`, async (filePath) => {
+        ctx.filePath = filePath;
+        for (const step of job.steps) {
+            await runStep(job, step, ctx);
+        }
+    });
+
+    await Document.updateProcessed(job.document_id, ctx.analysis.findings);
+
+    // Wizard sessions live in Postgres; without it the summary is returned on the job only
+    const session = hasDatabase ? await WizardService.createSession(ctx) : null;
+
+    return {
+        documentId: job.document_id,
+        sessionId: session ? session.sessionId : null,
+        expiresAt: session ? session.expiresAt : null,
+        docSummary: ctx.docSummary,
+        docType: ctx.docType || 'unknown',
+        riskLevel: ctx.analysis.riskLevel,
+        anomalyScore: ctx.analysis.anomalyScore,
+        findingsCount: ctx.analysis.findings.length,
+        categories: ctx.categories,
+        decision: ctx.policy.decision,
+        policyTrace: ctx.policy.trace,
+        policyVersion: ctx.policy.policyVersion,
+        kAnonymity: ctx.anonymized.kAnonymity
+    };
+}
+
+let running = false;
+let timer = null;
+let busy = false;
+
+// Claim and run jobs until the queue is empty
+async function drain() {
+    if (busy || !running) return;
+    busy = true;
+
+    try {
+        await Job.failAbandoned(STALE_AFTER_MS);
+
+        let job;
+        while (running && (job = await Job.claimNext(WORKER_ID, STALE_AFTER_MS))) {
+            try {
+                const result = await runJob(job);
+                await Job.complete(job.id, result);
+            } catch (error) {
+                console.error(`Job ${job.id} failed:`, error.message);
+                await Job.fail(job.id, error.message);
+            }
+        }
+    } catch (error) {
+        console.error('Document worker error:', error);
+    } finally {
+        busy = false;
+    }
+}
+
+function schedule() {
+    if (!running) return;
+    timer = setTimeout(async () => {
+        await drain();
+        schedule();
+    }, POLL_INTERVAL_MS);
+}
+
+// New jobs from this process start right away instead of waiting for the next poll
+const onQueued = () => setImmediate(drain);
+
+module.exports = {
+    JOB_TYPE,
+    STEPS,
+    enqueueDocument,
+    isTransientError,
+
+    start: () => {
+        if (running) return;
+        running = true;
+        Job.events.on('queued', onQueued);
+        schedule();
+        console.log(`✓ Document worker started (${hasDatabase ? 'Postgres' : 'in-memory'} queue)`);
+    },
+
+    stop: () => {
+        running = false;
+        clearTimeout(timer);
+        Job.events.removeListener('queued', onQueued);
+    },
+
+    // Manual trigger for testing
+    runNow: drain
+};
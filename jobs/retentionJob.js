@@ -1,6 +1,10 @@
 // Retention Job - Daily cleanup of expired data
 const cron = require('node-cron');
 const { query } = require('../config/database');
+const TokenVault = require('../models/TokenVault');
+const Document = require('../models/Document');
+const Conversation = require('../models/Conversation');
+const documentStorage = require('../modules/documentStorage');
 
 let hasDatabase = false;
 try {
@@ -25,6 +29,27 @@ const retentionJob = cron.schedule('0 2 * * *', async () => {
         );
         console.log(`✓ Deleted ${sessionsResult.rowCount} expired wizard sessions`);
 
+        // Delete conversation history of sessions and documents that are gone
+        const turnsDeleted = await Conversation.deleteOrphaned();
+        console.log(`✓ Deleted ${turnsDeleted} orphaned wizard conversation turns`);
+
+        // Delete expired token vault entries
+        const vaultDeleted = await TokenVault.deleteExpired();
+        console.log(`✓ Deleted ${vaultDeleted} expired token vault entries`);
+
+        // Delete stored originals past their tenant's retention period
+        let originalsDeleted = 0;
+        for (const document of await Document.findExpiredOriginals()) {
+            try {
+                await documentStorage.deleteFile(document.storage_key);
+                await Document.markOriginalDeleted(document.document_id);
+                originalsDeleted++;
+            } catch (error) {
+                console.error(`Failed to delete original for document ${document.document_id}:`, error.message);
+            }
+        }
+        console.log(`✓ Deleted ${originalsDeleted} expired document originals`);
+
         // Delete old events per tenant retention policy
         const eventsResult = await query(`
       DELETE FROM events e
@@ -28,7 +28,8 @@ async function authenticate(req, res, next) {
 
 // Require tenant admin role
 function requireTenantAdmin(req, res, next) {
-    if (req.auth.role !== 'TenantAdmin') {
+    // Accounts created at signup carry TENANT_ADMIN; older tokens TenantAdmin
+    if (!['TENANT_ADMIN', 'TenantAdmin'].includes(req.auth.role)) {
         return res.status(403).json({ error: 'Tenant admin access required' });
     }
     next();
@@ -0,0 +1,21 @@
+-- Migration 005: Tenant-defined custom detectors
+-- Regex and dictionary detectors compiled into analyzeText per request
+
+CREATE TABLE IF NOT EXISTS custom_detectors (
+    id VARCHAR(255) PRIMARY KEY,
+    tenant_id VARCHAR(255) REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('REGEX', 'DICTIONARY')),
+    pattern TEXT NULL,
+    terms JSONB DEFAULT '[]',
+    case_sensitive BOOLEAN DEFAULT false,
+    category VARCHAR(50) NOT NULL DEFAULT 'INTERNAL',
+    severity VARCHAR(10) NOT NULL DEFAULT 'MEDIUM' CHECK (severity IN ('LOW', 'MEDIUM', 'HIGH')),
+    enabled BOOLEAN DEFAULT true,
+    created_by VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(tenant_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_custom_detectors_tenant ON custom_detectors(tenant_id);
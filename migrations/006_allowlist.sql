@@ -0,0 +1,24 @@
+-- Migration 006: Per-tenant allowlist for false-positive suppression
+-- Entries remove matching findings before scoring and the policy decision
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS user_group VARCHAR(100);
+
+CREATE TABLE IF NOT EXISTS allowlist_entries (
+    id VARCHAR(255) PRIMARY KEY,
+    tenant_id VARCHAR(255) REFERENCES tenants(id) ON DELETE CASCADE,
+    kind VARCHAR(10) NOT NULL CHECK (kind IN ('EXACT', 'HASH', 'PATTERN')),
+    value TEXT NULL,
+    value_hash VARCHAR(64) NULL,
+    finding_type VARCHAR(100) NULL,
+    category VARCHAR(50) NULL,
+    user_group VARCHAR(100) NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'APPROVED' CHECK (status IN ('PENDING', 'APPROVED', 'REJECTED')),
+    note TEXT NULL,
+    reported_by VARCHAR(255) NULL,
+    reviewed_by VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at TIMESTAMP NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_allowlist_tenant_status ON allowlist_entries(tenant_id, status);
+CREATE INDEX IF NOT EXISTS idx_allowlist_hash ON allowlist_entries(tenant_id, value_hash);
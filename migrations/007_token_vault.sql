@@ -0,0 +1,18 @@
+-- Migration 007: Encrypted token vault for response rehydration
+-- Placeholder -> original value maps are stored AES-256-GCM encrypted and
+-- expire with the tenant's retention_days
+
+CREATE TABLE IF NOT EXISTS token_vault (
+    id VARCHAR(255) PRIMARY KEY,
+    tenant_id VARCHAR(255) REFERENCES tenants(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+    encrypted_map TEXT NOT NULL,
+    iv VARCHAR(64) NOT NULL,
+    auth_tag VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_vault_tenant ON token_vault(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_token_vault_expires ON token_vault(expires_at);
@@ -0,0 +1,11 @@
+-- Migration 008: Redaction reports stored with the document record
+-- The PDF itself plus the fields it was built from, so a filed report can be
+-- matched to the document, the decision and the sanitized output hash
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS risk_level VARCHAR(20);
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS anomaly_score INTEGER;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS decision VARCHAR(50);
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS processed_by VARCHAR(255);
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS sanitized_hash VARCHAR(64);
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS report_pdf BYTEA;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS report_generated_at TIMESTAMP;
@@ -0,0 +1,13 @@
+-- Migration 009: Persistent document storage
+-- Uploaded originals and generated exports live in encrypted storage (local
+-- disk or S3-compatible); the documents row records where. Originals are
+-- deleted by the retention job once the tenant's retention_days have passed.
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS storage_backend VARCHAR(20);
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS storage_key VARCHAR(512);
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS anonymized_key VARCHAR(512);
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS anonymized_report_key VARCHAR(512);
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS original_deleted_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_documents_stored_originals
+    ON documents(uploaded_at) WHERE storage_key IS NOT NULL;
@@ -0,0 +1,29 @@
+-- Migration 010: Background processing jobs
+-- Document uploads are processed by workers (extraction -> detection ->
+-- anonymization -> summary). Workers claim jobs with FOR UPDATE SKIP LOCKED;
+-- a job whose worker stopped heartbeating is claimed again.
+
+CREATE TABLE IF NOT EXISTS jobs (
+    id VARCHAR(255) PRIMARY KEY,
+    tenant_id VARCHAR(255) REFERENCES tenants(id) ON DELETE CASCADE,
+    user_id VARCHAR(255),
+    document_id VARCHAR(255),
+    type VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'QUEUED', -- QUEUED, RUNNING, SUCCEEDED, FAILED
+    payload JSONB DEFAULT '{}',
+    steps JSONB DEFAULT '[]',
+    current_step VARCHAR(50),
+    progress INTEGER DEFAULT 0,
+    result JSONB,
+    error TEXT,
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    locked_by VARCHAR(255),
+    locked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_queue ON jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_tenant ON jobs(tenant_id);
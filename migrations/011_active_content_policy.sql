@@ -0,0 +1,5 @@
+-- Migration 011: Category policy for active content
+-- Macros, embedded OLE objects, external template references and PDF
+-- JavaScript/launch actions are reported as ACTIVE_CONTENT findings.
+-- No policies rows are seeded: every policy mode blocks ACTIVE_CONTENT by
+-- default, so only a row an admin sets changes the decision.
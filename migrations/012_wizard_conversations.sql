@@ -0,0 +1,28 @@
+-- Migration 012: Wizard conversation history
+-- Questions and answers are kept per conversation so follow-ups have context.
+-- session_id is a wizard_sessions id, or a documents id for questions asked on
+-- an uploaded document; only sanitized text is stored. Older turns are folded
+-- into a running summary. Turns of deleted sessions and documents are removed
+-- by the retention job.
+
+CREATE TABLE IF NOT EXISTS wizard_turns (
+    id VARCHAR(255) PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL,
+    tenant_id VARCHAR(255) REFERENCES tenants(id) ON DELETE CASCADE,
+    turn_index INTEGER NOT NULL,
+    role VARCHAR(20) NOT NULL, -- user, assistant
+    content TEXT NOT NULL,
+    detected_types TEXT[] DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (session_id, turn_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wizard_turns_tenant ON wizard_turns(tenant_id);
+
+CREATE TABLE IF NOT EXISTS wizard_history_summaries (
+    session_id VARCHAR(255) PRIMARY KEY,
+    tenant_id VARCHAR(255) REFERENCES tenants(id) ON DELETE CASCADE,
+    summary TEXT NOT NULL,
+    through_turn INTEGER NOT NULL, -- last turn_index the summary covers
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,15 @@
+-- Migration 013: Conditional policy rules
+-- Each tenant may keep an ordered JSON rule set; the first rule whose conditions
+-- (category, detector type, count, anomaly score, role/group, tool, time) hold
+-- decides a category. Categories no rule matches fall back to default_decision,
+-- then the policies row, then the policy mode default (NULL). default_decision
+-- does not cover SECRETS, ACTIVE_CONTENT and PROMPT_ATTACK; only a rule naming
+-- them, a policies row or the mode decides those.
+
+CREATE TABLE IF NOT EXISTS policy_rule_sets (
+    tenant_id VARCHAR(255) PRIMARY KEY REFERENCES tenants(id) ON DELETE CASCADE,
+    rules JSONB NOT NULL DEFAULT '[]',
+    default_decision VARCHAR(10) NULL CHECK (default_decision IN ('ALLOW', 'WARN', 'BLOCK')),
+    updated_by VARCHAR(255) NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
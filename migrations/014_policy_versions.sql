@@ -0,0 +1,22 @@
+-- Migration 014: Versioned policies
+-- Every change to a tenant's policy (mode, category decisions, rule set, policy
+-- settings) records an immutable version with the full snapshot, its author and
+-- a comment. Rollbacks restore a snapshot as a new version (restored_from).
+-- Decisions record the version that produced them so audits can explain them.
+
+CREATE TABLE IF NOT EXISTS policy_versions (
+    id VARCHAR(255) PRIMARY KEY,
+    tenant_id VARCHAR(255) REFERENCES tenants(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    snapshot JSONB NOT NULL, -- { mode, categoryRules, ruleSet, settings }
+    author VARCHAR(255) NULL,
+    comment TEXT NULL,
+    change_type VARCHAR(30) NOT NULL, -- BASELINE, MODE, CATEGORY_RULES, RULE_SET, SETTINGS, ROLLBACK
+    restored_from INTEGER NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tenant_id, version)
+);
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS policy_version INTEGER NULL;
+-- security_logs is created at startup (config/database.js)
+ALTER TABLE IF EXISTS security_logs ADD COLUMN IF NOT EXISTS policy_version INTEGER NULL;
@@ -0,0 +1,161 @@
+// AllowlistEntry Model - Per-tenant false-positive suppression with in-memory fallback
+const { query } = require('../config/database');
+
+// In-memory storage fallback
+const inMemoryEntries = new Map();
+
+// Check if database is available
+let hasDatabase = false;
+try {
+    hasDatabase = !!process.env.DATABASE_URL;
+} catch (error) {
+    hasDatabase = false;
+}
+
+class AllowlistEntry {
+    // Create allowlist entry (approved, or pending for user reports)
+    static async create(entryData) {
+        const {
+            id,
+            tenant_id,
+            kind,
+            value = null,
+            value_hash = null,
+            finding_type = null,
+            category = null,
+            user_group = null,
+            status = 'APPROVED',
+            note = null,
+            reported_by = null
+        } = entryData;
+
+        if (hasDatabase) {
+            const result = await query(
+                `INSERT INTO allowlist_entries
+           (id, tenant_id, kind, value, value_hash, finding_type, category, user_group, status, note, reported_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+           RETURNING *`,
+                [id, tenant_id, kind, value, value_hash, finding_type, category, user_group, status, note, reported_by]
+            );
+            return result.rows[0];
+        }
+
+        // In-memory fallback
+        const entry = {
+            id,
+            tenant_id,
+            kind,
+            value,
+            value_hash,
+            finding_type,
+            category,
+            user_group,
+            status,
+            note,
+            reported_by,
+            reviewed_by: null,
+            created_at: new Date().toISOString(),
+            reviewed_at: null
+        };
+        inMemoryEntries.set(id, entry);
+        return entry;
+    }
+
+    // Get entry by ID with tenant isolation
+    static async findById(id, tenant_id) {
+        if (hasDatabase) {
+            const result = await query(
+                'SELECT * FROM allowlist_entries WHERE id = $1 AND tenant_id = $2',
+                [id, tenant_id]
+            );
+            return result.rows[0];
+        }
+
+        const entry = inMemoryEntries.get(id);
+        if (!entry || entry.tenant_id !== tenant_id) {
+            return null;
+        }
+        return entry;
+    }
+
+    // Find an existing entry for a hashed value (used to de-duplicate reports)
+    static async findByHash(tenant_id, value_hash) {
+        if (hasDatabase) {
+            const result = await query(
+                `SELECT * FROM allowlist_entries
+           WHERE tenant_id = $1 AND value_hash = $2 AND status != 'REJECTED'
+           ORDER BY created_at DESC LIMIT 1`,
+                [tenant_id, value_hash]
+            );
+            return result.rows[0];
+        }
+
+        return Array.from(inMemoryEntries.values())
+            .find(e => e.tenant_id === tenant_id && e.value_hash === value_hash && e.status !== 'REJECTED') || null;
+    }
+
+    // Get entries for a tenant, optionally filtered by status
+    static async findByTenant(tenant_id, options = {}) {
+        const { status } = options;
+
+        if (hasDatabase) {
+            const params = [tenant_id];
+            let queryText = 'SELECT * FROM allowlist_entries WHERE tenant_id = $1';
+            if (status) {
+                queryText += ' AND status = $2';
+                params.push(status);
+            }
+            queryText += ' ORDER BY created_at DESC';
+
+            const result = await query(queryText, params);
+            return result.rows;
+        }
+
+        return Array.from(inMemoryEntries.values())
+            .filter(e => e.tenant_id === tenant_id && (!status || e.status === status))
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    }
+
+    // Approve or reject a pending entry
+    static async review(id, tenant_id, status, reviewed_by) {
+        if (hasDatabase) {
+            const result = await query(
+                `UPDATE allowlist_entries
+           SET status = $3, reviewed_by = $4, reviewed_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND tenant_id = $2
+           RETURNING *`,
+                [id, tenant_id, status, reviewed_by]
+            );
+            return result.rows[0];
+        }
+
+        const entry = inMemoryEntries.get(id);
+        if (!entry || entry.tenant_id !== tenant_id) {
+            return null;
+        }
+        entry.status = status;
+        entry.reviewed_by = reviewed_by;
+        entry.reviewed_at = new Date().toISOString();
+        return entry;
+    }
+
+    // Delete entry
+    static async delete(id, tenant_id) {
+        if (hasDatabase) {
+            const result = await query(
+                'DELETE FROM allowlist_entries WHERE id = $1 AND tenant_id = $2',
+                [id, tenant_id]
+            );
+            return result.rowCount > 0;
+        }
+
+        const entry = inMemoryEntries.get(id);
+        if (!entry || entry.tenant_id !== tenant_id) {
+            return false;
+        }
+        inMemoryEntries.delete(id);
+        return true;
+    }
+}
+
+module.exports = AllowlistEntry;
@@ -0,0 +1,160 @@
+// Conversation Model - Wizard question/answer history with in-memory fallback
+// A conversation belongs to a wizard session or an uploaded document (session_id);
+// turns hold sanitized text only.
+const { v4: uuidv4 } = require('uuid');
+const { query, transaction } = require('../config/database');
+
+// In-memory storage fallback: session_id -> { tenant_id, turns, summary }
+const inMemoryConversations = new Map();
+
+// Check if database is available
+let hasDatabase = false;
+try {
+    hasDatabase = !!process.env.DATABASE_URL;
+} catch (error) {
+    hasDatabase = false;
+}
+
+class Conversation {
+    // Append turns ({ role, content, detected_types }) with consecutive turn indexes
+    static async addTurns(session_id, tenant_id, turns) {
+        if (hasDatabase) {
+            return transaction(async (client) => {
+                // Serialize writers of the same conversation
+                await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [session_id]);
+                const last = await client.query(
+                    'SELECT COALESCE(MAX(turn_index), 0) AS last FROM wizard_turns WHERE session_id = $1',
+                    [session_id]
+                );
+
+                let turnIndex = parseInt(last.rows[0].last, 10);
+                const rows = [];
+                for (const turn of turns) {
+                    const result = await client.query(
+                        `INSERT INTO wizard_turns (id, session_id, tenant_id, turn_index, role, content, detected_types)
+                   VALUES ($1, $2, $3, $4, $5, $6, $7)
+                   RETURNING *`,
+                        [`turn_${uuidv4()}`, session_id, tenant_id, ++turnIndex, turn.role, turn.content, turn.detected_types || []]
+                    );
+                    rows.push(result.rows[0]);
+                }
+                return rows;
+            });
+        }
+
+        // In-memory fallback
+        let conversation = inMemoryConversations.get(session_id);
+        if (!conversation || conversation.tenant_id !== tenant_id) {
+            conversation = { tenant_id, turns: [], summary: null };
+            inMemoryConversations.set(session_id, conversation);
+        }
+
+        return turns.map(turn => {
+            const row = {
+                id: `turn_${uuidv4()}`,
+                session_id,
+                tenant_id,
+                turn_index: conversation.turns.length + 1,
+                role: turn.role,
+                content: turn.content,
+                detected_types: turn.detected_types || [],
+                created_at: new Date().toISOString()
+            };
+            conversation.turns.push(row);
+            return { ...row };
+        });
+    }
+
+    // All turns of a conversation, oldest first, with tenant isolation
+    static async findTurns(session_id, tenant_id) {
+        if (hasDatabase) {
+            const result = await query(
+                'SELECT * FROM wizard_turns WHERE session_id = $1 AND tenant_id = $2 ORDER BY turn_index',
+                [session_id, tenant_id]
+            );
+            return result.rows;
+        }
+
+        const conversation = inMemoryConversations.get(session_id);
+        if (!conversation || conversation.tenant_id !== tenant_id) {
+            return [];
+        }
+        return conversation.turns.map(turn => ({ ...turn }));
+    }
+
+    // Running summary of older turns: { summary, through_turn } or null
+    static async findSummary(session_id, tenant_id) {
+        if (hasDatabase) {
+            const result = await query(
+                'SELECT * FROM wizard_history_summaries WHERE session_id = $1 AND tenant_id = $2',
+                [session_id, tenant_id]
+            );
+            return result.rows[0] || null;
+        }
+
+        const conversation = inMemoryConversations.get(session_id);
+        if (!conversation || conversation.tenant_id !== tenant_id || !conversation.summary) {
+            return null;
+        }
+        return { ...conversation.summary };
+    }
+
+    static async saveSummary(session_id, tenant_id, summary, through_turn) {
+        if (hasDatabase) {
+            const result = await query(
+                `INSERT INTO wizard_history_summaries (session_id, tenant_id, summary, through_turn)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (session_id) DO UPDATE
+           SET summary = EXCLUDED.summary, through_turn = EXCLUDED.through_turn, updated_at = CURRENT_TIMESTAMP
+           WHERE wizard_history_summaries.tenant_id = EXCLUDED.tenant_id
+           RETURNING *`,
+                [session_id, tenant_id, summary, through_turn]
+            );
+            return result.rows[0] || null;
+        }
+
+        const conversation = inMemoryConversations.get(session_id);
+        if (!conversation || conversation.tenant_id !== tenant_id) {
+            return null;
+        }
+        conversation.summary = { session_id, tenant_id, summary, through_turn, updated_at: new Date().toISOString() };
+        return { ...conversation.summary };
+    }
+
+    // Delete a conversation's turns and summary; returns the number of turns deleted
+    static async clear(session_id, tenant_id) {
+        if (hasDatabase) {
+            return transaction(async (client) => {
+                const result = await client.query(
+                    'DELETE FROM wizard_turns WHERE session_id = $1 AND tenant_id = $2',
+                    [session_id, tenant_id]
+                );
+                await client.query(
+                    'DELETE FROM wizard_history_summaries WHERE session_id = $1 AND tenant_id = $2',
+                    [session_id, tenant_id]
+                );
+                return result.rowCount;
+            });
+        }
+
+        const conversation = inMemoryConversations.get(session_id);
+        if (!conversation || conversation.tenant_id !== tenant_id) {
+            return 0;
+        }
+        inMemoryConversations.delete(session_id);
+        return conversation.turns.length;
+    }
+
+    // Delete conversations whose wizard session and document no longer exist
+    static async deleteOrphaned() {
+        if (!hasDatabase) return 0;
+
+        const orphaned = `NOT EXISTS (SELECT 1 FROM wizard_sessions s WHERE s.id = session_id)
+           AND NOT EXISTS (SELECT 1 FROM documents d WHERE d.document_id = session_id)`;
+        const result = await query(`DELETE FROM wizard_turns WHERE ${orphaned}`);
+        await query(`DELETE FROM wizard_history_summaries WHERE ${orphaned}`);
+        return result.rowCount;
+    }
+}
+
+module.exports = Conversation;
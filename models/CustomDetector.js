@@ -0,0 +1,158 @@
+// CustomDetector Model - Tenant-defined regex and dictionary detectors with in-memory fallback
+const { query } = require('../config/database');
+
+// In-memory storage fallback
+const inMemoryDetectors = new Map();
+
+// Check if database is available
+let hasDatabase = false;
+try {
+    hasDatabase = !!process.env.DATABASE_URL;
+} catch (error) {
+    hasDatabase = false;
+}
+
+class CustomDetector {
+    // Create detector
+    static async create(detectorData) {
+        const {
+            id,
+            tenant_id,
+            name,
+            kind,
+            pattern = null,
+            terms = [],
+            case_sensitive = false,
+            category = 'INTERNAL',
+            severity = 'MEDIUM',
+            enabled = true,
+            created_by = null
+        } = detectorData;
+
+        if (hasDatabase) {
+            const result = await query(
+                `INSERT INTO custom_detectors
+           (id, tenant_id, name, kind, pattern, terms, case_sensitive, category, severity, enabled, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+           RETURNING *`,
+                [id, tenant_id, name, kind, pattern, JSON.stringify(terms), case_sensitive,
+                    category, severity, enabled, created_by]
+            );
+            return result.rows[0];
+        }
+
+        // In-memory fallback
+        const detector = {
+            id,
+            tenant_id,
+            name,
+            kind,
+            pattern,
+            terms,
+            case_sensitive,
+            category,
+            severity,
+            enabled,
+            created_by,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        };
+        inMemoryDetectors.set(id, detector);
+        return detector;
+    }
+
+    // Get detector by ID with tenant isolation
+    static async findById(id, tenant_id) {
+        if (hasDatabase) {
+            const result = await query(
+                'SELECT * FROM custom_detectors WHERE id = $1 AND tenant_id = $2',
+                [id, tenant_id]
+            );
+            return result.rows[0];
+        }
+
+        const detector = inMemoryDetectors.get(id);
+        if (!detector || detector.tenant_id !== tenant_id) {
+            return null;
+        }
+        return detector;
+    }
+
+    // Get all detectors for a tenant
+    static async findByTenant(tenant_id, options = {}) {
+        const { enabledOnly = false } = options;
+
+        if (hasDatabase) {
+            const result = await query(
+                `SELECT * FROM custom_detectors
+           WHERE tenant_id = $1 ${enabledOnly ? 'AND enabled = true' : ''}
+           ORDER BY name`,
+                [tenant_id]
+            );
+            return result.rows;
+        }
+
+        return Array.from(inMemoryDetectors.values())
+            .filter(d => d.tenant_id === tenant_id && (!enabledOnly || d.enabled))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // Update detector
+    static async update(id, tenant_id, updates) {
+        const allowed = ['name', 'kind', 'pattern', 'terms', 'case_sensitive', 'category', 'severity', 'enabled'];
+
+        if (hasDatabase) {
+            const fields = [];
+            const values = [];
+            let paramCount = 1;
+
+            for (const key of allowed) {
+                if (updates[key] !== undefined) {
+                    fields.push(`${key} = $${paramCount++}`);
+                    values.push(key === 'terms' ? JSON.stringify(updates[key]) : updates[key]);
+                }
+            }
+
+            fields.push('updated_at = CURRENT_TIMESTAMP');
+            values.push(id, tenant_id);
+
+            const result = await query(
+                `UPDATE custom_detectors SET ${fields.join(', ')}
+           WHERE id = $${paramCount++} AND tenant_id = $${paramCount}
+           RETURNING *`,
+                values
+            );
+            return result.rows[0];
+        }
+
+        const detector = inMemoryDetectors.get(id);
+        if (!detector || detector.tenant_id !== tenant_id) {
+            return null;
+        }
+        for (const key of allowed) {
+            if (updates[key] !== undefined) detector[key] = updates[key];
+        }
+        detector.updated_at = new Date().toISOString();
+        return detector;
+    }
+
+    // Delete detector
+    static async delete(id, tenant_id) {
+        if (hasDatabase) {
+            const result = await query(
+                'DELETE FROM custom_detectors WHERE id = $1 AND tenant_id = $2',
+                [id, tenant_id]
+            );
+            return result.rowCount > 0;
+        }
+
+        const detector = inMemoryDetectors.get(id);
+        if (!detector || detector.tenant_id !== tenant_id) {
+            return false;
+        }
+        inMemoryDetectors.delete(id);
+        return true;
+    }
+}
+
+module.exports = CustomDetector;
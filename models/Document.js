@@ -21,17 +21,19 @@ class Document {
             user_id,
             filename,
             file_type,
-            file_size
+            file_size,
+            storage_backend,
+            storage_key
         } = documentData;
 
         if (hasDatabase) {
             try {
                 const result = await query(
                     `INSERT INTO documents
-           (document_id, tenant_id, user_id, filename, file_type, file_size, status, uploaded_at)
-           VALUES ($1, $2, $3, $4, $5, $6, 'uploaded', CURRENT_TIMESTAMP)
+           (document_id, tenant_id, user_id, filename, file_type, file_size, storage_backend, storage_key, status, uploaded_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'uploaded', CURRENT_TIMESTAMP)
            RETURNING *`,
-                    [document_id, tenant_id, user_id, filename, file_type, file_size]
+                    [document_id, tenant_id, user_id, filename, file_type, file_size, storage_backend, storage_key]
                 );
                 return result.rows[0];
             } catch (error) {
@@ -48,6 +50,8 @@ class Document {
             filename,
             file_type,
             file_size,
+            storage_backend,
+            storage_key,
             status: 'uploaded',
             uploaded_at: new Date().toISOString()
         };
@@ -112,6 +116,154 @@ class Document {
         return null;
     }
 
+    // Record where the redacted export and its sidecar report are stored
+    static async updateExport(document_id, anonymized_key, anonymized_report_key) {
+        if (hasDatabase) {
+            try {
+                const result = await query(
+                    `UPDATE documents
+           SET anonymized_key = $2,
+               anonymized_report_key = $3
+           WHERE document_id = $1
+           RETURNING document_id, anonymized_key, anonymized_report_key`,
+                    [document_id, anonymized_key, anonymized_report_key]
+                );
+                return result.rows[0];
+            } catch (error) {
+                console.log('Database error, using in-memory storage');
+            }
+        }
+
+        // In-memory fallback
+        const document = inMemoryDocuments.get(document_id);
+        if (document) {
+            document.anonymized_key = anonymized_key;
+            document.anonymized_report_key = anonymized_report_key;
+            return { document_id, anonymized_key, anonymized_report_key };
+        }
+        return null;
+    }
+
+    // Originals kept longer than their tenant's retention_days
+    static async findExpiredOriginals(limit = 500) {
+        if (hasDatabase) {
+            const result = await query(
+                `SELECT d.document_id, d.storage_key
+         FROM documents d
+         JOIN tenants t ON d.tenant_id = t.id
+         WHERE d.storage_key IS NOT NULL
+         AND COALESCE(d.processed_at, d.uploaded_at) < NOW() - (COALESCE(t.retention_days, 30) || ' days')::INTERVAL
+         LIMIT $1`,
+                [limit]
+            );
+            return result.rows;
+        }
+
+        // In-memory fallback: no tenant settings, use the 30 day default
+        const cutoff = Date.now() - 30 * 24 * 60 * 60 * 1000;
+        return Array.from(inMemoryDocuments.values())
+            .filter(doc => doc.storage_key && new Date(doc.processed_at || doc.uploaded_at).getTime() < cutoff)
+            .slice(0, limit);
+    }
+
+    // Forget the original's storage key once the file has been deleted
+    static async markOriginalDeleted(document_id) {
+        if (hasDatabase) {
+            try {
+                await query(
+                    `UPDATE documents
+           SET storage_key = NULL,
+               original_deleted_at = CURRENT_TIMESTAMP
+           WHERE document_id = $1`,
+                    [document_id]
+                );
+                return;
+            } catch (error) {
+                console.log('Database error, using in-memory storage');
+            }
+        }
+
+        // In-memory fallback
+        const document = inMemoryDocuments.get(document_id);
+        if (document) {
+            document.storage_key = null;
+            document.original_deleted_at = new Date().toISOString();
+        }
+    }
+
+    // Store the redaction report and the assessment it records
+    static async saveReport(document_id, report) {
+        const {
+            risk_level,
+            anomaly_score,
+            decision,
+            processed_by,
+            sanitized_hash,
+            report_pdf
+        } = report;
+
+        if (hasDatabase) {
+            try {
+                const result = await query(
+                    `UPDATE documents
+           SET risk_level = $2,
+               anomaly_score = $3,
+               decision = $4,
+               processed_by = $5,
+               sanitized_hash = $6,
+               report_pdf = $7,
+               report_generated_at = CURRENT_TIMESTAMP
+           WHERE document_id = $1
+           RETURNING document_id, sanitized_hash, report_generated_at`,
+                    [document_id, risk_level, anomaly_score, decision, processed_by, sanitized_hash, report_pdf]
+                );
+                return result.rows[0];
+            } catch (error) {
+                console.log('Database error, using in-memory storage');
+            }
+        }
+
+        // In-memory fallback
+        const document = inMemoryDocuments.get(document_id);
+        if (document) {
+            Object.assign(document, {
+                risk_level,
+                anomaly_score,
+                decision,
+                processed_by,
+                sanitized_hash,
+                report_pdf,
+                report_generated_at: new Date().toISOString()
+            });
+            return { document_id, sanitized_hash, report_generated_at: document.report_generated_at };
+        }
+        return null;
+    }
+
+    // Get the stored redaction report with tenant isolation
+    static async findReport(document_id, tenant_id) {
+        if (hasDatabase) {
+            try {
+                const result = await query(
+                    `SELECT document_id, filename, sanitized_hash, report_pdf, report_generated_at
+           FROM documents
+           WHERE document_id = $1 AND tenant_id = $2 AND report_pdf IS NOT NULL`,
+                    [document_id, tenant_id]
+                );
+                return result.rows[0];
+            } catch (error) {
+                console.log('Database error, using in-memory storage');
+            }
+        }
+
+        // In-memory fallback
+        const doc = inMemoryDocuments.get(document_id);
+        if (!doc || doc.tenant_id !== tenant_id || !doc.report_pdf) {
+            return null;
+        }
+        return doc;
+    }
+
     // Get documents for a tenant
     static async findByTenant(tenant_id, limit = 50) {
         if (hasDatabase) {
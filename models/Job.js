@@ -0,0 +1,234 @@
+// Job Model - Background processing jobs with in-memory fallback
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+
+// In-memory storage fallback
+const inMemoryJobs = new Map();
+
+// Check if database is available
+let hasDatabase = false;
+try {
+    hasDatabase = !!process.env.DATABASE_URL;
+} catch (error) {
+    hasDatabase = false;
+}
+
+// 'queued' when a job is created, 'update' after every change made by this process
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+const TERMINAL_STATUSES = ['SUCCEEDED', 'FAILED'];
+
+// Copy in-memory rows so callers never mutate the stored job
+const clone = (job) => (job ? JSON.parse(JSON.stringify(job)) : null);
+
+function emitUpdate(job) {
+    if (job) events.emit('update', clone(job));
+    return job;
+}
+
+class Job {
+    static get events() {
+        return events;
+    }
+
+    static isTerminal(job) {
+        return TERMINAL_STATUSES.includes(job.status);
+    }
+
+    // Queue a job; `steps` are the step names the worker will run in order
+    static async create({ tenant_id, user_id, document_id, type, payload = {}, steps = [], max_attempts = 3 }) {
+        const id = `job_${uuidv4()}`;
+        const stepList = steps.map(name => ({ name, status: 'PENDING', attempts: 0 }));
+
+        let job;
+        if (hasDatabase) {
+            const result = await query(
+                `INSERT INTO jobs (id, tenant_id, user_id, document_id, type, payload, steps, max_attempts)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING *`,
+                [id, tenant_id, user_id, document_id, type, JSON.stringify(payload), JSON.stringify(stepList), max_attempts]
+            );
+            job = result.rows[0];
+        } else {
+            const now = new Date().toISOString();
+            job = {
+                id,
+                tenant_id,
+                user_id,
+                document_id,
+                type,
+                status: 'QUEUED',
+                payload,
+                steps: stepList,
+                current_step: null,
+                progress: 0,
+                result: null,
+                error: null,
+                attempts: 0,
+                max_attempts,
+                locked_by: null,
+                locked_at: null,
+                created_at: now,
+                updated_at: now,
+                finished_at: null
+            };
+            inMemoryJobs.set(id, job);
+            job = clone(job);
+        }
+
+        events.emit('queued', job);
+        return job;
+    }
+
+    // Get a job with tenant isolation
+    static async findById(id, tenant_id) {
+        if (hasDatabase) {
+            const result = await query(
+                'SELECT * FROM jobs WHERE id = $1 AND tenant_id = $2',
+                [id, tenant_id]
+            );
+            return result.rows[0] || null;
+        }
+
+        const job = inMemoryJobs.get(id);
+        if (!job || job.tenant_id !== tenant_id) {
+            return null;
+        }
+        return clone(job);
+    }
+
+    // Claim the oldest queued job, or a running one whose worker stopped
+    // heartbeating for `staleAfterMs`. Each claim counts as an attempt.
+    static async claimNext(workerId, staleAfterMs) {
+        if (hasDatabase) {
+            const result = await query(
+                `UPDATE jobs
+           SET status = 'RUNNING',
+               locked_by = $1,
+               locked_at = NOW(),
+               attempts = attempts + 1,
+               updated_at = NOW()
+           WHERE id = (
+               SELECT id FROM jobs
+               WHERE (status = 'QUEUED' OR (status = 'RUNNING' AND locked_at < NOW() - ($2 || ' milliseconds')::INTERVAL))
+               AND attempts < max_attempts
+               ORDER BY created_at
+               FOR UPDATE SKIP LOCKED
+               LIMIT 1
+           )
+           RETURNING *`,
+                [workerId, String(staleAfterMs)]
+            );
+            return emitUpdate(result.rows[0] || null);
+        }
+
+        const staleBefore = Date.now() - staleAfterMs;
+        const job = Array.from(inMemoryJobs.values())
+            .filter(j => j.attempts < j.max_attempts &&
+                (j.status === 'QUEUED' || (j.status === 'RUNNING' && new Date(j.locked_at).getTime() < staleBefore)))
+            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))[0];
+        if (!job) return null;
+
+        Object.assign(job, {
+            status: 'RUNNING',
+            locked_by: workerId,
+            locked_at: new Date().toISOString(),
+            attempts: job.attempts + 1,
+            updated_at: new Date().toISOString()
+        });
+        return emitUpdate(clone(job));
+    }
+
+    // Record step progress; also refreshes the lock so the job is not considered stale
+    static async updateProgress(id, { steps, current_step, progress }) {
+        if (hasDatabase) {
+            const result = await query(
+                `UPDATE jobs
+           SET steps = $2, current_step = $3, progress = $4, locked_at = NOW(), updated_at = NOW()
+           WHERE id = $1
+           RETURNING *`,
+                [id, JSON.stringify(steps), current_step, progress]
+            );
+            return emitUpdate(result.rows[0]);
+        }
+
+        const job = inMemoryJobs.get(id);
+        if (!job) return null;
+        Object.assign(job, {
+            steps: clone(steps),
+            current_step,
+            progress,
+            locked_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        });
+        return emitUpdate(clone(job));
+    }
+
+    static async complete(id, result) {
+        return this.finish(id, 'SUCCEEDED', { result, error: null });
+    }
+
+    static async fail(id, error) {
+        return this.finish(id, 'FAILED', { result: null, error });
+    }
+
+    static async finish(id, status, { result, error }) {
+        if (hasDatabase) {
+            const updated = await query(
+                `UPDATE jobs
+           SET status = $2, result = $3, error = $4, progress = CASE WHEN $2 = 'SUCCEEDED' THEN 100 ELSE progress END,
+               locked_by = NULL, locked_at = NULL, finished_at = NOW(), updated_at = NOW()
+           WHERE id = $1
+           RETURNING *`,
+                [id, status, result ? JSON.stringify(result) : null, error]
+            );
+            return emitUpdate(updated.rows[0]);
+        }
+
+        const job = inMemoryJobs.get(id);
+        if (!job) return null;
+        Object.assign(job, {
+            status,
+            result: clone(result),
+            error,
+            progress: status === 'SUCCEEDED' ? 100 : job.progress,
+            locked_by: null,
+            locked_at: null,
+            finished_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        });
+        return emitUpdate(clone(job));
+    }
+
+    // Fail jobs whose worker died on their last allowed attempt
+    static async failAbandoned(staleAfterMs) {
+        const reason = 'Worker stopped responding and no attempts remain';
+
+        if (hasDatabase) {
+            const result = await query(
+                `UPDATE jobs
+           SET status = 'FAILED', error = $2, locked_by = NULL, locked_at = NULL, finished_at = NOW(), updated_at = NOW()
+           WHERE status = 'RUNNING'
+           AND attempts >= max_attempts
+           AND locked_at < NOW() - ($1 || ' milliseconds')::INTERVAL
+           RETURNING *`,
+                [String(staleAfterMs), reason]
+            );
+            result.rows.forEach(emitUpdate);
+            return result.rowCount;
+        }
+
+        const staleBefore = Date.now() - staleAfterMs;
+        const abandoned = Array.from(inMemoryJobs.values()).filter(j =>
+            j.status === 'RUNNING' && j.attempts >= j.max_attempts && new Date(j.locked_at).getTime() < staleBefore
+        );
+        for (const job of abandoned) {
+            await this.fail(job.id, reason);
+        }
+        return abandoned.length;
+    }
+}
+
+module.exports = Job;
@@ -1,84 +1,404 @@
-// Policy Model - Database operations for tenant policies
-const { query } = require('../config/database');
+// Policy Model - Tenant policy mode, per-category decisions and conditional rule set
+// with in-memory fallback. The mode lives in tenants.policy_mode, category decisions
+// in the policies table and the ordered rule set in policy_rule_sets.
+// Every change records an immutable version (policy_versions) holding a full snapshot,
+// written in the same transaction as the change.
+const { v4: uuidv4 } = require('uuid');
+const { query, transaction } = require('../config/database');
+const { sameSnapshot } = require('../modules/policyVersions');
+
+// In-memory storage fallback:
+// tenant_id -> { mode, rules: Map(category -> row), ruleSet, settings, versions }
+const inMemoryPolicies = new Map();
+
+// Check if database is available
+let hasDatabase = false;
+try {
+    hasDatabase = !!process.env.DATABASE_URL;
+} catch (error) {
+    hasDatabase = false;
+}
+
+const DEFAULT_MODE = 'STANDARD';
+const EMPTY_RULE_SET = { rules: [], default: null, updated_by: null, updated_at: null };
+
+// tenants.settings keys that shape decisions and masking; they are part of a policy version
+const POLICY_SETTING_KEYS = [
+    'toolPolicies', 'piiHandling', 'bulkDataHandling', 'bulkDataThreshold', 'bulkSampleSize',
+    'maskingStrategies', 'kAnonymity'
+];
+
+function memoryPolicy(tenant_id) {
+    if (!inMemoryPolicies.has(tenant_id)) {
+        inMemoryPolicies.set(tenant_id, { mode: DEFAULT_MODE, rules: new Map(), ruleSet: null, settings: {}, versions: [] });
+    }
+    return inMemoryPolicies.get(tenant_id);
+}
+
+function pickPolicySettings(settings = {}) {
+    const picked = {};
+    POLICY_SETTING_KEYS.forEach(key => {
+        if (settings[key] !== undefined) picked[key] = settings[key];
+    });
+    return picked;
+}
+
+// Snapshot stored with a version: { mode, categoryRules, ruleSet, settings }
+function buildSnapshot({ mode, ruleRows, ruleSet, settings }) {
+    const categoryRules = {};
+    [...ruleRows].sort((a, b) => a.category.localeCompare(b.category)).forEach(row => {
+        categoryRules[row.category] = row.decision;
+    });
+    return {
+        mode: mode || DEFAULT_MODE,
+        categoryRules,
+        ruleSet: { rules: (ruleSet && ruleSet.rules) || [], default: (ruleSet && ruleSet.default) || null },
+        settings: pickPolicySettings(settings)
+    };
+}
+
+async function readSnapshot(client, tenant_id) {
+    const tenant = await client.query('SELECT policy_mode, settings FROM tenants WHERE id = $1', [tenant_id]);
+    const rules = await client.query('SELECT category, decision FROM policies WHERE tenant_id = $1', [tenant_id]);
+    const ruleSet = await client.query('SELECT rules, default_decision FROM policy_rule_sets WHERE tenant_id = $1', [tenant_id]);
+    const ruleSetRow = ruleSet.rows[0];
+
+    return buildSnapshot({
+        mode: tenant.rows[0].policy_mode,
+        ruleRows: rules.rows,
+        ruleSet: ruleSetRow ? { rules: ruleSetRow.rules, default: ruleSetRow.default_decision } : null,
+        settings: tenant.rows[0].settings || {}
+    });
+}
+
+function memorySnapshot(policy) {
+    return buildSnapshot({
+        mode: policy.mode,
+        ruleRows: Array.from(policy.rules.values()),
+        ruleSet: policy.ruleSet,
+        settings: policy.settings
+    });
+}
+
+async function saveRuleSet(client, tenant_id, { rules, default: defaultDecision = null }, updated_by = null) {
+    await client.query(
+        `INSERT INTO policy_rule_sets (tenant_id, rules, default_decision, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+       ON CONFLICT (tenant_id) DO UPDATE
+       SET rules = EXCLUDED.rules, default_decision = EXCLUDED.default_decision,
+           updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP`,
+        [tenant_id, JSON.stringify(rules), defaultDecision, updated_by]
+    );
+}
+
+function memoryRuleSet({ rules, default: defaultDecision = null }, updated_by = null) {
+    return {
+        rules: JSON.parse(JSON.stringify(rules)),
+        default: defaultDecision,
+        updated_by: updated_by || null,
+        updated_at: new Date().toISOString()
+    };
+}
+
+// Apply a change and record the resulting version in one transaction.
+// The first change of a tenant also records the state before it as a BASELINE version;
+// a change that leaves the snapshot as it was records nothing.
+// Returns { result, version }, or null when the tenant does not exist.
+async function versionedChange(tenant_id, meta, apply) {
+    const { author = null, comment = null, changeType, restoredFrom = null } = meta;
+
+    if (hasDatabase) {
+        return transaction(async (client) => {
+            // Row lock serializes changes to the tenant's policy
+            const tenant = await client.query('SELECT id FROM tenants WHERE id = $1 FOR UPDATE', [tenant_id]);
+            if (tenant.rows.length === 0) return null;
+
+            const insertVersion = (fields) => client.query(
+                `INSERT INTO policy_versions (id, tenant_id, version, snapshot, author, comment, change_type, restored_from)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+                [`pv_${uuidv4()}`, tenant_id, fields.version, JSON.stringify(fields.snapshot),
+                    fields.author, fields.comment, fields.changeType, fields.restoredFrom]
+            );
+
+            const latest = await client.query(
+                'SELECT version, snapshot FROM policy_versions WHERE tenant_id = $1 ORDER BY version DESC LIMIT 1',
+                [tenant_id]
+            );
+            let version = latest.rows[0] ? latest.rows[0].version : 0;
+            let previousSnapshot = latest.rows[0] ? latest.rows[0].snapshot : null;
+
+            if (version === 0) {
+                version = 1;
+                previousSnapshot = await readSnapshot(client, tenant_id);
+                await insertVersion({
+                    version,
+                    snapshot: previousSnapshot,
+                    author: null,
+                    comment: 'Policy before versioning',
+                    changeType: 'BASELINE',
+                    restoredFrom: null
+                });
+            }
+
+            const result = await apply(client);
+            const snapshot = await readSnapshot(client, tenant_id);
+            if (sameSnapshot(snapshot, previousSnapshot)) {
+                return { result, version };
+            }
+
+            await insertVersion({ version: version + 1, snapshot, author, comment, changeType, restoredFrom });
+            return { result, version: version + 1 };
+        });
+    }
+
+    // In-memory fallback
+    const policy = memoryPolicy(tenant_id);
+    const addVersion = (fields) => {
+        policy.versions.push({
+            id: `pv_${uuidv4()}`,
+            tenant_id,
+            ...fields,
+            snapshot: JSON.parse(JSON.stringify(fields.snapshot)),
+            created_at: new Date().toISOString()
+        });
+    };
+
+    if (policy.versions.length === 0) {
+        addVersion({
+            version: 1,
+            snapshot: memorySnapshot(policy),
+            author: null,
+            comment: 'Policy before versioning',
+            change_type: 'BASELINE',
+            restored_from: null
+        });
+    }
+    const latest = policy.versions[policy.versions.length - 1];
+
+    const result = apply(policy);
+    const snapshot = memorySnapshot(policy);
+    if (sameSnapshot(snapshot, latest.snapshot)) {
+        return { result, version: latest.version };
+    }
+
+    addVersion({ version: latest.version + 1, snapshot, author, comment, change_type: changeType, restored_from: restoredFrom });
+    return { result, version: latest.version + 1 };
+}
 
 class Policy {
-    // Get policy for a tenant
-    static async findByTenant(tenant_id) {
-        const result = await query(
-            'SELECT * FROM policies WHERE tenant_id = $1',
-            [tenant_id]
-        );
-
-        if (result.rows.length === 0) {
-            // Create default policy
-            return await this.create(tenant_id);
+    // Tenant's policy mode (RELAXED, STANDARD or STRICT)
+    static async getMode(tenant_id) {
+        if (hasDatabase) {
+            const result = await query('SELECT policy_mode FROM tenants WHERE id = $1', [tenant_id]);
+            return (result.rows[0] && result.rows[0].policy_mode) || DEFAULT_MODE;
         }
 
-        return result.rows[0];
+        return inMemoryPolicies.has(tenant_id) ? inMemoryPolicies.get(tenant_id).mode : DEFAULT_MODE;
     }
 
-    // Create default policy
-    static async create(tenant_id) {
-        const result = await query(
-            `INSERT INTO policies (tenant_id)
-       VALUES ($1)
-       RETURNING *`,
-            [tenant_id]
-        );
-        return result.rows[0];
+    // Change the mode; returns { previousMode, mode, version }, or null for an unknown tenant
+    // meta: { author, comment } recorded with the version
+    static async setMode(tenant_id, mode, meta = {}) {
+        const change = await versionedChange(tenant_id, { ...meta, changeType: 'MODE' }, hasDatabase ?
+            async (client) => {
+                const current = await client.query('SELECT policy_mode FROM tenants WHERE id = $1', [tenant_id]);
+                await client.query(
+                    'UPDATE tenants SET policy_mode = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+                    [tenant_id, mode]
+                );
+                return current.rows[0].policy_mode || DEFAULT_MODE;
+            } :
+            (policy) => {
+                const previousMode = policy.mode;
+                policy.mode = mode;
+                return previousMode;
+            });
+
+        return change && { previousMode: change.result, mode, version: change.version };
     }
 
-    // Update policy
-    static async update(tenant_id, updates) {
-        const {
-            alert_color,
-            block_enabled,
-            explainability_enabled,
-            fix_button_enabled,
-            enhance_button_enabled,
-            settings
-        } = updates;
-
-        const fields = [];
-        const values = [];
-        let paramCount = 1;
-
-        if (alert_color) {
-            fields.push(`alert_color = $${paramCount++}`);
-            values.push(alert_color);
+    // Per-category decisions, ordered by category
+    static async findRules(tenant_id) {
+        if (hasDatabase) {
+            const result = await query(
+                'SELECT category, decision, created_at FROM policies WHERE tenant_id = $1 ORDER BY category',
+                [tenant_id]
+            );
+            return result.rows;
         }
-        if (block_enabled !== undefined) {
-            fields.push(`block_enabled = $${paramCount++}`);
-            values.push(block_enabled);
-        }
-        if (explainability_enabled !== undefined) {
-            fields.push(`explainability_enabled = $${paramCount++}`);
-            values.push(explainability_enabled);
+
+        if (!inMemoryPolicies.has(tenant_id)) return [];
+        return Array.from(inMemoryPolicies.get(tenant_id).rules.values())
+            .sort((a, b) => a.category.localeCompare(b.category))
+            .map(rule => ({ ...rule }));
+    }
+
+    // Apply category decisions together ({ category, decision }); a null decision
+    // removes the row so the mode default applies. Returns { rules, version }.
+    static async setRules(tenant_id, rules, meta = {}) {
+        const change = await versionedChange(tenant_id, { ...meta, changeType: 'CATEGORY_RULES' }, hasDatabase ?
+            async (client) => {
+                for (const { category, decision } of rules) {
+                    if (decision === null) {
+                        await client.query('DELETE FROM policies WHERE tenant_id = $1 AND category = $2', [tenant_id, category]);
+                    } else {
+                        await client.query(
+                            `INSERT INTO policies (tenant_id, category, decision)
+                       VALUES ($1, $2, $3)
+                       ON CONFLICT (tenant_id, category) DO UPDATE SET decision = EXCLUDED.decision`,
+                            [tenant_id, category, decision]
+                        );
+                    }
+                }
+            } :
+            (policy) => {
+                rules.forEach(({ category, decision }) => {
+                    if (decision === null) {
+                        policy.rules.delete(category);
+                    } else {
+                        const existing = policy.rules.get(category);
+                        policy.rules.set(category, {
+                            category,
+                            decision,
+                            created_at: existing ? existing.created_at : new Date().toISOString()
+                        });
+                    }
+                });
+            });
+
+        return change && { rules: await this.findRules(tenant_id), version: change.version };
+    }
+
+    // Conditional rule set: { rules, default, updated_by, updated_at }; empty when none was saved
+    static async getRuleSet(tenant_id) {
+        if (hasDatabase) {
+            const result = await query(
+                'SELECT rules, default_decision, updated_by, updated_at FROM policy_rule_sets WHERE tenant_id = $1',
+                [tenant_id]
+            );
+            const row = result.rows[0];
+            return row ?
+                { rules: row.rules || [], default: row.default_decision, updated_by: row.updated_by, updated_at: row.updated_at } :
+                { ...EMPTY_RULE_SET };
         }
-        if (fix_button_enabled !== undefined) {
-            fields.push(`fix_button_enabled = $${paramCount++}`);
-            values.push(fix_button_enabled);
+
+        const policy = inMemoryPolicies.get(tenant_id);
+        return policy && policy.ruleSet ? JSON.parse(JSON.stringify(policy.ruleSet)) : { ...EMPTY_RULE_SET };
+    }
+
+    // Replace the rule set (validated by the caller) as a whole; returns { ruleSet, version }
+    static async setRuleSet(tenant_id, ruleSet, meta = {}) {
+        const change = await versionedChange(tenant_id, { ...meta, changeType: 'RULE_SET' }, hasDatabase ?
+            (client) => saveRuleSet(client, tenant_id, ruleSet, meta.author) :
+            (policy) => {
+                policy.ruleSet = memoryRuleSet(ruleSet, meta.author);
+            });
+
+        return change && { ruleSet: await this.getRuleSet(tenant_id), version: change.version };
+    }
+
+    // Merge the policy keys of a settings patch into tenants.settings; returns { settings, version }
+    static async setSettings(tenant_id, patch, meta = {}) {
+        const policyPatch = pickPolicySettings(patch);
+        const change = await versionedChange(tenant_id, { ...meta, changeType: 'SETTINGS' }, hasDatabase ?
+            async (client) => {
+                await client.query(
+                    `UPDATE tenants
+               SET settings = COALESCE(settings, '{}'::jsonb) || $2::jsonb,
+                   updated_at = CURRENT_TIMESTAMP
+               WHERE id = $1`,
+                    [tenant_id, JSON.stringify(policyPatch)]
+                );
+            } :
+            (policy) => {
+                policy.settings = { ...policy.settings, ...policyPatch };
+            });
+
+        return change && { settings: policyPatch, version: change.version };
+    }
+
+    // Latest version number, or null before the first change
+    static async currentVersion(tenant_id) {
+        if (hasDatabase) {
+            const result = await query('SELECT MAX(version) AS version FROM policy_versions WHERE tenant_id = $1', [tenant_id]);
+            return result.rows[0].version === null ? null : parseInt(result.rows[0].version, 10);
         }
-        if (enhance_button_enabled !== undefined) {
-            fields.push(`enhance_button_enabled = $${paramCount++}`);
-            values.push(enhance_button_enabled);
+
+        const policy = inMemoryPolicies.get(tenant_id);
+        return policy && policy.versions.length > 0 ? policy.versions[policy.versions.length - 1].version : null;
+    }
+
+    // Versions, newest first, without snapshots
+    static async listVersions(tenant_id, options = {}) {
+        const { limit = 100, offset = 0 } = options;
+
+        if (hasDatabase) {
+            const result = await query(
+                `SELECT id, tenant_id, version, author, comment, change_type, restored_from, created_at
+           FROM policy_versions WHERE tenant_id = $1
+           ORDER BY version DESC LIMIT $2 OFFSET $3`,
+                [tenant_id, limit, offset]
+            );
+            return result.rows;
         }
-        if (settings) {
-            fields.push(`settings = $${paramCount++}`);
-            values.push(JSON.stringify(settings));
+
+        const policy = inMemoryPolicies.get(tenant_id);
+        if (!policy) return [];
+        return [...policy.versions].reverse().slice(offset, offset + limit)
+            .map(({ snapshot, ...version }) => ({ ...version }));
+    }
+
+    // One version with its snapshot, or null
+    static async findVersion(tenant_id, version) {
+        if (hasDatabase) {
+            const result = await query(
+                'SELECT * FROM policy_versions WHERE tenant_id = $1 AND version = $2',
+                [tenant_id, version]
+            );
+            return result.rows[0] || null;
         }
 
-        fields.push(`updated_at = CURRENT_TIMESTAMP`);
-        values.push(tenant_id);
+        const policy = inMemoryPolicies.get(tenant_id);
+        const found = policy && policy.versions.find(v => v.version === version);
+        return found ? JSON.parse(JSON.stringify(found)) : null;
+    }
+
+    // Restore a version's snapshot as a new version; returns { version, restoredFrom },
+    // or null when the version does not exist
+    static async rollback(tenant_id, version, meta = {}) {
+        const target = await this.findVersion(tenant_id, version);
+        if (!target) return null;
+        const { snapshot } = target;
 
-        const result = await query(
-            `UPDATE policies SET ${fields.join(', ')}
-       WHERE tenant_id = $${paramCount}
-       RETURNING *`,
-            values
-        );
+        const change = await versionedChange(tenant_id, { ...meta, changeType: 'ROLLBACK', restoredFrom: version }, hasDatabase ?
+            async (client) => {
+                await client.query(
+                    `UPDATE tenants
+               SET policy_mode = $2,
+                   settings = (COALESCE(settings, '{}'::jsonb) - $3::text[]) || $4::jsonb,
+                   updated_at = CURRENT_TIMESTAMP
+               WHERE id = $1`,
+                    [tenant_id, snapshot.mode, POLICY_SETTING_KEYS, JSON.stringify(snapshot.settings)]
+                );
+                await client.query('DELETE FROM policies WHERE tenant_id = $1', [tenant_id]);
+                for (const [category, decision] of Object.entries(snapshot.categoryRules)) {
+                    await client.query(
+                        'INSERT INTO policies (tenant_id, category, decision) VALUES ($1, $2, $3)',
+                        [tenant_id, category, decision]
+                    );
+                }
+                await saveRuleSet(client, tenant_id, snapshot.ruleSet, meta.author);
+            } :
+            (policy) => {
+                const now = new Date().toISOString();
+                policy.mode = snapshot.mode;
+                policy.settings = { ...snapshot.settings };
+                policy.rules = new Map(Object.entries(snapshot.categoryRules)
+                    .map(([category, decision]) => [category, { category, decision, created_at: now }]));
+                policy.ruleSet = memoryRuleSet(snapshot.ruleSet, meta.author);
+            });
 
-        return result.rows[0];
+        return change && { version: change.version, restoredFrom: version };
     }
 }
 
@@ -12,18 +12,22 @@ class SecurityLog {
             risk_level,
             decision,
             findings_count = 0,
+            findings = [],
             anomaly_score = 0,
-            platform = 'unknown'
+            platform = 'unknown',
+            policy_version = null
         } = logData;
 
+        // Without an explicit version the entry records the one currently in effect
         const result = await query(
             `INSERT INTO security_logs
        (log_id, tenant_id, user_id, action_type, risk_level, decision,
-        findings_count, anomaly_score, platform, timestamp)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP)
+        findings_count, findings, anomaly_score, platform, timestamp, policy_version)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP,
+               COALESCE($11::integer, (SELECT MAX(version) FROM policy_versions WHERE tenant_id = $2)))
        RETURNING *`,
             [log_id, tenant_id, user_id, action_type, risk_level, decision,
-                findings_count, anomaly_score, platform]
+                findings_count, JSON.stringify(findings), anomaly_score, platform, policy_version]
         );
 
         return result.rows[0];
@@ -0,0 +1,127 @@
+// TokenVault Model - Encrypted placeholder -> original value maps with in-memory fallback
+const { query } = require('../config/database');
+const Encryption = require('../modules/encryption');
+
+// In-memory storage fallback
+const inMemoryVault = new Map();
+
+// Check if database is available
+let hasDatabase = false;
+try {
+    hasDatabase = !!process.env.DATABASE_URL;
+} catch (error) {
+    hasDatabase = false;
+}
+
+// Decrypt a stored row into { id, tenant_id, user_id, entityMap, expires_at }
+function toEntry(row) {
+    if (!row) return null;
+    if (new Date(row.expires_at) <= new Date()) return null;
+
+    const entityMap = Encryption.decryptJSON(row.encrypted_map, row.iv, row.auth_tag);
+    if (!entityMap) return null;
+
+    return {
+        id: row.id,
+        tenant_id: row.tenant_id,
+        user_id: row.user_id,
+        entityMap,
+        created_at: row.created_at,
+        expires_at: row.expires_at
+    };
+}
+
+class TokenVault {
+    // Store an entity map (encrypted) for a user session
+    static async create({ id, tenant_id, user_id, entityMap, expires_at }) {
+        const { encrypted, iv, authTag } = Encryption.encryptJSON(entityMap);
+
+        if (hasDatabase) {
+            const result = await query(
+                `INSERT INTO token_vault (id, tenant_id, user_id, encrypted_map, iv, auth_tag, expires_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING *`,
+                [id, tenant_id, user_id, encrypted, iv, authTag, expires_at]
+            );
+            return toEntry(result.rows[0]);
+        }
+
+        // In-memory fallback
+        const row = {
+            id,
+            tenant_id,
+            user_id,
+            encrypted_map: encrypted,
+            iv,
+            auth_tag: authTag,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+            expires_at: new Date(expires_at).toISOString()
+        };
+        inMemoryVault.set(id, row);
+        return toEntry(row);
+    }
+
+    // Get a non-expired vault entry with tenant isolation
+    static async findById(id, tenant_id) {
+        if (hasDatabase) {
+            const result = await query(
+                'SELECT * FROM token_vault WHERE id = $1 AND tenant_id = $2 AND expires_at > NOW()',
+                [id, tenant_id]
+            );
+            return toEntry(result.rows[0]);
+        }
+
+        const row = inMemoryVault.get(id);
+        if (!row || row.tenant_id !== tenant_id) {
+            return null;
+        }
+        return toEntry(row);
+    }
+
+    // Replace the stored map (placeholders added later in the same session)
+    static async update(id, tenant_id, entityMap) {
+        const { encrypted, iv, authTag } = Encryption.encryptJSON(entityMap);
+
+        if (hasDatabase) {
+            const result = await query(
+                `UPDATE token_vault
+           SET encrypted_map = $3, iv = $4, auth_tag = $5, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND tenant_id = $2 AND expires_at > NOW()
+           RETURNING *`,
+                [id, tenant_id, encrypted, iv, authTag]
+            );
+            return toEntry(result.rows[0]);
+        }
+
+        const row = inMemoryVault.get(id);
+        if (!row || row.tenant_id !== tenant_id) {
+            return null;
+        }
+        row.encrypted_map = encrypted;
+        row.iv = iv;
+        row.auth_tag = authTag;
+        row.updated_at = new Date().toISOString();
+        return toEntry(row);
+    }
+
+    // Remove expired entries; returns the number deleted
+    static async deleteExpired() {
+        if (hasDatabase) {
+            const result = await query('DELETE FROM token_vault WHERE expires_at < NOW()');
+            return result.rowCount;
+        }
+
+        let deleted = 0;
+        const now = new Date();
+        for (const [id, row] of inMemoryVault) {
+            if (new Date(row.expires_at) < now) {
+                inMemoryVault.delete(id);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+}
+
+module.exports = TokenVault;
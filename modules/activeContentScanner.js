@@ -0,0 +1,208 @@
+// Active Content Scanner - macros, embedded objects and actions inside documents
+// Reported as ACTIVE_CONTENT findings (category ACTIVE_CONTENT) so tenant category
+// policy can warn on or block them like any other finding.
+const zlib = require('zlib');
+const XLSX = require('xlsx');
+
+const FINDING_TYPE = 'ACTIVE_CONTENT';
+
+// details.kind values
+const KINDS = {
+  MACRO: 'MACRO',
+  OLE_OBJECT: 'OLE_OBJECT',
+  ACTIVEX_CONTROL: 'ACTIVEX_CONTROL',
+  EXTERNAL_TEMPLATE: 'EXTERNAL_TEMPLATE',
+  EXTERNAL_OLE_LINK: 'EXTERNAL_OLE_LINK',
+  PDF_JAVASCRIPT: 'PDF_JAVASCRIPT',
+  PDF_LAUNCH: 'PDF_LAUNCH',
+  PDF_EMBEDDED_FILE: 'PDF_EMBEDDED_FILE'
+};
+
+const DESCRIPTIONS = {
+  MACRO: 'VBA macro project',
+  OLE_OBJECT: 'Embedded OLE object',
+  ACTIVEX_CONTROL: 'ActiveX control',
+  EXTERNAL_TEMPLATE: 'External template reference',
+  EXTERNAL_OLE_LINK: 'Linked external OLE object',
+  PDF_JAVASCRIPT: 'PDF JavaScript',
+  PDF_LAUNCH: 'PDF launch action',
+  PDF_EMBEDDED_FILE: 'PDF embedded file'
+};
+
+// Inflated PDF streams are capped so a compressed bomb cannot exhaust memory
+const PDF_MAX_STREAM_BYTES = 5 * 1024 * 1024;
+const PDF_MAX_INFLATED_BYTES = 50 * 1024 * 1024;
+
+function createFinding(kind, location, extra = {}) {
+  return {
+    type: FINDING_TYPE,
+    category: FINDING_TYPE,
+    value: `${DESCRIPTIONS[kind]} (${location})`,
+    validated: true,
+    confidence: 1,
+    details: { kind, location, ...extra }
+  };
+}
+
+// Relationship targets that Office fetches when the document opens
+const EXTERNAL_RELATIONSHIPS = {
+  attachedTemplate: KINDS.EXTERNAL_TEMPLATE,
+  oleObject: KINDS.EXTERNAL_OLE_LINK
+};
+
+// docx / xlsx / pptx
+async function scanOoxml(buffer) {
+  const JSZip = require('jszip');
+  const zip = await JSZip.loadAsync(buffer);
+  if (!zip.file('[Content_Types].xml')) return [];
+
+  const findings = [];
+  const names = Object.keys(zip.files).filter(name => !zip.files[name].dir);
+
+  names.filter(name => /(^|\/)vbaProject\.bin$/i.test(name))
+    .forEach(name => findings.push(createFinding(KINDS.MACRO, name)));
+  names.filter(name => /\/embeddings\/[^/]+\.bin$/i.test(name))
+    .forEach(name => findings.push(createFinding(KINDS.OLE_OBJECT, name)));
+  names.filter(name => /\/activeX\/activeX\d*\.xml$/i.test(name))
+    .forEach(name => findings.push(createFinding(KINDS.ACTIVEX_CONTROL, name)));
+
+  for (const name of names.filter(n => n.endsWith('.rels'))) {
+    const xml = await zip.file(name).async('string');
+    (xml.match(/<Relationship\b[^>]*>/g) || []).forEach(tag => {
+      const attr = (key) => {
+        const match = new RegExp(`\\b${key}="([^"]*)"`).exec(tag);
+        return match ? match[1] : '';
+      };
+      const kind = EXTERNAL_RELATIONSHIPS[attr('Type').split('/').pop()];
+      if (kind && attr('TargetMode') === 'External') {
+        findings.push(createFinding(kind, name, { target: attr('Target') }));
+      }
+    });
+  }
+
+  return findings;
+}
+
+// Legacy .doc / .xls / .ppt (and Outlook .msg) compound files
+function scanOle(buffer) {
+  const cfb = XLSX.CFB.read(buffer, { type: 'buffer' });
+  const findings = [];
+  let macros = false;
+
+  cfb.FullPaths.forEach((fullPath, i) => {
+    const { name } = cfb.FileIndex[i];
+    if (!macros && ['Macros', '_VBA_PROJECT_CUR', 'VBA', '_VBA_PROJECT'].includes(name)) {
+      macros = true;
+      findings.push(createFinding(KINDS.MACRO, fullPath));
+    } else if (name === 'ObjectPool' || name === '\u0001Ole10Native') {
+      findings.push(createFinding(KINDS.OLE_OBJECT, fullPath));
+    }
+  });
+
+  return findings;
+}
+
+function scanRtf(buffer) {
+  const rtf = buffer.toString('latin1');
+  const findings = [];
+
+  if (/\\objdata\b/.test(rtf)) {
+    findings.push(createFinding(KINDS.OLE_OBJECT, '\\object'));
+  }
+  const template = /\\\*\\template\s+([^}]*)/.exec(rtf);
+  if (template) {
+    findings.push(createFinding(KINDS.EXTERNAL_TEMPLATE, '\\template', { target: template[1].trim() }));
+  }
+
+  return findings;
+}
+
+// Names may hide behind #xx escapes (/J#61vaScript)
+const decodePdfNames = (text) => text.replace(/\/[^\s/<>[\]()]+/g, name =>
+  name.replace(/#([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)))
+);
+
+const PDF_KEYS = [
+  [/\/(?:JavaScript|JS)(?![A-Za-z0-9])/, KINDS.PDF_JAVASCRIPT],
+  [/\/Launch(?![A-Za-z0-9])/, KINDS.PDF_LAUNCH],
+  [/\/EmbeddedFiles?(?![A-Za-z0-9])/, KINDS.PDF_EMBEDDED_FILE]
+];
+
+// Object bodies plus inflated streams (object streams can hold the actions)
+function scanPdf(buffer) {
+  const sources = [{ location: 'document', text: buffer.toString('latin1') }];
+
+  const STREAM = /stream\r?\n/g;
+  let inflated = 0;
+  let match;
+  while ((match = STREAM.exec(sources[0].text)) !== null && inflated < PDF_MAX_INFLATED_BYTES) {
+    const start = match.index + match[0].length;
+    const end = sources[0].text.indexOf('endstream', start);
+    if (end === -1) break;
+
+    try {
+      const data = zlib.inflateSync(buffer.subarray(start, end), { maxOutputLength: PDF_MAX_STREAM_BYTES });
+      inflated += data.length;
+      sources.push({ location: `stream at byte ${start}`, text: data.toString('latin1') });
+    } catch (error) {
+      // Not Flate-encoded, truncated or over the cap
+    }
+    STREAM.lastIndex = end;
+  }
+
+  const findings = [];
+  PDF_KEYS.forEach(([pattern, kind]) => {
+    const source = sources.find(s => pattern.test(decodePdfNames(s.text)));
+    if (source) findings.push(createFinding(kind, source.location));
+  });
+  return findings;
+}
+
+/**
+ * Scan a file for active content, dispatching on its signature
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<Array>} - ACTIVE_CONTENT findings (no text offsets)
+ */
+async function scanActiveContent(buffer) {
+  const { sniffFileType } = require('./fileSniffer');
+  const data = Buffer.from(buffer);
+
+  try {
+    switch (await sniffFileType(data)) {
+      case 'docx':
+      case 'xlsx':
+      case 'pptx':
+        return await scanOoxml(data);
+      case 'doc':
+      case 'xls':
+      case 'msg':
+      case 'ole':
+        return scanOle(data);
+      case 'rtf':
+        return scanRtf(data);
+      case 'pdf':
+        return scanPdf(data);
+      default:
+        return [];
+    }
+  } catch (error) {
+    console.error('Active content scan error:', error.message);
+    return [];
+  }
+}
+
+// Add active content findings to an analysis; any of them makes the risk HIGH
+function applyActiveContent(analysis, findings) {
+  if (findings.length === 0) return analysis;
+
+  analysis.findings.push(...findings);
+  analysis.riskLevel = 'HIGH';
+  return analysis;
+}
+
+module.exports = {
+  FINDING_TYPE,
+  KINDS,
+  scanActiveContent,
+  applyActiveContent
+};
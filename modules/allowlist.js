@@ -0,0 +1,159 @@
+// Per-tenant allowlist - suppresses known-safe values before scoring
+const crypto = require('crypto');
+const { checkRegexSafety } = require('./customDetectors');
+const { categoryForType } = require('./policyEngine');
+
+const ENTRY_KINDS = ['EXACT', 'HASH', 'PATTERN'];
+
+// The allowlist covers PII and keyword findings only; credentials, attacks, active
+// content and bulk data are never suppressed, however broad an entry is
+const PROTECTED_CATEGORIES = ['SECRETS', 'PROMPT_ATTACK', 'CODE_INJECTION', 'ACTIVE_CONTENT', 'BULK_DATA'];
+
+// Key for hashing reported values (CHANGE IN PRODUCTION!)
+const HASH_KEY = process.env.ALLOWLIST_HASH_KEY || 'default-safeai-allowlist-key';
+
+// Normalize a value so formatting differences do not defeat a match
+// ("4242 4242 4242 4242" and "4242-4242-4242-4242" are the same card)
+function normalizeValue(value) {
+  return String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/[\s\-().]+/g, '');
+}
+
+// Keyed hash of a normalized value; raw reported values are never stored
+function hashValue(value) {
+  return crypto.createHmac('sha256', HASH_KEY).update(normalizeValue(value)).digest('hex');
+}
+
+// Validate an allowlist entry from the admin API
+function validateEntry(entry) {
+  const errors = [];
+  const { kind, value, valueHash } = entry;
+
+  if (!ENTRY_KINDS.includes(kind)) {
+    errors.push(`kind must be one of ${ENTRY_KINDS.join(', ')}`);
+  }
+  if ((kind === 'EXACT' || kind === 'PATTERN') && (typeof value !== 'string' || !value.trim())) {
+    errors.push('value is required');
+  }
+  if (kind === 'HASH' && !(typeof valueHash === 'string' && /^[a-f0-9]{64}$/.test(valueHash)) &&
+    !(typeof value === 'string' && value.trim())) {
+    errors.push('valueHash (64 hex characters) or value is required');
+  }
+  if (kind === 'PATTERN' && typeof value === 'string') {
+    const safety = checkRegexSafety(value);
+    if (!safety.safe) errors.push(safety.reason);
+  }
+  if (PROTECTED_CATEGORIES.includes(entry.category) ||
+    (entry.findingType && PROTECTED_CATEGORIES.includes(categoryForType(entry.findingType)))) {
+    errors.push(`${PROTECTED_CATEGORIES.join(', ')} findings cannot be allowlisted`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// Prepare approved entries for matching
+function compileAllowlist(entries) {
+  const compiled = [];
+
+  for (const entry of entries) {
+    if (entry.status && entry.status !== 'APPROVED') continue;
+
+    const scope = {
+      id: entry.id,
+      kind: entry.kind,
+      findingType: entry.finding_type || null,
+      category: entry.category || null,
+      userGroup: entry.user_group || null
+    };
+
+    try {
+      if (entry.kind === 'EXACT') {
+        compiled.push({ ...scope, normalized: normalizeValue(entry.value) });
+      } else if (entry.kind === 'HASH') {
+        compiled.push({ ...scope, hash: entry.value_hash });
+      } else if (entry.kind === 'PATTERN') {
+        // Patterns must match the whole finding value
+        compiled.push({ ...scope, regex: new RegExp(`^(?:${entry.value})$`, 'i') });
+      }
+    } catch (error) {
+      console.error(`Skipping allowlist entry ${entry.id}:`, error.message);
+    }
+  }
+
+  return compiled;
+}
+
+// Check whether a single finding is covered by the allowlist
+function matchAllowlist(finding, compiledAllowlist = [], context = {}) {
+  if (finding.value === undefined || finding.value === null) return null;
+  if (PROTECTED_CATEGORIES.includes(finding.category || categoryForType(finding.type))) return null;
+
+  let normalized;
+  let hash;
+
+  for (const entry of compiledAllowlist) {
+    if (entry.findingType && entry.findingType !== finding.type) continue;
+    if (entry.category && entry.category !== finding.category) continue;
+    if (entry.userGroup && entry.userGroup !== context.userGroup) continue;
+
+    if (entry.kind === 'EXACT') {
+      normalized = normalized || normalizeValue(finding.value);
+      if (normalized === entry.normalized) return entry;
+    } else if (entry.kind === 'HASH') {
+      hash = hash || hashValue(finding.value);
+      if (hash === entry.hash) return entry;
+    } else if (entry.kind === 'PATTERN') {
+      if (entry.regex.test(finding.value)) return entry;
+    }
+  }
+
+  return null;
+}
+
+// Remove allowlisted findings; returns the kept findings and how many were dropped
+function applyAllowlist(findings, compiledAllowlist = [], context = {}) {
+  if (compiledAllowlist.length === 0) {
+    return { findings, suppressed: [] };
+  }
+
+  const kept = [];
+  const suppressed = [];
+
+  for (const finding of findings) {
+    const entry = matchAllowlist(finding, compiledAllowlist, context);
+    if (entry) {
+      suppressed.push({ type: finding.type, entryId: entry.id });
+    } else {
+      kept.push(finding);
+    }
+  }
+
+  return { findings: kept, suppressed };
+}
+
+// Load and compile the approved allowlist for a tenant
+async function loadTenantAllowlist(tenantId) {
+  if (!tenantId) return [];
+
+  try {
+    const AllowlistEntry = require('../models/AllowlistEntry');
+    const entries = await AllowlistEntry.findByTenant(tenantId, { status: 'APPROVED' });
+    return compileAllowlist(entries);
+  } catch (error) {
+    console.error('Failed to load allowlist:', error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  ENTRY_KINDS,
+  normalizeValue,
+  hashValue,
+  validateEntry,
+  compileAllowlist,
+  matchAllowlist,
+  applyAllowlist,
+  loadTenantAllowlist
+};
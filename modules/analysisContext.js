@@ -0,0 +1,34 @@
+// Per-tenant analysis context - loads what analyzeText needs for a request
+const { loadTenantDetectors } = require('./customDetectors');
+const { loadTenantAllowlist } = require('./allowlist');
+const Policy = require('../models/Policy');
+
+// Tenant's policy mode (it sets the anomaly thresholds); STANDARD when it cannot be loaded
+async function loadPolicyMode(tenantId) {
+  try {
+    return await Policy.getMode(tenantId);
+  } catch (error) {
+    console.error('Failed to load policy mode:', error.message);
+    return 'STANDARD';
+  }
+}
+
+// Build the context passed to analyzeText / analyzeDocument.
+// Extra fields (userId, userGroup, platform, ...) are carried through unchanged.
+async function loadAnalysisContext(tenantId, context = {}) {
+  const [customDetectors, allowlist, policyMode] = await Promise.all([
+    loadTenantDetectors(tenantId),
+    loadTenantAllowlist(tenantId),
+    context.policyMode || loadPolicyMode(tenantId)
+  ]);
+
+  return {
+    ...context,
+    tenantId,
+    policyMode,
+    customDetectors,
+    allowlist
+  };
+}
+
+module.exports = { loadAnalysisContext };
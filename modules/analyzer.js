@@ -1,4 +1,10 @@
 // Sensitive data detection module
+const { validate } = require('./validators');
+const { runCustomDetectors } = require('./customDetectors');
+const { applyAllowlist } = require('./allowlist');
+const { detectSecrets, isSecretType } = require('./secretScanner');
+const { detectNames } = require('./nameDetector');
+const { categorizeFinding, riskThresholds } = require('./policyEngine');
 
 // Regular expressions for PII detection
 const PII_PATTERNS = {
@@ -18,16 +24,46 @@ const PII_PATTERNS = {
   TAX_ID: /\b\d{2}-?\d{7}\b/g, // EIN format
   VAT_NUMBER: /\b(VAT|Tax ID)[\s:#-]*[A-Z]{2}\d{8,12}\b/gi,
 
-  // API Keys and Secrets
-  API_KEY_OPENAI: /\bsk-[A-Za-z0-9]{48}\b/g,
-  API_KEY_AWS: /\b(AKIA|ASIA)[A-Z0-9]{16}\b/g,
-  API_KEY_GENERIC: /\b(api[_-]?key|apikey|api[_-]?secret)[\s:=]+['"]?[A-Za-z0-9_\-]{20,}['"]?\b/gi,
-  SECRET_KEY: /\b(secret[_-]?key|private[_-]?key|access[_-]?token)[\s:=]+['"]?[A-Za-z0-9_\-]{20,}['"]?\b/gi,
+  // API keys and other credentials are detected by secretScanner
 
   // Sensitive Keywords
   KEYWORDS: /\b(client name|customer name|תיק מס|מספר תיק|salary list|client list|customer list|employee list|confidential|proprietary)\b/gi
 };
 
+// Confidence of a bare regex match, before any checksum validation
+const PATTERN_CONFIDENCE = {
+  EMAIL: 0.95,
+  PHONE: 0.6,
+  SSN: 0.5,
+  CREDIT_CARD: 0.4,
+  ID_NUMBER: 0.3,
+  IBAN: 0.5,
+  ADDRESS: 0.7,
+  PASSPORT: 0.4,
+  DRIVERS_LICENSE: 0.3,
+  MEDICAL_ID: 0.85,
+  TAX_ID: 0.4,
+  VAT_NUMBER: 0.85,
+  KEYWORDS: 0.7
+};
+
+// Confidence assigned after a checksum passes or fails
+const VALIDATED_CONFIDENCE = 0.95;
+const FAILED_VALIDATION_CONFIDENCE = 0.1;
+
+// Types whose undashed form is any 9-digit number (invoice, order and account
+// numbers): a match counts only when written dashed or preceded by its label
+const LABELS = {
+  SSN: /\b(ssn|ss#|social security|soc\.? ?sec)/i,
+  TAX_ID: /\b(ein|tin|tax id|employer id)/i
+};
+const LABEL_WINDOW = 40;
+const LABELLED_CONFIDENCE = 0.85;
+const STRUCTURE_ONLY_CONFIDENCE = 0.6;
+
+// Weight an unvalidated finding carries in the anomaly score
+const UNVALIDATED_WEIGHT = 0.2;
+
 // SQL Injection Patterns
 const SQL_INJECTION_PATTERNS = [
   /(\bUNION\b.*\bSELECT\b)/gi,
@@ -205,33 +241,79 @@ function detectPII(text) {
     }
   }
 
-  return findings;
+  return findings.map(finding => validateFinding(finding, text));
+}
+
+// Attach confidence and validated flag to a PII finding.
+// validated is false when the type carries a checksum and it fails, or when a
+// type in LABELS is a bare number without its label.
+function validateFinding(finding, text = '') {
+  const checksum = validate(finding.type, finding.value);
+  const baseConfidence = PATTERN_CONFIDENCE[finding.type] || 0.5;
+
+  if (LABELS[finding.type] && checksum !== false) {
+    return validateLabelled(finding, text, checksum);
+  }
+
+  if (checksum === null) {
+    return { ...finding, validated: true, confidence: baseConfidence };
+  }
+
+  return {
+    ...finding,
+    validated: checksum,
+    confidence: checksum ? VALIDATED_CONFIDENCE : FAILED_VALIDATION_CONFIDENCE
+  };
+}
+
+// A labelled match is trusted (fully when its structure check passed too); an
+// unlabelled dashed match passes at a lower confidence and a bare number does not
+function validateLabelled(finding, text, checksum) {
+  const before = text.substring(Math.max(0, finding.offsetStart - LABEL_WINDOW), finding.offsetStart);
+  if (LABELS[finding.type].test(before)) {
+    return { ...finding, validated: true, confidence: checksum ? VALIDATED_CONFIDENCE : LABELLED_CONFIDENCE };
+  }
+  if (finding.value.includes('-')) {
+    return { ...finding, validated: true, confidence: checksum ? STRUCTURE_ONLY_CONFIDENCE : PATTERN_CONFIDENCE[finding.type] };
+  }
+  return { ...finding, validated: false, confidence: PATTERN_CONFIDENCE[finding.type] };
+}
+
+// Findings that should drive risk and policy (drops failed checksums)
+function getEffectiveFindings(findings) {
+  return findings.filter(f => f.validated !== false);
 }
 
 // Calculate anomaly score (0-100)
 function calculateAnomalyScore(findings, text) {
   let score = 0;
 
+  // Unvalidated matches (failed checksum) only count at a reduced weight
+  const effectiveFindings = getEffectiveFindings(findings);
+  const unvalidatedCount = findings.length - effectiveFindings.length;
+  const weightedCount = effectiveFindings.length + unvalidatedCount * UNVALIDATED_WEIGHT;
+
   // Base score on number of findings
-  score += Math.min(findings.length * 5, 30);
+  score += Math.min(Math.round(weightedCount * 5), 30);
 
   // High-risk findings add more points
   const highRiskTypes = [
     'SQL_INJECTION', 'XSS_ATTEMPT', 'JAILBREAK_PATTERN',
-    'API_KEY_OPENAI', 'API_KEY_AWS',
     'SSN', 'CREDIT_CARD', 'PASSPORT', 'DRIVERS_LICENSE', 'MEDICAL_ID', 'IBAN'
   ];
-  const highRiskCount = findings.filter(f => highRiskTypes.includes(f.type)).length;
+  const highRiskCount = effectiveFindings.filter(f =>
+    highRiskTypes.includes(f.type) || isSecretType(f.type) || f.severity === 'HIGH'
+  ).length;
   score += highRiskCount * 25; // Increased weight
 
   // Multiple PII types increase score
-  const uniqueTypes = new Set(findings.map(f => f.type));
+  const uniqueTypes = new Set(effectiveFindings.map(f => f.type));
   if (uniqueTypes.size > 3) {
     score += 15;
   }
 
   // Long text with many findings is suspicious
-  if (text.length > 1000 && findings.length > 5) {
+  if (text.length > 1000 && effectiveFindings.length > 5) {
     score += 10;
   }
 
@@ -239,9 +321,24 @@ function calculateAnomalyScore(findings, text) {
 }
 
 // Analyze text for sensitive data
+// context.customDetectors / context.allowlist: compiled by analysisContext.loadAnalysisContext
+// context.policyMode: the tenant's mode, which sets the anomaly score thresholds
 function analyzeText(text, context = {}) {
-  // Detect PII
-  const piiFindings = detectPII(text);
+  // Detect credentials and secrets
+  const secretFindings = detectSecrets(text);
+
+  // Detect PII, ignoring matches inside a secret (e.g. digits within a token)
+  const piiFindings = detectPII(text).filter(f =>
+    !secretFindings.some(s => f.offsetStart < s.offsetEnd && f.offsetEnd > s.offsetStart)
+  );
+
+  // Detect person and organization names (PII_PERSON / PII_ORG)
+  const nameFindings = context.nameDetection === false ? [] : detectNames(text).filter(f =>
+    !secretFindings.some(s => f.offsetStart < s.offsetEnd && f.offsetEnd > s.offsetStart)
+  );
+
+  // Run tenant-defined detectors
+  const customFindings = runCustomDetectors(text, context.customDetectors);
 
   // Detect bulk data
   const bulkData = detectBulkData(text);
@@ -255,12 +352,18 @@ function analyzeText(text, context = {}) {
   // Detect jailbreak
   const jailbreakFindings = detectJailbreak(text);
 
-  // Combine findings
-  let allFindings = [...piiFindings, ...sqlFindings, ...xssFindings, ...jailbreakFindings];
+  // Combine findings; each carries the policy category it is judged under
+  let allFindings = [...secretFindings, ...piiFindings, ...nameFindings, ...customFindings, ...sqlFindings, ...xssFindings, ...jailbreakFindings]
+    .map(categorizeFinding);
+
+  // Drop allowlisted values before they affect the score or the decision
+  const allowlisted = applyAllowlist(allFindings, context.allowlist, context);
+  allFindings = allowlisted.findings;
 
   if (bulkData.isBulk) {
     allFindings.push({
       type: 'BULK_DATA',
+      category: 'BULK_DATA',
       offsetStart: 0,
       offsetEnd: text.length,
       details: { rowCount: bulkData.rowCount }
@@ -275,20 +378,32 @@ function analyzeText(text, context = {}) {
 
   // Check for high-risk patterns
   const hasHighRiskFindings = sqlFindings.length > 0 || xssFindings.length > 0 || jailbreakFindings.length > 0;
-  const hasAPIKeys = allFindings.some(f => f.type.includes('API_KEY') || f.type.includes('SECRET'));
+  const hasAPIKeys = allFindings.some(f => isSecretType(f.type));
+  const effectiveFindings = getEffectiveFindings(allFindings);
 
   // Set risk level based on findings and anomaly score
-  if (hasHighRiskFindings || hasAPIKeys || anomalyScore >= 70) {
+  const thresholds = riskThresholds(context.policyMode);
+  if (hasHighRiskFindings || hasAPIKeys || anomalyScore >= thresholds.high) {
     riskLevel = 'HIGH';
-  } else if (allFindings.length > 0 || bulkData.isBulk || anomalyScore >= 40) {
+  } else if (effectiveFindings.length > 0 || bulkData.isBulk || anomalyScore >= thresholds.medium) {
     riskLevel = 'MEDIUM';
   }
 
   return {
     riskLevel: riskLevel,
     findings: allFindings,
-    anomalyScore: anomalyScore
+    anomalyScore: anomalyScore,
+    suppressedCount: allowlisted.suppressed.length
   };
 }
 
-module.exports = { analyzeText, detectPII, detectBulkData, detectSQLInjection, detectXSS, detectJailbreak };
\ No newline at end of file
+module.exports = {
+  analyzeText,
+  detectPII,
+  detectBulkData,
+  detectSQLInjection,
+  detectXSS,
+  detectJailbreak,
+  calculateAnomalyScore,
+  getEffectiveFindings
+};
\ No newline at end of file
@@ -1,32 +1,127 @@
 // Text anonymization and minimization module
+const { isSecretType } = require('./secretScanner');
+const { normalizeValue } = require('./allowlist');
+const { getPseudonymPrefix, resolveStrategy, maskValue, TOKEN_STRATEGIES } = require('./masking');
+
+// Findings that are reported but never replaced in the text
+const NON_REPLACEABLE_TYPES = ['BULK_DATA', 'EXFIL_ATTEMPT', 'JAILBREAK_PATTERN', 'SQL_INJECTION', 'XSS_ATTEMPT', 'ACTIVE_CONTENT'];
+
+const PLACEHOLDER_PATTERN = /^([A-Z][A-Z_]*)_(\d+)$/;
+
+// Hands out stable placeholders. Seeding it with an existing entity map keeps
+// numbering consistent across a document or wizard session.
+function createPseudonymizer(entityMap = {}) {
+  const map = { ...entityMap };
+  const counters = {};
+  const byValue = new Map();
+
+  for (const [placeholder, entry] of Object.entries(map)) {
+    const match = PLACEHOLDER_PATTERN.exec(placeholder);
+    if (!match || !entry) continue;
+    const [, prefix, index] = match;
+    counters[prefix] = Math.max(counters[prefix] || 0, parseInt(index, 10));
+    byValue.set(`${prefix}:${normalizeValue(entry.originalValue)}`, placeholder);
+  }
+
+  return {
+    entityMap: map,
+    placeholderFor(finding) {
+      const prefix = getPseudonymPrefix(finding);
+      const key = `${prefix}:${normalizeValue(finding.value)}`;
+
+      if (!byValue.has(key)) {
+        counters[prefix] = (counters[prefix] || 0) + 1;
+        const placeholder = `${prefix}_${counters[prefix]}`;
+        map[placeholder] = {
+          originalValue: finding.value,
+          category: finding.category || finding.type
+        };
+        byValue.set(key, placeholder);
+      }
+
+      return byValue.get(key);
+    }
+  };
+}
+
+// Overlapping spans cannot both be replaced; keep the earliest, then the longest
+function removeOverlappingFindings(findings) {
+  const ordered = [...findings].sort((a, b) =>
+    a.offsetStart - b.offsetStart || (b.offsetEnd - b.offsetStart) - (a.offsetEnd - a.offsetStart)
+  );
+  const kept = [];
+  let lastEnd = -1;
+
+  for (const finding of ordered) {
+    if (finding.offsetStart === undefined || finding.offsetEnd === undefined) {
+      kept.push(finding);
+      continue;
+    }
+    if (finding.offsetStart < lastEnd) continue;
+    kept.push(finding);
+    lastEnd = finding.offsetEnd;
+  }
+
+  return kept;
+}
 
 // Anonymization rules
+// policy.mode: 'LABEL' (default) replaces values with type labels such as [EMAIL];
+// 'PSEUDONYMIZE' gives each distinct value a numbered placeholder (EMAIL_1) and
+// returns the placeholder -> value map. Pass policy.entityMap to continue a session.
+// policy.strategies overrides the masking strategy per finding type or category
+// (see masking.js); its default applies in LABEL mode only, so pseudonymization keeps
+// placeholders unless a type or category says otherwise. policy.tenantId keys the
+// HASH and seeded strategies.
 function anonymizeText(text, findings, policy = {}) {
   let sanitizedText = text;
   let changed = false;
   let removedTypes = new Set();
   let bulkDataHandled = false;
 
+  const defaultStrategy = policy.mode === 'PSEUDONYMIZE' ? 'PSEUDONYM' : 'LABEL';
+  const pseudonymizer = createPseudonymizer(policy.entityMap);
+  const replaceable = removeOverlappingFindings(findings.filter(f => !NON_REPLACEABLE_TYPES.includes(f.type)));
+
+  // Resolve each finding's strategy and replacement, in reading order so the first email is EMAIL_1
+  const strategies = new Map();
+  const replacements = new Map();
+  for (const finding of replaceable) {
+    let strategy = resolveStrategy(finding, policy.strategies, defaultStrategy, { explicitOnly: policy.mode === 'PSEUDONYMIZE' });
+    const hasValue = finding.value !== undefined && finding.value !== null;
+
+    if (strategy === 'PSEUDONYM' && hasValue) {
+      replacements.set(finding, pseudonymizer.placeholderFor(finding));
+    } else if (strategy !== 'LABEL' && hasValue) {
+      const masked = maskValue(finding, strategy, { tenantId: policy.tenantId });
+      if (masked !== null) {
+        replacements.set(finding, masked);
+      } else {
+        strategy = 'LABEL';
+      }
+    } else {
+      strategy = 'LABEL';
+    }
+    strategies.set(finding, strategy);
+  }
+
   // Sort findings by offsetStart in descending order to replace from end to start
   // This prevents offset issues when replacing text
-  const sortedFindings = findings.sort((a, b) => b.offsetStart - a.offsetStart);
+  const sortedFindings = [
+    ...replaceable,
+    ...findings.filter(f => f.type === 'BULK_DATA')
+  ].sort((a, b) => b.offsetStart - a.offsetStart);
 
   // Apply anonymization for each finding
   for (const finding of sortedFindings) {
     const { type, offsetStart, offsetEnd, value } = finding;
 
-    // Skip if this is a bulk data finding and we need special handling
+    // Bulk data is not replaced in place: the policy blocks it or the caller minimizes it
     if (type === 'BULK_DATA') {
-      // For v0.1, we'll block bulk data completely
       bulkDataHandled = true;
       continue;
     }
 
-    // Skip security-related findings as they don't need anonymization
-    if (type === 'EXFIL_ATTEMPT' || type === 'JAILBREAK_PATTERN' || type === 'SQL_INJECTION' || type === 'XSS_ATTEMPT') {
-      continue;
-    }
-
     let replacement = '';
 
     switch (type) {
@@ -78,24 +173,39 @@ function anonymizeText(text, findings, policy = {}) {
         replacement = '[VAT]';
         removedTypes.add('VAT_NUMBER');
         break;
-      case 'API_KEY_OPENAI':
-      case 'API_KEY_AWS':
-      case 'API_KEY_GENERIC':
-      case 'SECRET_KEY':
-        replacement = '[API_KEY]';
-        removedTypes.add('API_KEY');
+      case 'PII_PERSON':
+        replacement = '[CLIENT]';
+        removedTypes.add('PII_PERSON');
+        break;
+      case 'PII_ORG':
+        replacement = '[COMPANY]';
+        removedTypes.add('PII_ORG');
         break;
       default:
-        // For other types, we'll mask the content
-        replacement = `[${type}]`;
-        removedTypes.add(type);
+        if (isSecretType(type)) {
+          // Credentials keep their provider type so the LLM knows what was removed
+          replacement = `[${type}]`;
+          removedTypes.add('SECRET');
+        } else {
+          // For other types, we'll mask the content
+          replacement = `[${type}]`;
+          removedTypes.add(type);
+        }
+    }
+
+    if (replacements.has(finding)) {
+      replacement = replacements.get(finding);
+    } else {
+      replacements.set(finding, replacement);
     }
 
     // Replace the sensitive data with anonymized version
     if (replacement && offsetStart !== undefined && offsetEnd !== undefined) {
-      // Add a space after replacement if the original text had one
+      // Add a space after token replacements if the original text had one;
+      // realistic replacements keep the surrounding punctuation untouched
       const afterChar = sanitizedText.charAt(offsetEnd);
-      const addSpace = afterChar && /\s/.test(afterChar) ? '' : ' ';
+      const isToken = TOKEN_STRATEGIES.includes(strategies.get(finding));
+      const addSpace = !isToken || (afterChar && /\s/.test(afterChar)) ? '' : ' ';
 
       sanitizedText = sanitizedText.substring(0, offsetStart) +
         replacement + addSpace +
@@ -104,17 +214,27 @@ function anonymizeText(text, findings, policy = {}) {
     }
   }
 
-  // Handle bulk data minimization
+  // Large tables are blocked or minimized (minimizeBulkData) according to the tenant's bulk data policy
   const bulkDataFinding = findings.find(f => f.type === 'BULK_DATA');
   if (bulkDataFinding && bulkDataFinding.details && bulkDataFinding.details.rowCount > 10) {
-    // For large tables, we block completely in v0.1
-    // In a more advanced version, we could send schema + sample rows
     bulkDataHandled = true;
   }
 
   return {
     sanitizedText: sanitizedText,
     changed: changed,
+    entityMap: pseudonymizer.entityMap,
+    // Strategy and replacement applied per finding (offsets refer to the original text)
+    maskedFindings: replaceable
+      .filter(f => strategies.has(f) && f.offsetStart !== undefined)
+      .map(f => ({
+        type: f.type,
+        category: f.category,
+        offsetStart: f.offsetStart,
+        offsetEnd: f.offsetEnd,
+        strategy: strategies.get(f),
+        replacement: replacements.get(f)
+      })),
     summary: {
       removed: Array.from(removedTypes),
       bulkDataHandled: bulkDataHandled
@@ -122,22 +242,124 @@ function anonymizeText(text, findings, policy = {}) {
   };
 }
 
-// Minimize bulk data (v0.1 implementation - block large tables)
-function minimizeBulkData(text, rowCount) {
-  // For v0.1, we simply block bulk data
-  // In future versions, we could implement schema extraction and sample rows
-  if (rowCount > 10) {
+// Put original values back in place of placeholders (e.g. in an LLM response)
+function rehydrateText(text, entityMap = {}) {
+  const placeholders = Object.keys(entityMap)
+    .filter(p => PLACEHOLDER_PATTERN.test(p) && entityMap[p])
+    .sort((a, b) => b.length - a.length); // EMAIL_10 before EMAIL_1
+
+  if (!text || placeholders.length === 0) {
+    return { text, replaced: 0, placeholders: [] };
+  }
+
+  const used = new Set();
+  let replaced = 0;
+  const pattern = new RegExp(`\\b(?:${placeholders.join('|')})\\b`, 'g');
+  const rehydrated = text.replace(pattern, placeholder => {
+    used.add(placeholder);
+    replaced++;
+    return entityMap[placeholder].originalValue;
+  });
+
+  return { text: rehydrated, replaced, placeholders: Array.from(used) };
+}
+
+// Describe one column for the schema section of minimized text
+function describeColumn(column) {
+  const parts = [column.type];
+  const { statistics } = column;
+
+  if (column.pii) parts.push(`PII: ${column.piiType}`);
+  parts.push(`${statistics.distinct} distinct`);
+  if (statistics.empty > 0) parts.push(`${statistics.empty} empty`);
+  if (statistics.min !== undefined) parts.push(`min ${statistics.min}`, `max ${statistics.max}`);
+  if (statistics.mean !== undefined) parts.push(`mean ${statistics.mean}`);
+
+  return `- ${column.name} (${parts.join(', ')})`;
+}
+
+// Replace every finding in a cell that is not in a PII column (an email in a notes
+// column, a name in a comment) with its placeholder
+function pseudonymizeCell(value, pseudonymizer, analysisContext) {
+  const { analyzeText } = require('./analyzer');
+  const findings = removeOverlappingFindings(analyzeText(value, analysisContext).findings.filter(f =>
+    !NON_REPLACEABLE_TYPES.includes(f.type) && f.value !== undefined && f.value !== null && f.offsetStart !== undefined
+  ));
+
+  return findings.reduceRight(
+    (cell, finding) => cell.slice(0, finding.offsetStart) + pseudonymizer.placeholderFor(finding) + cell.slice(finding.offsetEnd),
+    value
+  );
+}
+
+// Minimize bulk data
+// options.method: 'BLOCK' (default) replaces large tables entirely; 'MINIMIZE'
+// sends a schema, aggregate statistics and options.sampleSize sampled rows with
+// PII columns pseudonymized and every other cell run through the detectors
+// (options.analysisContext: tenant detectors and allowlist). Text that does not
+// parse as a table is blocked.
+function minimizeBulkData(text, rowCount, options = {}) {
+  const { method = 'BLOCK', sampleSize = 5, threshold = 10, entityMap, analysisContext = {} } = options;
+
+  if (rowCount <= threshold) {
     return {
-      minimizedText: "[BULK DATA BLOCKED - Use Document Wizard for safe processing]",
-      changed: true,
-      method: "BLOCK"
+      minimizedText: text,
+      changed: false,
+      method: "NONE"
     };
   }
+
+  const blocked = {
+    minimizedText: "[BULK DATA BLOCKED - Use Document Wizard for safe processing]",
+    changed: true,
+    method: "BLOCK"
+  };
+
+  if (method !== 'MINIMIZE') {
+    return blocked;
+  }
+
+  const { parseTable, profileTable, sampleRowIndexes } = require('./tableProfiler');
+  const table = parseTable(text);
+  if (!table || table.rows.length === 0) {
+    return blocked;
+  }
+
+  const profile = profileTable(table);
+  const pseudonymizer = createPseudonymizer(entityMap);
+
+  // Sampled rows: PII columns become stable placeholders, other cells are masked finding by finding
+  const sampledRows = sampleRowIndexes(table.rows.length, sampleSize).map(index =>
+    profile.columns.map(column => {
+      const value = table.rows[index][column.index] || '';
+      if (value === '') return value;
+      if (column.pii) return pseudonymizer.placeholderFor({ type: column.piiType, value });
+      return pseudonymizeCell(value, pseudonymizer, analysisContext);
+    })
+  );
+
+  const { delimiter } = table;
+  const quote = (cell) => (cell.includes(delimiter) || cell.includes('"') ? `"${cell.replace(/"/g, '""')}"` : cell);
+
+  const minimizedText = [
+    `[BULK DATA MINIMIZED - schema and ${sampledRows.length} of ${profile.rowCount} rows]`,
+    `Rows: ${profile.rowCount}, columns: ${profile.columnCount}`,
+    'Columns:',
+    ...profile.columns.map(describeColumn),
+    'Sample rows:',
+    table.headers.map(quote).join(delimiter),
+    ...sampledRows.map(row => row.map(quote).join(delimiter))
+  ].join('\n');
+
   return {
-    minimizedText: text,
-    changed: false,
-    method: "NONE"
+    minimizedText,
+    changed: true,
+    method: "MINIMIZE",
+    schema: profile.columns.map(({ name, type, pii, piiType, statistics }) => ({ name, type, pii, piiType, statistics })),
+    rowCount: profile.rowCount,
+    sampledRowCount: sampledRows.length,
+    entityMap: pseudonymizer.entityMap
   };
 }
 
-module.exports = { anonymizeText, minimizeBulkData };
\ No newline at end of file
+module.exports = { anonymizeText, minimizeBulkData, createPseudonymizer, getPseudonymPrefix, rehydrateText };
\ No newline at end of file
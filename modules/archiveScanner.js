@@ -0,0 +1,381 @@
+// Archive Scanner - ZIP uploads unpacked into a sandbox and scanned member by member
+// Limits on total uncompressed size, file count and nesting depth guard against
+// zip bombs. Sizes are counted while inflating, never taken from the entry headers.
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { sniffFileType, checkFileType } = require('./fileSniffer');
+
+const ARCHIVE_TYPES = ['zip', 'application/zip', 'application/x-zip-compressed'];
+
+const DEFAULT_LIMITS = {
+  maxTotalBytes: parseInt(process.env.ARCHIVE_MAX_TOTAL_BYTES, 10) || 100 * 1024 * 1024,
+  maxFiles: parseInt(process.env.ARCHIVE_MAX_FILES, 10) || 500,
+  maxDepth: parseInt(process.env.ARCHIVE_MAX_DEPTH, 10) || 3
+};
+
+const RISK_ORDER = ['LOW', 'MEDIUM', 'HIGH'];
+
+// Unix file type bits as stored by zip tools on Unix
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+function isArchive(fileType) {
+  return ARCHIVE_TYPES.includes(String(fileType).toLowerCase());
+}
+
+// Limit violations reject the whole archive; routes map this code to 422
+function limitError(message) {
+  const error = new Error(`Archive rejected: ${message}`);
+  error.code = 'ARCHIVE_LIMIT_EXCEEDED';
+  return error;
+}
+
+// Normalized entry name, or null when it would escape the archive root
+function safeEntryName(name) {
+  const normalized = path.posix.normalize(name.replace(/\\/g, '/'));
+  if (normalized.startsWith('/') || normalized === '..' || normalized.startsWith('../') || /^[a-zA-Z]:/.test(normalized)) {
+    return null;
+  }
+  return normalized;
+}
+
+// Inflate one entry, stopping as soon as the archive-wide byte budget runs out
+function inflateEntry(entry, budget, limits) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = entry.internalStream('nodebuffer');
+
+    stream.on('data', (chunk) => {
+      budget.bytes += chunk.length;
+      if (budget.bytes > limits.maxTotalBytes) {
+        stream.pause();
+        reject(limitError(`uncompressed size exceeds ${limits.maxTotalBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.resume();
+  });
+}
+
+// Write the members of one archive into `dir`, recursing into nested archives.
+// Members are stored under numbered names so entry names never reach the filesystem.
+async function unpackInto(data, dir, parentPath, depth, budget, limits) {
+  const JSZip = require('jszip');
+  const DocumentProcessor = require('./documentProcessor');
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(data);
+  } catch (error) {
+    throw new Error(`Invalid ZIP archive${parentPath ? ` (${parentPath})` : ''}: ${error.message}`);
+  }
+
+  const nodes = [];
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir) continue;
+
+    budget.files++;
+    if (budget.files > limits.maxFiles) {
+      throw limitError(`more than ${limits.maxFiles} files`);
+    }
+
+    const name = safeEntryName(entry.name);
+    const node = {
+      path: parentPath ? `${parentPath}/${name || entry.name}` : (name || entry.name),
+      name: name || entry.name,
+      fileType: path.extname(entry.name).slice(1).toLowerCase(),
+      size: 0,
+      status: 'pending'
+    };
+    nodes.push(node);
+
+    if (!name) {
+      Object.assign(node, { status: 'skipped', reason: 'Unsafe path' });
+      continue;
+    }
+    if (entry.unixPermissions && (entry.unixPermissions & S_IFMT) === S_IFLNK) {
+      Object.assign(node, { status: 'skipped', reason: 'Symbolic link' });
+      continue;
+    }
+
+    const isNested = isArchive(node.fileType);
+    if (!isNested && !DocumentProcessor.isSupported(node.fileType)) {
+      Object.assign(node, { status: 'skipped', reason: `Unsupported file type: ${node.fileType || 'none'}` });
+      continue;
+    }
+
+    const content = await inflateEntry(entry, budget, limits);
+    node.size = content.length;
+
+    // Members are held to the same content check as uploads
+    const check = checkFileType(node.fileType, await sniffFileType(content));
+    if (!check.ok) {
+      Object.assign(node, { status: 'skipped', reason: check.message });
+      continue;
+    }
+
+    if (isNested) {
+      if (depth + 1 > limits.maxDepth) {
+        throw limitError(`archives nested more than ${limits.maxDepth} levels deep`);
+      }
+      node.status = 'archive';
+      node.children = await unpackInto(content, dir, node.path, depth + 1, budget, limits);
+      continue;
+    }
+
+    node.filePath = path.join(dir, `${budget.files}.${node.fileType}`);
+    await fs.writeFile(node.filePath, content, { mode: 0o600 });
+  }
+
+  return nodes;
+}
+
+/**
+ * Run `fn` with an archive unpacked into a private temp directory (removed afterwards)
+ * @param {string} filePath - ZIP file
+ * @param {function} fn - async (nodes, dir) => result; nodes form the member tree
+ * @param {object} limits - { maxTotalBytes, maxFiles, maxDepth }
+ */
+async function withUnpackedArchive(filePath, fn, limits = DEFAULT_LIMITS) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'safeai-archive-'));
+  try {
+    const budget = { bytes: 0, files: 0 };
+    const nodes = await unpackInto(await fs.readFile(filePath), dir, '', 0, budget, { ...DEFAULT_LIMITS, ...limits });
+    return await fn(nodes, dir, budget);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Visit pending members depth-first, in archive order
+async function eachMember(nodes, visit) {
+  for (const node of nodes) {
+    if (node.children) {
+      await eachMember(node.children, visit);
+    } else if (node.status === 'pending') {
+      await visit(node);
+    }
+  }
+}
+
+const higherRisk = (a, b) => (RISK_ORDER.indexOf(b) > RISK_ORDER.indexOf(a) ? b : a);
+
+// Public view of the member tree; archive nodes carry their children's aggregate risk
+function serializeTree(nodes) {
+  return nodes.map(node => {
+    const view = { path: node.path, name: node.name, type: node.fileType, size: node.size, status: node.status };
+    if (node.reason) view.reason = node.reason;
+
+    if (node.children) {
+      view.children = serializeTree(node.children);
+      view.riskLevel = view.children.reduce((risk, child) => higherRisk(risk, child.riskLevel || 'LOW'), 'LOW');
+      view.findingsCount = view.children.reduce((sum, child) => sum + (child.findingsCount || 0), 0);
+    } else if (node.status === 'analyzed') {
+      Object.assign(view, {
+        riskLevel: node.riskLevel,
+        anomalyScore: node.anomalyScore,
+        findingsCount: node.findingsCount,
+        findingsByType: node.findingsByType
+      });
+    }
+    return view;
+  });
+}
+
+function countMembers(nodes, totals = { files: 0, analyzed: 0, skipped: 0, errors: 0 }) {
+  nodes.forEach(node => {
+    if (node.children) {
+      countMembers(node.children, totals);
+      return;
+    }
+    totals.files++;
+    if (node.status === 'analyzed' || node.status === 'extracted') totals.analyzed++;
+    else if (node.status === 'error') totals.errors++;
+    else totals.skipped++;
+  });
+  return totals;
+}
+
+// Header that precedes each member in the combined archive text
+const memberHeader = (node) => `=== File: ${node.path} ===\n`;
+
+/**
+ * Extract the text of every supported member, one "=== File: path ===" section each
+ * @returns {object} - { text, files, totals }
+ */
+async function extractArchiveText(filePath, limits) {
+  const DocumentProcessor = require('./documentProcessor');
+
+  return withUnpackedArchive(filePath, async (nodes, dir, budget) => {
+    const sections = [];
+
+    await eachMember(nodes, async (node) => {
+      try {
+        const extraction = await DocumentProcessor.extractText(node.filePath, node.fileType);
+        sections.push(memberHeader(node) + extraction.text);
+        node.status = 'extracted';
+      } catch (error) {
+        Object.assign(node, { status: 'error', reason: error.message });
+      }
+    });
+
+    return {
+      text: sections.join('\n\n'),
+      files: serializeTree(nodes),
+      totals: { ...countMembers(nodes), uncompressedBytes: budget.bytes }
+    };
+  }, limits);
+}
+
+/**
+ * Analyze every supported member with DocumentProcessor.analyzeDocument.
+ * Returns the analyzeDocument shape for the combined text (findings carry the
+ * member `file` and offsets into the combined text) plus the per-file tree.
+ * @param {string} filePath - ZIP file
+ * @param {object} context - Analysis context (see analysisContext.js)
+ * @returns {object} - { extraction, analysis, summary, archive: { files, riskLevel, totals } }
+ */
+async function scanArchive(filePath, context = {}, limits) {
+  const DocumentProcessor = require('./documentProcessor');
+
+  return withUnpackedArchive(filePath, async (nodes, dir, budget) => {
+    let text = '';
+    const findings = [];
+    let riskLevel = 'LOW';
+    let anomalyScore = 0;
+    let suppressedCount = 0;
+
+    await eachMember(nodes, async (node) => {
+      let result;
+      try {
+        result = await DocumentProcessor.analyzeDocument(node.filePath, node.fileType, context);
+      } catch (error) {
+        Object.assign(node, { status: 'error', reason: error.message });
+        return;
+      }
+
+      if (text) text += '\n\n';
+      text += memberHeader(node);
+      const base = text.length;
+      text += result.extraction.text;
+
+      const { analysis } = result;
+      analysis.findings.forEach(f => {
+        // Findings about the file itself (active content) have no offsets
+        findings.push(f.offsetStart === undefined ?
+          { ...f, file: node.path } :
+          { ...f, offsetStart: f.offsetStart + base, offsetEnd: f.offsetEnd + base, file: node.path });
+      });
+
+      const findingsByType = {};
+      analysis.findings.forEach(f => {
+        findingsByType[f.type] = (findingsByType[f.type] || 0) + 1;
+      });
+
+      Object.assign(node, {
+        status: 'analyzed',
+        riskLevel: analysis.riskLevel,
+        anomalyScore: analysis.anomalyScore,
+        findingsCount: analysis.findings.length,
+        findingsByType
+      });
+      riskLevel = higherRisk(riskLevel, analysis.riskLevel);
+      anomalyScore = Math.max(anomalyScore, analysis.anomalyScore);
+      suppressedCount += analysis.suppressedCount || 0;
+    });
+
+    const files = serializeTree(nodes);
+    const totals = { ...countMembers(nodes), uncompressedBytes: budget.bytes };
+
+    return {
+      extraction: { text, files, totals },
+      analysis: { riskLevel, findings, anomalyScore, suppressedCount },
+      summary: {
+        textLength: text.length,
+        findingsCount: findings.length,
+        riskLevel,
+        anomalyScore,
+        filesAnalyzed: totals.analyzed,
+        filesSkipped: totals.skipped + totals.errors
+      },
+      archive: { files, riskLevel, totals }
+    };
+  }, limits);
+}
+
+// Active content in every member, each finding tagged with the member path
+async function scanArchiveActiveContent(filePath, limits) {
+  const { scanActiveContent } = require('./activeContentScanner');
+
+  return withUnpackedArchive(filePath, async (nodes) => {
+    const findings = [];
+    await eachMember(nodes, async (node) => {
+      (await scanActiveContent(await fs.readFile(node.filePath))).forEach(f => {
+        findings.push({ ...f, file: node.path });
+      });
+    });
+    return findings;
+  }, limits);
+}
+
+// Rebuild one archive level from exported members; skipped or failed members
+// are left out and listed in `omitted`
+async function buildSanitizedZip(nodes, exportMember, omitted) {
+  const JSZip = require('jszip');
+  const zip = new JSZip();
+
+  for (const node of nodes) {
+    if (node.children) {
+      const nested = await buildSanitizedZip(node.children, exportMember, omitted);
+      zip.file(node.name, await nested.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+      continue;
+    }
+    if (node.status !== 'pending') {
+      omitted.push({ file: node.path, reason: node.reason });
+      continue;
+    }
+
+    try {
+      const exported = await exportMember(node, `${node.filePath}.redacted`);
+      // Members exported as plain text keep their name with the new extension appended
+      const name = path.extname(node.name).slice(1).toLowerCase() === exported.format ? node.name : `${node.name}.${exported.format}`;
+      zip.file(name, await fs.readFile(exported.path));
+    } catch (error) {
+      omitted.push({ file: node.path, reason: error.message });
+    }
+  }
+
+  return zip;
+}
+
+/**
+ * Write a sanitized copy of an archive: every supported member redacted by
+ * `exportMember`, nested archives rebuilt, everything else left out
+ * @param {string} inputPath - ZIP file
+ * @param {string} outputPath - Sanitized ZIP to write
+ * @param {function} exportMember - async (member, outputBase) => { path, format }
+ * @returns {object} - { omitted: [{ file, reason }] }
+ */
+async function sanitizeArchive(inputPath, outputPath, exportMember, limits) {
+  return withUnpackedArchive(inputPath, async (nodes) => {
+    const omitted = [];
+    const zip = await buildSanitizedZip(nodes, exportMember, omitted);
+    await fs.writeFile(outputPath, await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+    return { omitted };
+  }, limits);
+}
+
+module.exports = {
+  ARCHIVE_TYPES,
+  DEFAULT_LIMITS,
+  isArchive,
+  withUnpackedArchive,
+  extractArchiveText,
+  scanArchive,
+  scanArchiveActiveContent,
+  sanitizeArchive
+};
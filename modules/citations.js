@@ -0,0 +1,193 @@
+// Citations - structured, verifiable sources for Wizard answers
+// The model answers in JSON, citing the chunk ids it was given (see retrieval.js)
+// with a verbatim quote. Each quote is located in the sanitized text, giving
+// character offsets and, for PDFs, a page number; claims with no verified
+// citation are flagged.
+
+// Page breaks in extracted PDF text (DocumentProcessor.PAGE_BREAK)
+const PAGE_BREAK_CHAR = '\f';
+
+// Answers that only say the document lacks the information are not claims
+const NO_INFORMATION = /(not (provided|mentioned|stated|specified|covered|contained)|does not (contain|mention|say|specify)|no information)/i;
+
+// Output format appended to the Q&A prompt
+const CITATION_INSTRUCTIONS = `[CITATIONS]
+Respond with JSON only, in this format:
+{
+  "answer": "Your answer, with the chunk id after each statement, e.g. \\"Payment is due within 30 days [C3].\\"",
+  "claims": [
+    { "text": "Payment is due within 30 days", "citations": [{ "chunkId": "C3", "quote": "words copied exactly from chunk C3" }] }
+  ]
+}
+- Every factual statement in the answer must be a claim with at least one citation
+- Only cite chunk ids that appear in the DOCUMENT EXCERPTS
+- Quotes must be copied verbatim from the cited chunk (one sentence or less)
+- If the document does not contain the answer, say so in "answer" and return "claims": []`;
+
+// The JSON object in a model response (fenced or surrounded by prose), or null
+function extractJson(raw) {
+  const text = String(raw || '').replace(/```(?:json)?/gi, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Claims from inline [C3] markers, one per sentence, for answers that are not JSON
+function claimsFromMarkers(answer) {
+  return answer
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence && !NO_INFORMATION.test(sentence))
+    .map(sentence => ({
+      text: sentence.replace(/\s*\[C\d+\]/g, '').trim(),
+      citations: Array.from(sentence.matchAll(/\[(C\d+)\]/g), match => ({ chunkId: match[1] }))
+    }));
+}
+
+/**
+ * Parse a model response into { answer, claims }
+ * @param {string} raw - Model output
+ * @returns {object} - { answer, claims: [{ text, citations: [{ chunkId, quote }] }], structured }
+ */
+function parseAnswer(raw) {
+  const parsed = extractJson(raw);
+  if (parsed && typeof parsed.answer === 'string') {
+    const claims = (Array.isArray(parsed.claims) ? parsed.claims : [])
+      .filter(claim => claim && typeof claim.text === 'string')
+      .map(claim => ({
+        text: claim.text.trim(),
+        citations: (Array.isArray(claim.citations) ? claim.citations : [])
+          .filter(c => c && c.chunkId)
+          .map(c => ({ chunkId: String(c.chunkId).replace(/^\[|\]$/g, ''), quote: typeof c.quote === 'string' ? c.quote : undefined }))
+      }));
+    return { answer: parsed.answer.trim(), claims, structured: true };
+  }
+
+  const answer = String(raw || '').trim();
+  return { answer, claims: claimsFromMarkers(answer), structured: false };
+}
+
+// Case- and whitespace-insensitive search; offsets refer to `haystack`
+function findPassage(haystack, quote, from = 0, to = haystack.length) {
+  const needle = quote.replace(/\s+/g, ' ').trim().toLowerCase();
+  if (!needle) return null;
+
+  // Normalized copy of the window with a map back to original positions
+  let normalized = '';
+  const positions = [];
+  let lastWasSpace = false;
+  for (let i = from; i < to; i++) {
+    const isSpace = /\s/.test(haystack[i]);
+    if (isSpace && lastWasSpace) continue;
+    normalized += isSpace ? ' ' : haystack[i].toLowerCase();
+    positions.push(i);
+    lastWasSpace = isSpace;
+  }
+
+  const index = normalized.indexOf(needle);
+  if (index === -1) return null;
+  return { start: positions[index], end: positions[index + needle.length - 1] + 1 };
+}
+
+// 1-based page of an offset when the text has page breaks, otherwise null
+function pageAt(text, offset) {
+  if (!text.includes(PAGE_BREAK_CHAR)) return null;
+
+  let page = 1;
+  for (let i = text.indexOf(PAGE_BREAK_CHAR); i !== -1 && i < offset; i = text.indexOf(PAGE_BREAK_CHAR, i + 1)) {
+    page++;
+  }
+  return page;
+}
+
+/**
+ * Check every cited passage against the sanitized text
+ * @param {object} parsed - Result of parseAnswer
+ * @param {Array} chunks - Chunks sent with the question ({ id, start, end, text })
+ * @param {string} sanitizedText - Text the chunks were cut from
+ * @returns {object} - { answer, citations, claims, uncitedClaims }
+ *   citations: [{ id, chunkId, quote, start, end, page, verified, reason }]
+ *   claims: [{ text, citations: [citation ids], uncited }]
+ */
+function resolveCitations(parsed, chunks, sanitizedText) {
+  const text = String(sanitizedText || '');
+  const chunksById = new Map(chunks.map(chunk => [chunk.id, chunk]));
+  const citations = [];
+  const byKey = new Map();
+
+  const addCitation = (citation) => {
+    const key = `${citation.chunkId}:${citation.start}:${citation.end}:${citation.verified}`;
+    if (!byKey.has(key)) {
+      const numbered = { id: citations.length + 1, ...citation };
+      citations.push(numbered);
+      byKey.set(key, numbered);
+    }
+    return byKey.get(key);
+  };
+
+  const claims = parsed.claims.map(claim => {
+    const resolved = claim.citations.map(({ chunkId, quote }) => {
+      const chunk = chunksById.get(chunkId);
+      if (!chunk) {
+        return addCitation({ chunkId, quote, start: null, end: null, page: null, verified: false, reason: 'Unknown chunk id' });
+      }
+
+      // No quote: the citation points at the whole chunk but nothing in it is shown to
+      // support the claim, so it does not count as verified
+      if (!quote || !quote.trim()) {
+        return addCitation({
+          chunkId,
+          quote: null,
+          start: chunk.start,
+          end: chunk.end,
+          page: pageAt(text, chunk.start),
+          verified: false,
+          reason: 'No supporting quote'
+        });
+      }
+
+      // The quote should be in the cited chunk; accept it elsewhere in the document too
+      const match = findPassage(text, quote, chunk.start, chunk.end) || findPassage(text, quote);
+      if (!match) {
+        return addCitation({ chunkId, quote, start: null, end: null, page: null, verified: false, reason: 'Quote not found in the document' });
+      }
+      return addCitation({
+        chunkId,
+        quote: text.slice(match.start, match.end),
+        start: match.start,
+        end: match.end,
+        page: pageAt(text, match.start),
+        verified: true,
+        ...(match.start < chunk.start || match.end > chunk.end ? { reason: 'Quote found outside the cited chunk' } : {})
+      });
+    });
+
+    const uniqueIds = [...new Set(resolved.map(c => c.id))];
+    return {
+      text: claim.text,
+      citations: uniqueIds,
+      uncited: !resolved.some(c => c.verified)
+    };
+  });
+
+  return {
+    answer: parsed.answer,
+    citations,
+    claims,
+    uncitedClaims: claims.filter(claim => claim.uncited).length
+  };
+}
+
+module.exports = {
+  CITATION_INSTRUCTIONS,
+  parseAnswer,
+  findPassage,
+  pageAt,
+  resolveCitations
+};
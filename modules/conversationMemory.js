@@ -0,0 +1,146 @@
+// Conversation Memory - multi-turn context for Wizard questions
+// Each question is masked like the document before it is sent or stored, so the
+// history holds sanitized text only. Recent turns are replayed verbatim within a
+// character budget; older ones are folded into a running summary.
+const { analyzeText } = require('./analyzer');
+const { anonymizeText } = require('./anonymizer');
+
+// Characters of recent turns replayed verbatim (the newest exchange always is)
+const HISTORY_CHARS = parseInt(process.env.WIZARD_HISTORY_CHARS, 10) || 4000;
+// Cap on the running summary of older turns
+const SUMMARY_MAX_CHARS = 1500;
+
+const PLACEHOLDER = /\b[A-Z][A-Z_]*_\d+\b/g;
+
+/**
+ * Mask sensitive data in a question before it reaches the LLM or the history
+ * @param {string} question - Question as typed
+ * @param {object} options - { analysisContext, policy, turns }
+ *   policy: anonymizeText policy used for the document (entityMap continues its placeholders)
+ *   turns: stored turns; their placeholders are not handed out again
+ * @returns {object} - { text, detectedTypes, entityMap }
+ */
+function maskQuestion(question, options = {}) {
+  const { analysisContext, policy = {}, turns = [] } = options;
+  const analysis = analyzeText(question, analysisContext);
+  if (analysis.findings.length === 0) {
+    return { text: question, detectedTypes: [], entityMap: policy.entityMap || {} };
+  }
+
+  // Placeholders from earlier questions are not in the document's map; reserve them
+  const reserved = {};
+  turns.forEach(turn => (turn.content.match(PLACEHOLDER) || []).forEach(placeholder => {
+    if (!policy.entityMap || !policy.entityMap[placeholder]) {
+      reserved[placeholder] = { originalValue: placeholder, category: 'RESERVED' };
+    }
+  }));
+
+  const anonymized = anonymizeText(question, analysis.findings, {
+    ...policy,
+    entityMap: { ...reserved, ...(policy.entityMap || {}) }
+  });
+  Object.keys(reserved).forEach(placeholder => delete anonymized.entityMap[placeholder]);
+
+  return {
+    text: anonymized.sanitizedText,
+    detectedTypes: [...new Set(analysis.findings.map(f => f.type))],
+    entityMap: anonymized.entityMap
+  };
+}
+
+/**
+ * Split stored turns into those replayed verbatim and those to fold into the summary
+ * @param {Array} turns - Turns, oldest first
+ * @param {object|null} summary - { summary, through_turn }
+ * @param {number} budget - Characters of verbatim history
+ * @returns {object} - { recent, unsummarized } where unsummarized are older turns
+ *   not yet covered by the summary
+ */
+function windowTurns(turns, summary, budget = HISTORY_CHARS) {
+  const summarizedThrough = summary ? summary.through_turn : 0;
+  const pending = turns.filter(turn => turn.turn_index > summarizedThrough);
+
+  let used = 0;
+  let cut = pending.length;
+  while (cut > 0) {
+    const turn = pending[cut - 1];
+    // Keep the newest exchange (question and answer) whatever its size
+    if (used + turn.content.length > budget && pending.length - cut >= 2) break;
+    used += turn.content.length;
+    cut--;
+  }
+  // Do not separate a question from its answer
+  if (cut > 0 && cut < pending.length && pending[cut].role === 'assistant') cut++;
+
+  return { recent: pending.slice(cut), unsummarized: pending.slice(0, cut) };
+}
+
+const formatTurns = (turns) => turns
+  .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+  .join('\n');
+
+// Prompt that extends the running summary with older turns
+function buildSummaryPrompt(previousSummary, turns) {
+  return `Update the summary of a conversation about a document.
+Keep the questions asked, the facts established in the answers and anything the user said they care about.
+Keep placeholders such as CLIENT_1 exactly as written. At most ${Math.floor(SUMMARY_MAX_CHARS / 6)} words.
+
+${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}New turns:
+${formatTurns(turns)}
+
+Updated summary:`;
+}
+
+// Summary without an LLM: the questions asked so far, newest kept when over the cap
+function fallbackSummary(previousSummary, turns) {
+  const questions = turns.filter(turn => turn.role === 'user').map(turn => `- ${turn.content}`);
+  const lines = [...(previousSummary ? previousSummary.split('\n') : ['Earlier questions:']), ...questions];
+
+  while (lines.join('\n').length > SUMMARY_MAX_CHARS && lines.length > 2) {
+    lines.splice(1, 1);
+  }
+  return lines.join('\n').slice(0, SUMMARY_MAX_CHARS);
+}
+
+// Query for chunk retrieval: follow-ups ("and the second clause?") lean on the previous question
+function retrievalQuery(question, recent) {
+  const previous = [...recent].reverse().find(turn => turn.role === 'user');
+  return previous ? `${question}\n${previous.content}` : question;
+}
+
+// OpenAI chat messages for replayed turns
+function toChatMessages(turns) {
+  return turns.map(turn => ({ role: turn.role, content: turn.content }));
+}
+
+// Gemini chat history for replayed turns
+function toGeminiHistory(turns) {
+  return turns.map(turn => ({
+    role: turn.role === 'assistant' ? 'model' : 'user',
+    parts: [{ text: turn.content }]
+  }));
+}
+
+// Turn as returned by the history endpoints
+function describeTurn(turn) {
+  return {
+    index: turn.turn_index,
+    role: turn.role,
+    content: turn.content,
+    detectedTypes: turn.detected_types || [],
+    createdAt: turn.created_at
+  };
+}
+
+module.exports = {
+  HISTORY_CHARS,
+  SUMMARY_MAX_CHARS,
+  maskQuestion,
+  windowTurns,
+  buildSummaryPrompt,
+  fallbackSummary,
+  retrievalQuery,
+  toChatMessages,
+  toGeminiHistory,
+  describeTurn
+};
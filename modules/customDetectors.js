@@ -0,0 +1,338 @@
+// Tenant-defined custom detectors (regexes and keyword dictionaries)
+const DETECTOR_KINDS = ['REGEX', 'DICTIONARY'];
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH'];
+
+const MAX_PATTERN_LENGTH = 500;
+const MAX_TERMS = 5000;
+const MAX_TERM_LENGTH = 200;
+const MAX_MATCHES_PER_DETECTOR = 1000;
+
+// Detectors scan long text in overlapping segments and stop at a time budget,
+// so a slow pattern costs a bounded amount per request
+const SCAN_SEGMENT_LENGTH = 4000;
+const SCAN_SEGMENT_OVERLAP = 500;
+const SCAN_TIME_BUDGET_MS = 250;
+
+// Backtracking probe: inputs grow until a single run exceeds the budget; the short
+// inputs catch exponential patterns, the long ones polynomial ones such as \d+\d+x
+const PROBE_TIME_BUDGET_MS = 50;
+const PROBE_LENGTHS = [12, 16, 20, 24, 28, 32, 100, 250, 500, 1000];
+const PROBE_ALPHABETS = ['a', '1', ' ', 'aA1_-.', 'ab'];
+
+// Static star-height check for constructs that cause catastrophic backtracking:
+// back-references, and a repeating quantifier (*, +, {n,} or an upper bound over 10)
+// applied to a group that contains any quantifier or an alternation, e.g.
+// (a+)+, (\w*\s?)*, (\d{1,3})+ or (a|ab)*. Timing probes alone miss patterns
+// that are only slow on inputs the probe does not try.
+const MAX_NESTED_REPEAT = 10;
+
+function findNestedQuantifier(pattern) {
+  const newFrame = () => ({ hasQuantifier: false, hasAlternation: false });
+  const stack = [newFrame()];
+  let i = 0;
+
+  // Returns { length, repeats } for a quantifier at position p, or null.
+  // A lazy or possessive suffix (?) is part of the quantifier.
+  const quantifierAt = (p) => {
+    const char = pattern[p];
+    let length = 0;
+    let repeats = false;
+    if (char === '+' || char === '*') {
+      length = 1;
+      repeats = true;
+    } else if (char === '?') {
+      length = 1;
+    } else if (char === '{') {
+      const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(p));
+      if (!match) return null;
+      length = match[0].length;
+      const upper = match[2] === undefined ? match[1] : match[3];
+      repeats = upper === '' || parseInt(upper, 10) > MAX_NESTED_REPEAT;
+    } else {
+      return null;
+    }
+    if (pattern[p + length] === '?') length++;
+    return { length, repeats };
+  };
+
+  while (i < pattern.length) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      const next = pattern[i + 1];
+      if (/[1-9]/.test(next) || next === 'k') {
+        return 'Back-references are not allowed';
+      }
+      i += 2;
+    } else if (char === '[') {
+      // Skip the character class body
+      i++;
+      while (i < pattern.length && pattern[i] !== ']') {
+        i += pattern[i] === '\\' ? 2 : 1;
+      }
+      i++;
+    } else if (char === '(') {
+      stack.push(newFrame());
+      i++;
+      // Skip the group prefix: (?: (?= (?! (?<= (?<! (?<name>
+      const prefix = /^\?(<[A-Za-z_][A-Za-z0-9_]*>|<=|<!|[:=!])/.exec(pattern.slice(i));
+      if (prefix) i += prefix[0].length;
+      continue;
+    } else if (char === '|') {
+      stack[stack.length - 1].hasAlternation = true;
+      i++;
+      continue;
+    } else if (char === ')') {
+      const frame = stack.length > 1 ? stack.pop() : newFrame();
+      const quantifier = quantifierAt(i + 1);
+      if (quantifier && quantifier.repeats && (frame.hasQuantifier || frame.hasAlternation)) {
+        return frame.hasQuantifier
+          ? 'Nested quantifiers are not allowed (a repeated group may not contain a quantifier)'
+          : 'Repeated alternation is not allowed (a repeated group may not contain |)';
+      }
+      if (quantifier || frame.hasQuantifier) {
+        stack[stack.length - 1].hasQuantifier = true;
+      }
+      i += 1 + (quantifier ? quantifier.length : 0);
+      continue;
+    } else {
+      i++;
+    }
+
+    // Quantifier applied to the atom just consumed
+    const quantifier = quantifierAt(i);
+    if (quantifier) {
+      stack[stack.length - 1].hasQuantifier = true;
+      i += quantifier.length;
+    }
+  }
+
+  return null;
+}
+
+// Run the compiled regex against adversarial inputs and time it
+function probeBacktracking(regex) {
+  for (const alphabet of PROBE_ALPHABETS) {
+    for (const length of PROBE_LENGTHS) {
+      const input = alphabet.repeat(Math.ceil(length / alphabet.length)).slice(0, length) + '\u0000!';
+      const start = Date.now();
+      regex.lastIndex = 0;
+      regex.test(input);
+      if (Date.now() - start > PROBE_TIME_BUDGET_MS) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+// Check a user-supplied regex for safety before it is stored
+function checkRegexSafety(pattern, caseSensitive = false) {
+  if (typeof pattern !== 'string' || pattern.length === 0) {
+    return { safe: false, reason: 'Pattern is required' };
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return { safe: false, reason: `Pattern exceeds ${MAX_PATTERN_LENGTH} characters` };
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(pattern, caseSensitive ? 'g' : 'gi');
+  } catch (error) {
+    return { safe: false, reason: `Invalid regular expression: ${error.message}` };
+  }
+
+  if (regex.test('')) {
+    return { safe: false, reason: 'Pattern matches the empty string' };
+  }
+
+  const nested = findNestedQuantifier(pattern);
+  if (nested) {
+    return { safe: false, reason: nested };
+  }
+
+  if (!probeBacktracking(regex)) {
+    return { safe: false, reason: 'Pattern is too slow on adversarial input (catastrophic backtracking)' };
+  }
+
+  return { safe: true };
+}
+
+// Validate a detector definition from the admin API
+function validateDetector(definition) {
+  const errors = [];
+  const { name, kind, pattern, terms, category, severity } = definition;
+
+  if (!name || typeof name !== 'string' || name.length > 100) {
+    errors.push('name is required (max 100 characters)');
+  }
+  if (!DETECTOR_KINDS.includes(kind)) {
+    errors.push(`kind must be one of ${DETECTOR_KINDS.join(', ')}`);
+  }
+  if (severity !== undefined && !SEVERITIES.includes(severity)) {
+    errors.push(`severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (category !== undefined && (typeof category !== 'string' || !/^[A-Z][A-Z0-9_]{0,49}$/.test(category))) {
+    errors.push('category must be an upper-case identifier (e.g. INTERNAL)');
+  }
+
+  if (kind === 'REGEX') {
+    const safety = checkRegexSafety(pattern, definition.case_sensitive);
+    if (!safety.safe) errors.push(safety.reason);
+  }
+
+  if (kind === 'DICTIONARY') {
+    if (!Array.isArray(terms) || terms.length === 0) {
+      errors.push('terms must be a non-empty array');
+    } else if (terms.length > MAX_TERMS) {
+      errors.push(`terms may contain at most ${MAX_TERMS} entries`);
+    } else if (terms.some(t => typeof t !== 'string' || !t.trim() || t.length > MAX_TERM_LENGTH)) {
+      errors.push(`each term must be a non-empty string of at most ${MAX_TERM_LENGTH} characters`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// Finding type emitted by a detector, e.g. "Matter numbers" -> CUSTOM_MATTER_NUMBERS
+function getDetectorType(detector) {
+  const slug = String(detector.name || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return `CUSTOM_${slug || String(detector.id).replace(/[^A-Za-z0-9]/g, '').slice(0, 8).toUpperCase()}`;
+}
+
+function escapeRegex(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile a single stored detector into a global RegExp
+function compileDetector(detector) {
+  const caseSensitive = !!detector.case_sensitive;
+
+  if (detector.kind === 'DICTIONARY') {
+    const terms = (typeof detector.terms === 'string' ? JSON.parse(detector.terms) : detector.terms || [])
+      .map(t => t.trim())
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegex);
+    if (terms.length === 0) return null;
+
+    // Unicode-aware word boundaries so Hebrew terms are matched as whole words
+    return new RegExp(
+      `(?<![\\p{L}\\p{N}_])(?:${terms.join('|')})(?![\\p{L}\\p{N}_])`,
+      caseSensitive ? 'gu' : 'giu'
+    );
+  }
+
+  return new RegExp(detector.pattern, caseSensitive ? 'g' : 'gi');
+}
+
+// Compile stored detectors for use by analyzeText; invalid ones are skipped
+function compileDetectors(detectors) {
+  const compiled = [];
+
+  for (const detector of detectors) {
+    try {
+      const regex = compileDetector(detector);
+      if (!regex) continue;
+
+      compiled.push({
+        id: detector.id,
+        name: detector.name,
+        kind: detector.kind,
+        type: getDetectorType(detector),
+        category: detector.category || 'INTERNAL',
+        severity: detector.severity || 'MEDIUM',
+        regex
+      });
+    } catch (error) {
+      console.error(`Skipping custom detector ${detector.id}:`, error.message);
+    }
+  }
+
+  return compiled;
+}
+
+// Run one detector over text, segment by segment. A match starting in the overlap
+// belongs to the next segment, so no match is reported twice.
+function runDetector(text, detector) {
+  const { regex } = detector;
+  const findings = [];
+  const started = Date.now();
+
+  for (let segmentStart = 0; segmentStart < text.length; segmentStart += SCAN_SEGMENT_LENGTH - SCAN_SEGMENT_OVERLAP) {
+    if (Date.now() - started > SCAN_TIME_BUDGET_MS) {
+      console.warn(`Custom detector ${detector.id} stopped at ${segmentStart} of ${text.length} characters (time budget)`);
+      break;
+    }
+
+    const segmentEnd = Math.min(text.length, segmentStart + SCAN_SEGMENT_LENGTH);
+    const lastSegment = segmentEnd === text.length;
+    const ownedEnd = lastSegment ? segmentEnd : segmentEnd - SCAN_SEGMENT_OVERLAP;
+    const segment = text.substring(segmentStart, segmentEnd);
+
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(segment)) !== null && findings.length < MAX_MATCHES_PER_DETECTOR) {
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+      if (segmentStart + match.index >= ownedEnd) break;
+
+      findings.push({
+        type: detector.type,
+        offsetStart: segmentStart + match.index,
+        offsetEnd: segmentStart + match.index + match[0].length,
+        value: match[0],
+        category: detector.category,
+        severity: detector.severity,
+        detectorId: detector.id,
+        validated: true,
+        confidence: detector.kind === 'DICTIONARY' ? 0.95 : 0.8
+      });
+    }
+
+    if (lastSegment || findings.length >= MAX_MATCHES_PER_DETECTOR) break;
+  }
+
+  return findings;
+}
+
+// Run compiled detectors over text
+function runCustomDetectors(text, compiledDetectors = []) {
+  const findings = [];
+
+  for (const detector of compiledDetectors) {
+    findings.push(...runDetector(text, detector));
+  }
+
+  return findings;
+}
+
+// Load and compile the enabled detectors for a tenant
+async function loadTenantDetectors(tenantId) {
+  if (!tenantId) return [];
+
+  try {
+    const CustomDetector = require('../models/CustomDetector');
+    const detectors = await CustomDetector.findByTenant(tenantId, { enabledOnly: true });
+    return compileDetectors(detectors);
+  } catch (error) {
+    console.error('Failed to load custom detectors:', error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  DETECTOR_KINDS,
+  SEVERITIES,
+  checkRegexSafety,
+  validateDetector,
+  getDetectorType,
+  compileDetectors,
+  runCustomDetectors,
+  loadTenantDetectors
+};
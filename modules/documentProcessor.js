@@ -3,16 +3,68 @@ const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 const XLSX = require('xlsx');
 const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
 const { analyzeText } = require('./analyzer');
+const { scanActiveContent, applyActiveContent } = require('./activeContentScanner');
+const formats = require('./formatExtractors');
+
+// Attachments inside attachments (forwarded mail) are followed this deep
+const MAX_ATTACHMENT_DEPTH = 3;
+
+// Extensions and MIME types handled by extractText
+const SUPPORTED_TYPES = [
+    'pdf', 'application/pdf',
+    'docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'xlsx', 'xls', 'csv', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/vnd.ms-excel', 'text/csv',
+    'txt', 'text/plain',
+    'eml', 'message/rfc822',
+    'msg', 'application/vnd.ms-outlook',
+    'pptx', 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'html', 'htm', 'text/html',
+    'md', 'markdown', 'text/markdown',
+    'json', 'application/json',
+    'rtf', 'application/rtf', 'text/rtf',
+    'zip', 'application/zip', 'application/x-zip-compressed'
+];
+
+// Separates PDF pages in extracted text. The form feed is whitespace to the
+// detectors and survives anonymization, so page numbers can be recovered from
+// offsets in the sanitized text (see citations.js).
+const PAGE_BREAK = '\n\f\n';
 
 class DocumentProcessor {
-    // Extract text from PDF
+    static get PAGE_BREAK() {
+        return PAGE_BREAK;
+    }
+
+    // Text of one PDF page (pdf-parse page callback): items on a line joined, lines by newlines
+    static renderPdfPageText(pageData) {
+        return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+            .then(textContent => {
+                let lastY;
+                let text = '';
+                for (const item of textContent.items) {
+                    text += (lastY === item.transform[5] || lastY === undefined) ? item.str : `\n${item.str}`;
+                    lastY = item.transform[5];
+                }
+                return text;
+            });
+    }
+
+    // Extract text from PDF, pages separated by PAGE_BREAK
     static async extractFromPDF(filePath) {
         try {
             const dataBuffer = await fs.readFile(filePath);
-            const data = await pdfParse(dataBuffer);
+            const pageTexts = [];
+            const data = await pdfParse(dataBuffer, {
+                pagerender: pageData => this.renderPdfPageText(pageData).then(text => {
+                    pageTexts.push(text);
+                    return text;
+                })
+            });
             return {
-                text: data.text,
+                text: pageTexts.join(PAGE_BREAK),
                 pages: data.numpages,
                 info: data.info
             };
@@ -58,6 +110,79 @@ class DocumentProcessor {
         }
     }
 
+    // Parse a workbook into sheets of { name, headers, rows } for tabular anonymization
+    static async extractWorkbook(filePath) {
+        try {
+            const workbook = XLSX.readFile(filePath, { cellDates: false });
+
+            return workbook.SheetNames.map(sheetName => {
+                const grid = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+                    header: 1,
+                    raw: false,
+                    defval: '',
+                    blankrows: false
+                }).map(row => row.map(cell => String(cell).trim()));
+
+                const [headers = [], ...rows] = grid;
+                return {
+                    name: sheetName,
+                    headers: headers.map((h, i) => h || `column_${i + 1}`),
+                    rows: rows.map(row => headers.map((_, i) => row[i] || ''))
+                };
+            });
+        } catch (error) {
+            console.error('Workbook parsing error:', error);
+            throw new Error('Failed to parse spreadsheet');
+        }
+    }
+
+    // k-anonymize every sheet of a workbook; returns CSV text in the same
+    // "=== Sheet: name ===" layout as extractFromExcel plus a per-sheet report
+    static async anonymizeWorkbook(filePath, config = {}) {
+        const { anonymizeTable } = require('./kAnonymity');
+        const sheets = await this.extractWorkbook(filePath);
+
+        let text = '';
+        const reports = [];
+
+        for (const sheet of sheets) {
+            const result = anonymizeTable(sheet, config);
+            const csv = XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet([result.headers, ...result.rows]));
+            text += `\n=== Sheet: ${sheet.name} ===\n${csv}\n`;
+            reports.push({ sheet: sheet.name, ...result.report });
+        }
+
+        return { text, sheets: reports };
+    }
+
+    // Spreadsheets: k-anonymize quasi-identifiers on the parsed workbook, then
+    // mask any PII left in free-text cells with the regular anonymizer
+    static async anonymizeSpreadsheet(filePath, options = {}) {
+        const { kAnonymity = {}, analysisContext = {}, policy = {} } = options;
+        const { createPseudonymizer } = require('./anonymizer');
+
+        const pseudonymizer = createPseudonymizer(policy.entityMap);
+        const tabular = await this.anonymizeWorkbook(filePath, { ...kAnonymity, pseudonymizer });
+
+        const residual = analyzeText(tabular.text, analysisContext);
+        const anonymized = this.anonymizeDocumentText(tabular.text, residual.findings, {
+            ...policy,
+            entityMap: pseudonymizer.entityMap
+        });
+
+        return { ...anonymized, kAnonymity: tabular.sheets };
+    }
+
+    // Whether a file type is a spreadsheet handled by the tabular pipeline
+    static isSpreadsheet(fileType) {
+        return [
+            'xlsx', 'xls', 'csv',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'application/vnd.ms-excel',
+            'text/csv'
+        ].includes(String(fileType).toLowerCase());
+    }
+
     // Extract text from TXT
     static async extractFromTXT(filePath) {
         try {
@@ -69,8 +194,211 @@ class DocumentProcessor {
         }
     }
 
+    // Extract headers, body and attachments from an RFC 822 email
+    static async extractFromEML(filePath, depth = 0) {
+        try {
+            const email = formats.parseEmail(await fs.readFile(filePath));
+            return await this.buildEmailExtraction(email, depth);
+        } catch (error) {
+            console.error('EML extraction error:', error);
+            throw new Error('Failed to extract text from EML');
+        }
+    }
+
+    // Extract headers, body and attachments from an Outlook .msg
+    static async extractFromMSG(filePath, depth = 0) {
+        try {
+            const email = formats.parseMsg(await fs.readFile(filePath));
+            return await this.buildEmailExtraction(email, depth);
+        } catch (error) {
+            console.error('MSG extraction error:', error);
+            throw new Error('Failed to extract text from MSG');
+        }
+    }
+
+    // Email text followed by the text of each attachment
+    static async buildEmailExtraction(email, depth) {
+        let text = formats.formatEmail(email);
+        const attachments = [];
+
+        for (const attachment of email.attachments) {
+            const extracted = await this.extractAttachment(attachment, depth + 1);
+            attachments.push({ filename: attachment.filename, contentType: attachment.contentType, extracted: extracted.ok });
+            text += `\n\n=== Attachment: ${attachment.filename} ===\n${extracted.text}`;
+        }
+
+        return {
+            text,
+            headers: email.headers,
+            attachments
+        };
+    }
+
+    // Extract an attachment with the extractor for its extension
+    static async extractAttachment(attachment, depth) {
+        if (depth > MAX_ATTACHMENT_DEPTH) {
+            return { ok: false, text: '[Attachment not extracted: nested too deeply]' };
+        }
+
+        // Outlook items attached to a .msg are already parsed
+        if (attachment.message) {
+            const nested = await this.buildEmailExtraction(attachment.message, depth);
+            return { ok: true, text: nested.text };
+        }
+
+        const extension = path.extname(attachment.filename).slice(1).toLowerCase() ||
+            (attachment.contentType === 'message/rfc822' ? 'eml' : '');
+        if (!this.isSupported(extension)) {
+            return { ok: false, text: `[Attachment not extracted: unsupported type ${extension || attachment.contentType}]` };
+        }
+
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'safeai-attachment-'));
+        const filePath = path.join(dir, `attachment.${extension}`);
+        try {
+            await fs.writeFile(filePath, attachment.content, { mode: 0o600 });
+            const extraction = await this.extractText(filePath, extension, { depth });
+            return { ok: true, text: extraction.text };
+        } catch (error) {
+            return { ok: false, text: `[Attachment not extracted: ${error.message}]` };
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    // Extract slide text and speaker notes from PowerPoint
+    static async extractFromPPTX(filePath) {
+        try {
+            return await formats.extractPptx(await fs.readFile(filePath));
+        } catch (error) {
+            console.error('PPTX extraction error:', error);
+            throw new Error('Failed to extract text from PPTX');
+        }
+    }
+
+    // Extract the visible text of an HTML page
+    static async extractFromHTML(filePath) {
+        try {
+            const html = await fs.readFile(filePath, 'utf-8');
+            const title = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+            return {
+                text: formats.htmlToText(html),
+                title: title ? formats.htmlToText(title[1]) : null
+            };
+        } catch (error) {
+            console.error('HTML extraction error:', error);
+            throw new Error('Failed to extract text from HTML');
+        }
+    }
+
+    // Extract plain text from Markdown
+    static async extractFromMarkdown(filePath) {
+        try {
+            const markdown = await fs.readFile(filePath, 'utf-8');
+            return { text: formats.markdownToText(markdown) };
+        } catch (error) {
+            console.error('Markdown extraction error:', error);
+            throw new Error('Failed to extract text from Markdown');
+        }
+    }
+
+    // Extract JSON values as "key.path: value" lines so keys give detectors context
+    static async extractFromJSON(filePath) {
+        let data;
+        try {
+            data = JSON.parse((await fs.readFile(filePath, 'utf-8')).replace(/^\uFEFF/, ''));
+        } catch (error) {
+            console.error('JSON extraction error:', error);
+            throw new Error('Failed to extract text from JSON');
+        }
+        const text = formats.jsonToText(data);
+        return { text, values: text ? text.split('\n').length : 0 };
+    }
+
+    // Extract text from RTF
+    static async extractFromRTF(filePath) {
+        try {
+            const rtf = await fs.readFile(filePath, 'latin1');
+            return { text: formats.rtfToText(rtf) };
+        } catch (error) {
+            console.error('RTF extraction error:', error);
+            throw new Error('Failed to extract text from RTF');
+        }
+    }
+
+    // Macros, embedded objects and PDF actions, as ACTIVE_CONTENT findings.
+    // Emails are also scanned attachment by attachment: an .eml sniffs as text, and
+    // the streams of a .msg do not show what an attached document contains.
+    static async scanActiveContent(filePath, fileType) {
+        if (this.isArchive(fileType)) {
+            return await require('./archiveScanner').scanArchiveActiveContent(filePath);
+        }
+
+        const buffer = await fs.readFile(filePath);
+        const findings = await scanActiveContent(buffer);
+        const email = this.parseEmailForScan(buffer, fileType);
+        if (email) {
+            findings.push(...await this.scanAttachmentsActiveContent(email, 1));
+        }
+        return findings;
+    }
+
+    // Parsed email for an .eml or .msg file type, otherwise null
+    static parseEmailForScan(buffer, fileType) {
+        const type = String(fileType).toLowerCase();
+        try {
+            if (['eml', 'message/rfc822'].includes(type)) return formats.parseEmail(buffer);
+            if (['msg', 'application/vnd.ms-outlook'].includes(type)) return formats.parseMsg(buffer);
+        } catch (error) {
+            console.error('Email parse error during active content scan:', error.message);
+        }
+        return null;
+    }
+
+    // Active content in each attachment (and in attachments of attached emails),
+    // with the attachment path recorded on the finding
+    static async scanAttachmentsActiveContent(email, depth) {
+        if (depth > MAX_ATTACHMENT_DEPTH) return [];
+        const findings = [];
+
+        for (const attachment of email.attachments) {
+            let nested;
+            if (attachment.message) {
+                nested = await this.scanAttachmentsActiveContent(attachment.message, depth + 1);
+            } else {
+                nested = await scanActiveContent(attachment.content);
+                const extension = path.extname(attachment.filename).slice(1).toLowerCase() ||
+                    (attachment.contentType === 'message/rfc822' ? 'eml' : '');
+                const attachedEmail = this.parseEmailForScan(attachment.content, extension);
+                if (attachedEmail) {
+                    nested.push(...await this.scanAttachmentsActiveContent(attachedEmail, depth + 1));
+                }
+            }
+
+            nested.forEach(finding => {
+                const attachmentPath = finding.details.attachment ?
+                    `${attachment.filename}/${finding.details.attachment}` : attachment.filename;
+                findings.push({
+                    ...finding,
+                    value: `${finding.value.replace(/ \(.*\)$/, '')} (${finding.details.location} in attachment ${attachmentPath})`,
+                    details: { ...finding.details, attachment: attachmentPath }
+                });
+            });
+        }
+
+        return findings;
+    }
+
+    static isArchive(fileType) {
+        return require('./archiveScanner').isArchive(fileType);
+    }
+
+    // Whether extractText handles this extension or MIME type
+    static isSupported(fileType) {
+        return SUPPORTED_TYPES.includes(String(fileType).toLowerCase());
+    }
+
     // Main extraction method
-    static async extractText(filePath, fileType) {
+    static async extractText(filePath, fileType, options = {}) {
         const type = fileType.toLowerCase();
 
         switch (type) {
@@ -94,6 +422,42 @@ class DocumentProcessor {
             case 'text/plain':
                 return await this.extractFromTXT(filePath);
 
+            case 'eml':
+            case 'message/rfc822':
+                return await this.extractFromEML(filePath, options.depth);
+
+            case 'msg':
+            case 'application/vnd.ms-outlook':
+                return await this.extractFromMSG(filePath, options.depth);
+
+            case 'pptx':
+            case 'application/vnd.openxmlformats-officedocument.presentationml.presentation':
+                return await this.extractFromPPTX(filePath);
+
+            case 'html':
+            case 'htm':
+            case 'text/html':
+                return await this.extractFromHTML(filePath);
+
+            case 'md':
+            case 'markdown':
+            case 'text/markdown':
+                return await this.extractFromMarkdown(filePath);
+
+            case 'json':
+            case 'application/json':
+                return await this.extractFromJSON(filePath);
+
+            case 'rtf':
+            case 'application/rtf':
+            case 'text/rtf':
+                return await this.extractFromRTF(filePath);
+
+            case 'zip':
+            case 'application/zip':
+            case 'application/x-zip-compressed':
+                return await require('./archiveScanner').extractArchiveText(filePath);
+
             default:
                 throw new Error(`Unsupported file type: ${type}`);
         }
@@ -102,12 +466,18 @@ class DocumentProcessor {
     // Analyze document for PII
     static async analyzeDocument(filePath, fileType, context = {}) {
         try {
+            // Archives are analyzed member by member (see archiveScanner.js)
+            if (this.isArchive(fileType)) {
+                return await require('./archiveScanner').scanArchive(filePath, context);
+            }
+
             // Extract text
             const extraction = await this.extractText(filePath, fileType);
             const text = extraction.text;
 
-            // Analyze for PII
+            // Analyze for PII, then for active content in the file itself
             const analysis = analyzeText(text, context);
+            applyActiveContent(analysis, await this.scanActiveContent(filePath, fileType));
 
             return {
                 extraction,
@@ -126,9 +496,9 @@ class DocumentProcessor {
     }
 
     // Anonymize document text
-    static anonymizeDocumentText(text, findings) {
+    static anonymizeDocumentText(text, findings, policy = {}) {
         const { anonymizeText } = require('./anonymizer');
-        return anonymizeText(text, findings);
+        return anonymizeText(text, findings, policy);
     }
 
     // Summarize document (basic version)
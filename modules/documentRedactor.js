@@ -0,0 +1,446 @@
+// Document Redactor - writes redactions back into the uploaded format
+// DOCX: text runs rewritten in place (formatting kept)
+// XLSX/XLS/CSV: cell values rewritten, formulas kept
+// PDF: pages re-rendered with pdfkit, redacted spans drawn as black boxes
+// Every export has a sidecar JSON report listing what was redacted and where.
+const fs = require('fs').promises;
+const path = require('path');
+const XLSX = require('xlsx');
+const { analyzeText } = require('./analyzer');
+const { anonymizeText } = require('./anonymizer');
+const { profileTable } = require('./tableProfiler');
+
+const WORD_PARTS = /^word\/(?:document|header\d*|footer\d*|footnotes|endnotes|comments)\.xml$/;
+
+// Output format per uploaded file type; anything else falls back to plain text
+const EXPORT_FORMATS = {
+  docx: 'docx',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  xlsx: 'xlsx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  xls: 'xls',
+  'application/vnd.ms-excel': 'xls',
+  csv: 'csv',
+  'text/csv': 'csv',
+  pdf: 'pdf',
+  'application/pdf': 'pdf',
+  zip: 'zip',
+  'application/zip': 'zip',
+  'application/x-zip-compressed': 'zip'
+};
+
+const SPREADSHEET_FORMATS = ['xlsx', 'xls', 'csv'];
+
+const PDF_PAGE_MARGIN = 50;
+const PDF_FONT_SIZE = 10;
+
+// Analyze and anonymize one text segment, continuing the export's entity map so
+// placeholders stay consistent across paragraphs, cells and pages
+// (a whole-value finding can be supplied for cells of a known PII column)
+function redactSegment(text, state, location, wholeValueType) {
+  if (!text || !text.trim()) return [];
+
+  let { findings } = analyzeText(text, state.analysisContext);
+  if (findings.length === 0 && wholeValueType) {
+    findings = [{ type: wholeValueType, offsetStart: 0, offsetEnd: text.length, value: text, validated: true, confidence: 0.8 }];
+  }
+  if (findings.length === 0) return [];
+
+  const result = anonymizeText(text, findings, { ...state.policy, entityMap: state.entityMap });
+  state.entityMap = result.entityMap;
+
+  const spans = result.maskedFindings.filter(f => f.replacement);
+  spans.forEach(span => {
+    state.redactions.push({
+      type: span.type,
+      category: span.category,
+      strategy: span.strategy,
+      replacement: span.replacement,
+      location: { ...location, offsetStart: span.offsetStart, offsetEnd: span.offsetEnd }
+    });
+  });
+
+  return spans;
+}
+
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+const encodeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Rewrite the <w:t> nodes of one WordprocessingML part. Text is analyzed per
+// paragraph; a redacted span that crosses runs is written into the first run
+// (keeping its formatting) and removed from the others.
+function redactWordXml(xml, part, state) {
+  const TOKEN = /<w:t(\s[^>]*)?>([^<]*)<\/w:t>|<\/w:p>/g;
+  const edits = [];
+  let nodes = [];
+  let paragraph = 0;
+
+  const flushParagraph = () => {
+    const paragraphText = nodes.map(n => n.text).join('');
+    const spans = redactSegment(paragraphText, state, { part, paragraph });
+
+    if (spans.length > 0) {
+      let offset = 0;
+      nodes.forEach(n => {
+        n.offsetStart = offset;
+        offset += n.text.length;
+        n.offsetEnd = offset;
+        n.newText = n.text;
+      });
+
+      // Last span first, so earlier offsets inside a node stay valid
+      [...spans].sort((a, b) => b.offsetStart - a.offsetStart).forEach(span => {
+        const touched = nodes.filter(n => n.offsetStart < span.offsetEnd && n.offsetEnd > span.offsetStart);
+        touched.forEach((n, i) => {
+          const from = Math.max(span.offsetStart, n.offsetStart) - n.offsetStart;
+          const to = Math.min(span.offsetEnd, n.offsetEnd) - n.offsetStart;
+          n.newText = n.newText.slice(0, from) + (i === 0 ? span.replacement : '') + n.newText.slice(to);
+        });
+      });
+
+      nodes.filter(n => n.newText !== n.text).forEach(n => {
+        const attrs = (n.attrs || '').replace(/\s*xml:space="[^"]*"/, '');
+        edits.push({
+          start: n.start,
+          end: n.end,
+          xml: `<w:t xml:space="preserve"${attrs}>${encodeXml(n.newText)}</w:t>`
+        });
+      });
+    }
+
+    nodes = [];
+    paragraph++;
+  };
+
+  let match;
+  while ((match = TOKEN.exec(xml)) !== null) {
+    if (match[0] === '</w:p>') {
+      flushParagraph();
+    } else {
+      nodes.push({ start: match.index, end: match.index + match[0].length, attrs: match[1], text: decodeXml(match[2]) });
+    }
+  }
+  if (nodes.length > 0) flushParagraph();
+
+  return edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((out, edit) => out.slice(0, edit.start) + edit.xml + out.slice(edit.end), xml);
+}
+
+// DOCX: rewrite body, headers, footers, notes and comments; clear author metadata
+async function redactDocx(inputPath, outputPath, state) {
+  const JSZip = require('jszip');
+  const zip = await JSZip.loadAsync(await fs.readFile(inputPath));
+
+  for (const name of Object.keys(zip.files).filter(n => WORD_PARTS.test(n))) {
+    const xml = await zip.file(name).async('string');
+    zip.file(name, redactWordXml(xml, name, state));
+  }
+
+  const core = zip.file('docProps/core.xml');
+  if (core) {
+    const xml = await core.async('string');
+    zip.file('docProps/core.xml', xml
+      .replace(/(<dc:creator[^>]*>)[^<]*(<\/dc:creator>)/, '$1$2')
+      .replace(/(<cp:lastModifiedBy[^>]*>)[^<]*(<\/cp:lastModifiedBy>)/, '$1$2'));
+  }
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  await fs.writeFile(outputPath, buffer);
+}
+
+// Rebuild a workbook from k-anonymized sheets (generalized values, suppressed
+// rows and pseudonymized identifier columns); formulas do not survive this path
+async function kAnonymizedWorkbook(inputPath, state, kAnonymity) {
+  const DocumentProcessor = require('./documentProcessor');
+  const { anonymizeTable } = require('./kAnonymity');
+  const { createPseudonymizer } = require('./anonymizer');
+
+  const pseudonymizer = createPseudonymizer(state.entityMap);
+  const workbook = XLSX.utils.book_new();
+  state.kAnonymity = [];
+
+  for (const sheet of await DocumentProcessor.extractWorkbook(inputPath)) {
+    const result = anonymizeTable(sheet, { ...kAnonymity, pseudonymizer });
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([result.headers, ...result.rows]), sheet.name);
+    state.kAnonymity.push({ sheet: sheet.name, ...result.report });
+  }
+
+  state.entityMap = pseudonymizer.entityMap;
+  return workbook;
+}
+
+// Detected PII columns per sheet, keyed by column number in the sheet range
+function piiColumns(sheet) {
+  if (!sheet['!ref']) return { headerRow: -1, columns: new Map() };
+
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  const grid = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: true })
+    .map(row => row.map(cell => String(cell).trim()));
+  const [headers = [], ...rows] = grid;
+  const profile = profileTable({ headers, rows: rows.map(row => headers.map((_, i) => row[i] || '')) });
+
+  const columns = new Map();
+  profile.columns.filter(c => c.pii).forEach(c => columns.set(range.s.c + c.index, c.piiType));
+  return { headerRow: range.s.r, columns };
+}
+
+// Spreadsheets: rewrite string and numeric cells; formulas (cell.f) are kept,
+// only their cached values are redacted. With quasi-identifiers configured the
+// sheets are k-anonymized first, as in DocumentProcessor.anonymizeSpreadsheet.
+async function redactWorkbook(inputPath, outputPath, state, bookType, kAnonymity) {
+  const workbook = kAnonymity && kAnonymity.quasiIdentifiers && kAnonymity.quasiIdentifiers.length > 0 ?
+    await kAnonymizedWorkbook(inputPath, state, kAnonymity) :
+    XLSX.readFile(inputPath, { cellFormula: true, cellStyles: true, cellDates: false });
+
+  for (const sheetName of workbook.SheetNames) {
+    const sheet = workbook.Sheets[sheetName];
+    const { headerRow, columns } = piiColumns(sheet);
+
+    for (const address of Object.keys(sheet)) {
+      if (address[0] === '!') continue;
+      const cell = sheet[address];
+      if (cell.t !== 's' && cell.t !== 'n') continue;
+
+      const { r, c } = XLSX.utils.decode_cell(address);
+      const columnType = r > headerRow ? columns.get(c) : undefined;
+      const text = cell.t === 's' ? String(cell.v) : (cell.w || String(cell.v));
+      const spans = redactSegment(text, state, { sheet: sheetName, cell: address }, columnType);
+      if (spans.length === 0) continue;
+
+      let redacted = text;
+      [...spans].sort((a, b) => b.offsetStart - a.offsetStart).forEach(span => {
+        redacted = redacted.slice(0, span.offsetStart) + span.replacement + redacted.slice(span.offsetEnd);
+      });
+
+      cell.t = 's';
+      cell.v = redacted;
+      delete cell.w;
+      delete cell.h; // HTML and rich-text copies still hold the original
+      delete cell.r;
+    }
+  }
+
+  if (workbook.Props) {
+    workbook.Props.Author = '';
+    workbook.Props.LastAuthor = '';
+  }
+
+  XLSX.writeFile(workbook, outputPath, { bookType, cellStyles: true });
+}
+
+// Text of each PDF page, lines joined the same way as DocumentProcessor.extractFromPDF
+async function extractPdfPages(inputPath) {
+  const pdfParse = require('pdf-parse');
+  const pages = [];
+
+  const DocumentProcessor = require('./documentProcessor');
+  await pdfParse(await fs.readFile(inputPath), {
+    pagerender: (pageData) => DocumentProcessor.renderPdfPageText(pageData).then(text => {
+      pages.push(text);
+      return text;
+    })
+  });
+
+  return pages;
+}
+
+// Lay out one page of text, drawing black boxes over redacted spans
+function renderPdfPage(doc, text, spans) {
+  const left = PDF_PAGE_MARGIN;
+  const right = doc.page.width - PDF_PAGE_MARGIN;
+  const bottom = doc.page.height - PDF_PAGE_MARGIN;
+  const lineHeight = doc.currentLineHeight(true);
+  let y = PDF_PAGE_MARGIN;
+  let lineStart = 0;
+
+  for (const line of text.split('\n')) {
+    const lineEnd = lineStart + line.length;
+
+    // Break the line into words/spaces, split again at redaction boundaries
+    const cuts = new Set([0, line.length]);
+    spans.forEach(s => {
+      if (s.offsetStart > lineStart && s.offsetStart < lineEnd) cuts.add(s.offsetStart - lineStart);
+      if (s.offsetEnd > lineStart && s.offsetEnd < lineEnd) cuts.add(s.offsetEnd - lineStart);
+    });
+    const wordPattern = /\s+|\S+/g;
+    let m;
+    while ((m = wordPattern.exec(line)) !== null) cuts.add(m.index);
+
+    const points = Array.from(cuts).sort((a, b) => a - b);
+    let x = left;
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const piece = line.slice(points[i], points[i + 1]);
+      const absolute = lineStart + points[i];
+      const redacted = spans.some(s => absolute >= s.offsetStart && absolute < s.offsetEnd);
+      const width = doc.widthOfString(piece);
+
+      if (x + width > right && x > left && piece.trim()) {
+        x = left;
+        y += lineHeight;
+      }
+      if (y + lineHeight > bottom) {
+        doc.addPage();
+        y = PDF_PAGE_MARGIN;
+      }
+
+      if (redacted) {
+        doc.rect(x, y - 1, width, lineHeight).fill('#000000');
+        doc.fillColor('#000000');
+      } else if (piece.trim() || x > left) {
+        // Spaces are drawn too, so text extraction keeps word boundaries
+        doc.text(piece, x, y, { lineBreak: false });
+      }
+      x += width;
+    }
+
+    y += lineHeight;
+    lineStart = lineEnd + 1;
+  }
+}
+
+// PDF: re-render every page with pdfkit; redacted text is never written to the output
+async function redactPdf(inputPath, outputPath, state) {
+  const PDFDocument = require('pdfkit');
+  const pages = await extractPdfPages(inputPath);
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PDF_PAGE_MARGIN,
+    autoFirstPage: false,
+    info: { Title: 'Redacted document', Producer: 'SafeAI' }
+  });
+
+  const written = new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => fs.writeFile(outputPath, Buffer.concat(chunks)).then(resolve, reject));
+    doc.on('error', reject);
+  });
+
+  // Standard PDF fonts have no Hebrew glyphs; a TTF can be supplied instead
+  const font = process.env.PDF_REDACTION_FONT;
+
+  pages.forEach((pageText, index) => {
+    doc.addPage();
+    if (font) doc.font(font);
+    doc.fontSize(PDF_FONT_SIZE).fillColor('#000000');
+
+    const spans = redactSegment(pageText, state, { page: index + 1 });
+    renderPdfPage(doc, pageText, spans);
+  });
+
+  if (pages.length === 0) doc.addPage();
+  doc.end();
+  await written;
+}
+
+// Summary counts for the sidecar report
+function buildReport(state, meta) {
+  const byType = {};
+  const byStrategy = {};
+  state.redactions.forEach(r => {
+    byType[r.type] = (byType[r.type] || 0) + 1;
+    byStrategy[r.strategy] = (byStrategy[r.strategy] || 0) + 1;
+  });
+
+  return {
+    ...meta,
+    generatedAt: new Date().toISOString(),
+    redactionCount: state.redactions.length,
+    byType,
+    byStrategy,
+    redactions: state.redactions
+  };
+}
+
+// Redact every member of a ZIP in its own format; one entity map spans the archive
+// and each redaction's location names the member it came from
+async function redactArchive(inputPath, outputPath, state, options) {
+  const { sanitizeArchive } = require('./archiveScanner');
+
+  const { omitted } = await sanitizeArchive(inputPath, outputPath, async (member, outputBase) => {
+    const exported = await exportRedacted(member.filePath, member.fileType, {
+      ...options,
+      outputBase,
+      policy: { ...state.policy, entityMap: state.entityMap },
+      kAnonymity: SPREADSHEET_FORMATS.includes(EXPORT_FORMATS[member.fileType]) ? options.kAnonymity : undefined
+    });
+    state.entityMap = exported.entityMap;
+    exported.report.redactions.forEach(r => {
+      state.redactions.push({ ...r, location: { file: member.path, ...r.location } });
+    });
+    return exported;
+  });
+
+  state.omitted = omitted;
+}
+
+/**
+ * Write a redacted copy of a document in its original format plus a sidecar report
+ * @param {string} inputPath - Uploaded file
+ * @param {string} fileType - Extension or MIME type as stored on the document
+ * @param {object} options - { outputBase, analysisContext, policy, kAnonymity, documentId }
+ * @returns {object} - { path, reportPath, format, report, entityMap }
+ */
+async function exportRedacted(inputPath, fileType, options = {}) {
+  const { outputBase, analysisContext = {}, policy = {}, kAnonymity, documentId } = options;
+  const format = EXPORT_FORMATS[String(fileType).toLowerCase()] || 'txt';
+  const outputPath = `${outputBase}.${format}`;
+  const reportPath = `${outputBase}.report.json`;
+
+  const state = { analysisContext, policy, entityMap: policy.entityMap, redactions: [] };
+
+  switch (format) {
+    case 'docx':
+      await redactDocx(inputPath, outputPath, state);
+      break;
+    case 'xlsx':
+    case 'xls':
+    case 'csv':
+      await redactWorkbook(inputPath, outputPath, state, format, kAnonymity);
+      break;
+    case 'pdf':
+      await redactPdf(inputPath, outputPath, state);
+      break;
+    case 'zip':
+      await redactArchive(inputPath, outputPath, state, options);
+      break;
+    default: {
+      const DocumentProcessor = require('./documentProcessor');
+      const extraction = await DocumentProcessor.extractText(inputPath, fileType);
+      const spans = redactSegment(extraction.text, state, {});
+      let redacted = extraction.text;
+      [...spans].sort((a, b) => b.offsetStart - a.offsetStart).forEach(span => {
+        redacted = redacted.slice(0, span.offsetStart) + span.replacement + redacted.slice(span.offsetEnd);
+      });
+      await fs.writeFile(outputPath, redacted);
+    }
+  }
+
+  const report = buildReport(state, { documentId, format, file: path.basename(outputPath) });
+  if (state.kAnonymity) report.kAnonymity = state.kAnonymity;
+  if (state.omitted) report.omitted = state.omitted;
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+
+  return { path: outputPath, reportPath, format, report, entityMap: state.entityMap };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportRedacted,
+  redactWordXml,
+  extractPdfPages
+};
@@ -0,0 +1,262 @@
+// Document Storage - persistent storage for uploaded and generated documents
+// Backends: local disk (default) and S3-compatible object storage (AWS S3, MinIO).
+// Files are encrypted with AES-256-GCM (modules/encryption.js) before they reach
+// a backend, so neither the disk nor the bucket ever holds plaintext.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Encryption = require('./encryption');
+
+const BACKENDS = ['local', 's3'];
+
+// Stored layout: version byte | IV (16 bytes) | auth tag (16 bytes) | ciphertext
+const FORMAT_VERSION = 1;
+const IV_LENGTH = 16;
+const TAG_LENGTH = 16;
+
+// Local disk backend; keys map to paths below the storage root
+function createLocalBackend(root = process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../storage')) {
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, data) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, data);
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolve(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await fs.unlink(resolve(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding of each key segment, as S3 expects in the canonical URI
+const encodeKey = (key) => key.split('/')
+  .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+/**
+ * AWS Signature Version 4 for a single S3 request
+ * @param {object} request - { method, url (URL), headers, payloadHash }
+ * @param {object} credentials - { accessKeyId, secretAccessKey, region }
+ * @param {Date} date - Signing time
+ * @returns {object} - Headers to send, including Authorization
+ */
+function signS3Request(request, credentials, date = new Date()) {
+  const { method, url, payloadHash } = request;
+  const { accessKeyId, secretAccessKey, region } = credentials;
+
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+
+  const headers = {
+    ...request.headers,
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const names = Object.keys(headers).map(h => h.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+  const signedHeaders = names.join(';');
+
+  const canonicalQuery = Array.from(url.searchParams.entries())
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    names.map(h => `${h}:${lowerHeaders[h]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...headers,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+// S3-compatible backend using path-style URLs, so MinIO works without DNS setup
+function createS3Backend(options = {}) {
+  const config = {
+    endpoint: options.endpoint || process.env.S3_ENDPOINT || `https://s3.${options.region || process.env.S3_REGION || 'us-east-1'}.amazonaws.com`,
+    bucket: options.bucket || process.env.S3_BUCKET,
+    region: options.region || process.env.S3_REGION || 'us-east-1',
+    accessKeyId: options.accessKeyId || process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY
+  };
+
+  if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+    throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const send = async (method, key, body) => {
+    const url = new URL(`${config.endpoint.replace(/\/$/, '')}/${encodeKey(config.bucket)}/${encodeKey(key)}`);
+    const headers = signS3Request({
+      method,
+      url,
+      headers: body ? { 'content-type': 'application/octet-stream' } : {},
+      payloadHash: sha256(body || '')
+    }, config);
+    delete headers.host; // set by fetch
+
+    return fetch(url, { method, headers, body });
+  };
+
+  return {
+    name: 's3',
+
+    async put(key, data) {
+      const response = await send('PUT', key, data);
+      if (!response.ok) {
+        throw new Error(`S3 upload failed: ${response.status} ${await response.text()}`);
+      }
+    },
+
+    async get(key) {
+      const response = await send('GET', key);
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`S3 download failed: ${response.status} ${await response.text()}`);
+      }
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async delete(key) {
+      const response = await send('DELETE', key);
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`S3 delete failed: ${response.status} ${await response.text()}`);
+      }
+    }
+  };
+}
+
+let backend = null;
+
+// Backend selected by STORAGE_BACKEND ('local' or 's3'), created on first use
+function getBackend() {
+  if (!backend) {
+    const name = (process.env.STORAGE_BACKEND || 'local').toLowerCase();
+    if (!BACKENDS.includes(name)) {
+      throw new Error(`Unknown STORAGE_BACKEND "${name}". Use one of: ${BACKENDS.join(', ')}`);
+    }
+    backend = name === 's3' ? createS3Backend() : createLocalBackend();
+  }
+  return backend;
+}
+
+// Override the backend (e.g. a MinIO instance in integration tests)
+function setBackend(custom) {
+  backend = custom;
+}
+
+// Storage key for a document file: <tenant>/<document>/<name>
+function documentKey(tenantId, documentId, name) {
+  const safe = (part) => String(part).replace(/[^A-Za-z0-9._-]/g, '_');
+  return `${safe(tenantId)}/${safe(documentId)}/${safe(name)}`;
+}
+
+// Encrypt and store a file
+async function saveFile(key, data) {
+  const { encrypted, iv, authTag } = Encryption.encryptBuffer(Buffer.from(data));
+  await getBackend().put(key, Buffer.concat([
+    Buffer.from([FORMAT_VERSION]),
+    Buffer.from(iv, 'hex'),
+    Buffer.from(authTag, 'hex'),
+    encrypted
+  ]));
+}
+
+// Read and decrypt a file; null if it does not exist
+async function readFile(key) {
+  const stored = await getBackend().get(key);
+  if (!stored) return null;
+
+  if (stored[0] !== FORMAT_VERSION) {
+    throw new Error('Unsupported storage format');
+  }
+  const iv = stored.subarray(1, 1 + IV_LENGTH);
+  const authTag = stored.subarray(1 + IV_LENGTH, 1 + IV_LENGTH + TAG_LENGTH);
+  const data = Encryption.decryptBuffer(stored.subarray(1 + IV_LENGTH + TAG_LENGTH), iv.toString('hex'), authTag.toString('hex'));
+
+  if (!data) {
+    throw new Error('Stored file could not be decrypted');
+  }
+  return data;
+}
+
+async function deleteFile(key) {
+  await getBackend().delete(key);
+}
+
+/**
+ * Run `fn` with a decrypted temporary copy of a stored file (parsers need a path).
+ * The copy is removed when `fn` settles.
+ * @param {string} key - Storage key
+ * @param {string} extension - Extension for the temp file (e.g. '.docx')
+ * @param {function} fn - async (filePath) => result
+ */
+async function withTempFile(key, extension, fn) {
+  const data = await readFile(key);
+  if (!data) {
+    throw new Error('Stored file not found');
+  }
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'safeai-'));
+  const filePath = path.join(dir, `document${extension || ''}`);
+  try {
+    await fs.writeFile(filePath, data, { mode: 0o600 });
+    return await fn(filePath);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  BACKENDS,
+  getBackend,
+  setBackend,
+  createLocalBackend,
+  createS3Backend,
+  signS3Request,
+  documentKey,
+  saveFile,
+  readFile,
+  deleteFile,
+  withTempFile
+};
@@ -68,6 +68,51 @@ class Encryption {
         }
     }
 
+    /**
+     * Encrypt binary data (uploaded files) with AES-256-GCM
+     * @param {Buffer} buffer - Plain bytes to encrypt
+     * @returns {object} - { encrypted (Buffer), iv, authTag }
+     */
+    static encryptBuffer(buffer) {
+        if (!buffer) return null;
+
+        const iv = crypto.randomBytes(16);
+        const cipher = crypto.createCipheriv(ALGORITHM, KEY, iv);
+        const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+
+        return {
+            encrypted,
+            iv: iv.toString('hex'),
+            authTag: cipher.getAuthTag().toString('hex')
+        };
+    }
+
+    /**
+     * Decrypt binary data
+     * @param {Buffer} encrypted - Encrypted bytes
+     * @param {string} iv - Initialization vector (hex)
+     * @param {string} authTag - Authentication tag (hex)
+     * @returns {Buffer} - Decrypted bytes, or null if the data was tampered with
+     */
+    static decryptBuffer(encrypted, iv, authTag) {
+        if (!encrypted || !iv || !authTag) return null;
+
+        try {
+            const decipher = crypto.createDecipheriv(
+                ALGORITHM,
+                KEY,
+                Buffer.from(iv, 'hex')
+            );
+
+            decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+
+            return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+        } catch (error) {
+            console.error('Decryption failed:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Encrypt JSON object
      */
@@ -0,0 +1,142 @@
+// File Sniffer - the real type of an upload, from its bytes rather than its name
+// Binary formats are recognised by signature, then by container layout
+// (OOXML part names inside ZIP, stream names inside OLE compound files).
+const XLSX = require('xlsx');
+
+const OLE_SIGNATURE = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+const ZIP_SIGNATURES = [Buffer.from('PK\x03\x04', 'latin1'), Buffer.from('PK\x05\x06', 'latin1')];
+
+// Formats that must never be processed, whatever they are called
+const EXECUTABLE_SIGNATURES = [
+  Buffer.from('MZ', 'latin1'), // Windows PE
+  Buffer.from('\x7FELF', 'latin1'),
+  Buffer.from([0xCF, 0xFA, 0xED, 0xFE]), // Mach-O 64-bit
+  Buffer.from([0xCE, 0xFA, 0xED, 0xFE]), // Mach-O 32-bit
+  Buffer.from([0xCA, 0xFE, 0xBA, 0xBE]) // Mach-O universal / Java class
+];
+
+// PDF readers accept a header anywhere in the first 1024 bytes
+const PDF_HEADER_WINDOW = 1024;
+// Bytes inspected when deciding whether a file is text
+const TEXT_SAMPLE_BYTES = 8192;
+
+// Detected types each declared extension may have; text formats have no signature
+const ACCEPTED_TYPES = {
+  pdf: ['pdf'],
+  docx: ['docx'],
+  doc: ['doc'],
+  xlsx: ['xlsx'],
+  xls: ['xls'],
+  pptx: ['pptx'],
+  msg: ['msg'],
+  rtf: ['rtf'],
+  zip: ['zip'],
+  csv: ['text'],
+  txt: ['text'],
+  eml: ['text'],
+  html: ['text'],
+  htm: ['text'],
+  md: ['text'],
+  markdown: ['text'],
+  json: ['text']
+};
+
+const startsWith = (buffer, signature, offset = 0) =>
+  buffer.length >= offset + signature.length && buffer.subarray(offset, offset + signature.length).equals(signature);
+
+// Text if the sample has no NUL bytes (or is UTF-16 with a byte order mark)
+function looksLikeText(buffer) {
+  if (startsWith(buffer, Buffer.from([0xFF, 0xFE])) || startsWith(buffer, Buffer.from([0xFE, 0xFF]))) {
+    return true;
+  }
+  return !buffer.subarray(0, TEXT_SAMPLE_BYTES).includes(0);
+}
+
+// docx / xlsx / pptx by their main part, anything else is a plain archive
+async function sniffZip(buffer) {
+  const JSZip = require('jszip');
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    return 'unknown';
+  }
+
+  if (zip.file('[Content_Types].xml')) {
+    if (zip.file('word/document.xml')) return 'docx';
+    if (zip.file('xl/workbook.xml')) return 'xlsx';
+    if (zip.file('ppt/presentation.xml')) return 'pptx';
+  }
+  return 'zip';
+}
+
+// Legacy Office and Outlook files share the OLE container; the streams tell them apart
+function sniffOle(buffer) {
+  let cfb;
+  try {
+    cfb = XLSX.CFB.read(buffer, { type: 'buffer' });
+  } catch (error) {
+    return 'unknown';
+  }
+
+  const names = cfb.FileIndex.map(entry => entry.name);
+  if (names.includes('WordDocument')) return 'doc';
+  if (names.includes('Workbook') || names.includes('Book')) return 'xls';
+  if (names.some(name => name.startsWith('__substg1.0_'))) return 'msg';
+  return 'ole';
+}
+
+/**
+ * Detect a file's type from its content
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<string>} - pdf, docx, xlsx, pptx, zip, doc, xls, msg, ole, rtf,
+ *   text, executable or unknown
+ */
+async function sniffFileType(buffer) {
+  const data = Buffer.from(buffer);
+
+  if (data.subarray(0, PDF_HEADER_WINDOW).includes('%PDF-')) return 'pdf';
+  if (ZIP_SIGNATURES.some(signature => startsWith(data, signature))) return sniffZip(data);
+  if (startsWith(data, OLE_SIGNATURE)) return sniffOle(data);
+  if (startsWith(data, Buffer.from('{\\rtf', 'latin1'))) return 'rtf';
+  if (EXECUTABLE_SIGNATURES.some(signature => startsWith(data, signature))) return 'executable';
+  if (looksLikeText(data)) return 'text';
+  return 'unknown';
+}
+
+/**
+ * Check detected content against the declared extension
+ * @param {string} declaredType - Extension from the filename (may be empty)
+ * @param {string} detectedType - Result of sniffFileType
+ * @returns {object} - { ok, fileType, message } where fileType is the type to process the file as
+ */
+function checkFileType(declaredType, detectedType) {
+  const declared = String(declaredType || '').toLowerCase();
+
+  if (detectedType === 'executable') {
+    return { ok: false, message: 'Executable files are not accepted' };
+  }
+
+  // No extension: fall back to what the content says
+  if (!declared) {
+    const fileType = detectedType === 'text' ? 'txt' : detectedType;
+    return ACCEPTED_TYPES[fileType] ?
+      { ok: true, fileType } :
+      { ok: false, message: `Unrecognised file content (${detectedType})` };
+  }
+
+  const accepted = ACCEPTED_TYPES[declared];
+  if (!accepted) {
+    return { ok: false, message: `Unsupported file type: ${declared}` };
+  }
+  if (!accepted.includes(detectedType)) {
+    return { ok: false, message: `File content (${detectedType}) does not match its .${declared} extension` };
+  }
+  return { ok: true, fileType: declared };
+}
+
+module.exports = {
+  ACCEPTED_TYPES,
+  sniffFileType,
+  checkFileType
+};
@@ -0,0 +1,565 @@
+// Format extractors - plain text from emails, slide decks, markup and data files
+// Used by DocumentProcessor.extractText; attachments are returned as buffers so
+// the processor can extract them recursively with the matching extractor.
+const XLSX = require('xlsx');
+
+// ---------------------------------------------------------------------------
+// Shared helpers
+// ---------------------------------------------------------------------------
+
+const CHARSET_ALIASES = {
+  'iso-8859-8-i': 'iso-8859-8',
+  'cp1255': 'windows-1255',
+  'cp1252': 'windows-1252',
+  'us-ascii': 'utf-8',
+  'ascii': 'utf-8'
+};
+
+// Decode bytes in a declared charset, falling back to UTF-8 for unknown ones
+function decodeBytes(bytes, charset = 'utf-8') {
+  const name = String(charset).trim().replace(/^"|"$/g, '').toLowerCase();
+  try {
+    return new TextDecoder(CHARSET_ALIASES[name] || name).decode(bytes);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®',
+  hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  bull: '•', middot: '·', shy: '', zwnj: '', zwj: '', lrm: '', rlm: '', euro: '€'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+// Collapse runs of spaces and blank lines left behind by markup removal
+function tidy(text) {
+  return text
+    .replace(/[ \t ]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// ---------------------------------------------------------------------------
+// HTML: visible text only
+// ---------------------------------------------------------------------------
+
+// Elements whose content is never rendered
+const INVISIBLE_ELEMENTS = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg', 'object', 'iframe', 'title', 'meta', 'link']);
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre',
+  'section', 'table', 'tr', 'ul'
+]);
+
+// Hidden via the hidden attribute, aria-hidden or an inline display:none / visibility:hidden
+function isHiddenTag(attributes) {
+  if (/(?:^|\s)hidden(?:\s|=|$)/i.test(attributes)) return true;
+  if (/aria-hidden\s*=\s*["']?true/i.test(attributes)) return true;
+  const style = /style\s*=\s*("([^"]*)"|'([^']*)')/i.exec(attributes);
+  return !!style && /display\s*:\s*none|visibility\s*:\s*hidden/i.test(style[2] || style[3] || '');
+}
+
+function htmlToText(html) {
+  const source = String(html).replace(/<!--[\s\S]*?-->/g, '').replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '');
+  const TAG = /<\/?([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+  let out = '';
+  let last = 0;
+  // Open elements that hide their content; text is emitted only when empty
+  const hiddenStack = [];
+  let match;
+
+  while ((match = TAG.exec(source)) !== null) {
+    if (hiddenStack.length === 0) out += source.slice(last, match.index);
+    last = TAG.lastIndex;
+
+    const name = match[1].toLowerCase();
+    const closing = match[0][1] === '/';
+    const selfClosing = VOID_ELEMENTS.has(name) || /\/\s*>$/.test(match[0]);
+
+    if (closing) {
+      const open = hiddenStack.lastIndexOf(name);
+      if (open !== -1) hiddenStack.length = open;
+    } else if (!selfClosing && (INVISIBLE_ELEMENTS.has(name) || isHiddenTag(match[2]) || hiddenStack.length > 0)) {
+      hiddenStack.push(name);
+      continue;
+    }
+
+    if (hiddenStack.length === 0) {
+      if (BLOCK_ELEMENTS.has(name)) out += '\n';
+      else if (name === 'td' || name === 'th') out += closing ? '\t' : '';
+      else if (name === 'img' && !closing) {
+        const alt = /alt\s*=\s*("([^"]*)"|'([^']*)')/i.exec(match[2]);
+        if (alt && (alt[2] || alt[3])) out += ` ${alt[2] || alt[3]} `;
+      }
+    }
+  }
+  if (hiddenStack.length === 0) out += source.slice(last);
+
+  return tidy(decodeEntities(out));
+}
+
+// ---------------------------------------------------------------------------
+// Markdown
+// ---------------------------------------------------------------------------
+
+// Plain text rendering: markup removed, link targets kept next to their text
+function markdownToText(markdown) {
+  const blocks = [];
+  // Fenced code is kept verbatim (it often holds config with credentials)
+  const withoutFences = String(markdown).replace(/^(```|~~~)[^\n]*\n([\s\S]*?)^\1[ \t]*$/gm, (_, fence, code) => {
+    blocks.push(code);
+    return `\u0000${blocks.length - 1}\u0000`;
+  });
+
+  const text = withoutFences
+    .replace(/^ {0,3}#{1,6}[ \t]+(.*?)[ \t#]*$/gm, '$1')
+    .replace(/^(.*)\n[=-]{3,}[ \t]*$/gm, '$1')
+    .replace(/^ {0,3}>[ \t]?/gm, '')
+    .replace(/^ {0,3}(?:[-*+]|\d+[.)])[ \t]+(?:\[[ xX]\][ \t]+)?/gm, '')
+    .replace(/^ {0,3}(?:[-*_][ \t]*){3,}$/gm, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, '$1 ($2)')
+    .replace(/^\s*\[[^\]]+\]:\s*(\S+).*$/gm, '$1')
+    .replace(/<(https?:\/\/[^>]+|[^@\s>]+@[^>\s]+)>/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+    .replace(/(^|[^\w*])([*_])(?=\S)([^*_\n]*?\S)\2(?!\w)/g, '$1$3')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1')
+    .replace(/^\|?(?:[ \t]*:?-+:?[ \t]*\|)+[ \t]*:?-*:?[ \t]*\n?/gm, '')
+    .replace(/^[ \t]*\|[ \t]*|[ \t]*\|[ \t]*$/gm, '')
+    .replace(/[ \t]*\|[ \t]*/g, ' | ');
+
+  const restored = text.replace(/\u0000(\d+)\u0000/g, (_, i) => blocks[i]);
+  return tidy(restored.includes('<') ? restored.replace(/<\/?[a-zA-Z][^>]*>/g, '') : restored);
+}
+
+// ---------------------------------------------------------------------------
+// JSON: one "path: value" line per leaf
+// ---------------------------------------------------------------------------
+
+const MAX_JSON_LINES = 100000;
+
+function jsonToText(value) {
+  const lines = [];
+  const keyPath = (base, key) => (/^[A-Za-z_$][\w$]*$/.test(key) ? (base ? `${base}.${key}` : key) : `${base}[${JSON.stringify(key)}]`);
+
+  const walk = (node, path) => {
+    if (lines.length >= MAX_JSON_LINES) return;
+    if (Array.isArray(node)) {
+      node.forEach((item, i) => walk(item, `${path}[${i}]`));
+    } else if (node && typeof node === 'object') {
+      Object.entries(node).forEach(([key, item]) => walk(item, keyPath(path, key)));
+    } else if (node !== null && node !== '') {
+      lines.push(`${path || '$'}: ${node}`);
+    }
+  };
+
+  walk(value, '');
+  return lines.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// RTF
+// ---------------------------------------------------------------------------
+
+// Destinations that hold formatting tables, metadata or binary data, not body text
+const RTF_SKIP_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'listtable', 'listoverridetable',
+  'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'datastore', 'latentstyles',
+  'filetbl', 'revtbl', 'header', 'footer', 'headerl', 'headerr', 'footerl', 'footerr', 'fldinst'
+]);
+
+function rtfToText(rtf) {
+  const source = String(rtf);
+  const stack = [];
+  let state = { skip: false, uc: 1 };
+  let codepage = 'windows-1252';
+  let out = '';
+  let bytes = [];
+  let pendingSkip = 0; // characters to drop after \uN
+
+  // \'hh escapes are bytes in the document code page; flush them together
+  const flushBytes = () => {
+    if (bytes.length > 0) {
+      if (!state.skip) out += decodeBytes(Buffer.from(bytes), codepage);
+      bytes = [];
+    }
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '{') {
+      flushBytes();
+      stack.push(state);
+      state = { ...state };
+      if (source.startsWith('\\*', i + 1)) state.skip = true;
+    } else if (char === '}') {
+      flushBytes();
+      state = stack.pop() || { skip: false, uc: 1 };
+    } else if (char === '\\') {
+      const next = source[i + 1];
+
+      if (next === "'") {
+        const hex = source.substr(i + 2, 2);
+        i += 3;
+        if (pendingSkip > 0) { pendingSkip--; continue; }
+        bytes.push(parseInt(hex, 16));
+        continue;
+      }
+      flushBytes();
+
+      if (next === '\\' || next === '{' || next === '}') {
+        if (!state.skip) out += next;
+        i++;
+      } else if (next === '~') {
+        if (!state.skip) out += ' ';
+        i++;
+      } else if (next === '\n' || next === '\r') {
+        if (!state.skip) out += '\n';
+        i++;
+      } else {
+        const control = /^([a-zA-Z]+)(-?\d+)? ?/.exec(source.slice(i + 1, i + 40));
+        if (!control) { i++; continue; }
+        i += control[0].length;
+        const [, word, param] = control;
+
+        if (RTF_SKIP_DESTINATIONS.has(word)) state.skip = true;
+        else if (word === 'ansicpg' && param) codepage = `windows-${param}`;
+        else if (word === 'uc') state.uc = parseInt(param, 10) || 0;
+        else if (state.skip) continue;
+        else if (word === 'u' && param) {
+          let code = parseInt(param, 10);
+          if (code < 0) code += 65536;
+          out += String.fromCharCode(code);
+          pendingSkip = state.uc;
+        } else if (word === 'par' || word === 'line' || word === 'sect' || word === 'page' || word === 'row') out += '\n';
+        else if (word === 'tab' || word === 'cell') out += '\t';
+        else if (word === 'emdash') out += '—';
+        else if (word === 'endash') out += '–';
+        else if (word === 'bullet') out += '•';
+        else if (word === 'lquote' || word === 'rquote') out += "'";
+        else if (word === 'ldblquote' || word === 'rdblquote') out += '"';
+      }
+    } else if (char === '\r' || char === '\n') {
+      continue;
+    } else {
+      flushBytes();
+      if (pendingSkip > 0) { pendingSkip--; continue; }
+      if (!state.skip) out += char;
+    }
+  }
+  flushBytes();
+
+  return tidy(out);
+}
+
+// ---------------------------------------------------------------------------
+// Email (RFC 822 / MIME)
+// ---------------------------------------------------------------------------
+
+// Headers worth keeping in the extracted text (they carry names and addresses)
+const EMAIL_HEADERS = ['from', 'to', 'cc', 'bcc', 'reply-to', 'date', 'subject'];
+const MAX_MIME_DEPTH = 10;
+
+// =?charset?B|Q?...?= encoded words in header values
+function decodeHeaderValue(value) {
+  return String(value)
+    .replace(/(\?=)\s+(=\?)/g, '$1$2')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, data) => {
+      const bytes = encoding.toUpperCase() === 'B' ?
+        Buffer.from(data, 'base64') :
+        Buffer.from(data.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+      return decodeBytes(bytes, charset.split('*')[0]);
+    });
+}
+
+// "text/plain; charset=utf-8; name=\"a.txt\"" -> { value, params }
+function parseHeaderParams(header) {
+  const [value, ...rest] = String(header || '').split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+
+  rest.forEach(part => {
+    const eq = part.indexOf('=');
+    if (eq === -1) return;
+    let key = part.slice(0, eq).trim().toLowerCase();
+    let val = part.slice(eq + 1).trim().replace(/^"|"$/g, '');
+
+    // RFC 2231: filename*=utf-8''%D7%A9.pdf (continuations filename*0*= are joined)
+    const extended = /^([^*]+)\*(?:\d+\*?)?$/.exec(key);
+    if (extended) {
+      key = extended[1];
+      const encoded = /^([^']*)'[^']*'(.*)$/.exec(val);
+      val = encoded ?
+        decodeBytes(Buffer.from(encoded[2].replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1'), encoded[1] || 'utf-8') :
+        decodeURIComponent(val.replace(/%(?![0-9A-Fa-f]{2})/g, '%25'));
+      params[key] = (params[key] || '') + val;
+      return;
+    }
+    params[key] = decodeHeaderValue(val);
+  });
+
+  return { value: value.trim().toLowerCase(), params };
+}
+
+// Split a raw (latin1) message or part into unfolded headers and body
+function splitMessage(raw) {
+  const match = /\r?\n\r?\n/.exec(raw);
+  const head = match ? raw.slice(0, match.index) : raw;
+  const body = match ? raw.slice(match.index + match[0].length) : '';
+
+  const headers = {};
+  head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon <= 0) return;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (headers[name] === undefined) headers[name] = line.slice(colon + 1).trim();
+  });
+
+  return { headers, body };
+}
+
+function decodeTransferEncoding(body, encoding) {
+  switch (String(encoding || '').trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return Buffer.from(
+        body.replace(/=\r?\n/g, '').replace(/=([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))),
+        'latin1'
+      );
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+// Walk a MIME tree collecting text bodies and attachments
+function walkMimePart(raw, result, depth) {
+  const { headers, body } = splitMessage(raw);
+  const type = parseHeaderParams(headers['content-type'] || 'text/plain');
+  const disposition = parseHeaderParams(headers['content-disposition']);
+  const filename = disposition.params.filename || type.params.name;
+
+  if (type.value.startsWith('multipart/') && type.params.boundary && depth < MAX_MIME_DEPTH) {
+    const delimiter = `--${type.params.boundary}`;
+    const parts = body.split(new RegExp(`(?:^|\\r?\\n)${delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:--)?[ \\t]*(?=\\r?\\n|$)`));
+    // parts[0] is the preamble, the part after the closing delimiter the epilogue
+    parts.slice(1, -1).forEach(part => walkMimePart(part.replace(/^\r?\n/, ''), result, depth + 1));
+    return;
+  }
+
+  const content = decodeTransferEncoding(body, headers['content-transfer-encoding']);
+
+  if (type.value === 'message/rfc822') {
+    result.attachments.push({ filename: filename || 'attached-message.eml', contentType: type.value, content });
+  } else if (disposition.value === 'attachment' || (filename && !type.value.startsWith('text/'))) {
+    result.attachments.push({ filename: filename || 'attachment', contentType: type.value, content });
+  } else if (type.value === 'text/plain') {
+    result.textParts.push(decodeBytes(content, type.params.charset));
+  } else if (type.value === 'text/html') {
+    result.htmlParts.push(decodeBytes(content, type.params.charset));
+  } else if (filename) {
+    result.attachments.push({ filename, contentType: type.value, content });
+  }
+}
+
+// Parse an RFC 822 message: { headers, body, attachments: [{ filename, contentType, content }] }
+function parseEmail(buffer) {
+  const raw = Buffer.from(buffer).toString('latin1');
+  const { headers } = splitMessage(raw);
+  const result = { textParts: [], htmlParts: [], attachments: [] };
+
+  walkMimePart(raw, result, 0);
+
+  const selected = {};
+  EMAIL_HEADERS.forEach(name => {
+    if (headers[name]) selected[name] = decodeHeaderValue(headers[name]);
+  });
+
+  // Prefer the plain-text alternative; fall back to the visible text of the HTML one
+  const body = result.textParts.length > 0 ?
+    result.textParts.join('\n\n') :
+    result.htmlParts.map(htmlToText).join('\n\n');
+
+  return { headers: selected, body: body.trim(), attachments: result.attachments };
+}
+
+// Header block + body, as used for both .eml and .msg
+function formatEmail({ headers, body }) {
+  const lines = EMAIL_HEADERS
+    .filter(name => headers[name])
+    .map(name => `${name.replace(/(^|-)([a-z])/g, (m, dash, c) => dash + c.toUpperCase())}: ${headers[name]}`);
+  return `${lines.join('\n')}\n\n${body || ''}`.trim();
+}
+
+// ---------------------------------------------------------------------------
+// Outlook .msg (OLE compound file with MAPI property streams)
+// ---------------------------------------------------------------------------
+
+const MSG_PROPS = {
+  subject: '0037',
+  senderName: '0C1A',
+  senderEmail: '0C1F',
+  senderSmtp: '5D01',
+  displayTo: '0E04',
+  displayCc: '0E03',
+  displayBcc: '0E02',
+  transportHeaders: '007D',
+  body: '1000',
+  htmlBody: '1013',
+  attachLongFilename: '3707',
+  attachFilename: '3704',
+  attachDisplayName: '3001',
+  attachData: '3701',
+  attachMime: '370E'
+};
+
+function readMsgProperty(streams, prefix, tag, binary = false) {
+  const unicode = streams.get(`${prefix}__substg1.0_${tag}001F`);
+  if (unicode && !binary) return unicode.toString('utf16le').replace(/\u0000+$/, '');
+  const ansi = streams.get(`${prefix}__substg1.0_${tag}001E`);
+  if (ansi && !binary) return decodeBytes(ansi, 'windows-1252').replace(/\u0000+$/, '');
+  return streams.get(`${prefix}__substg1.0_${tag}0102`) || null;
+}
+
+function parseMsgStorage(streams, storages, prefix, depth) {
+  const prop = (tag) => readMsgProperty(streams, prefix, tag);
+
+  const senderName = prop(MSG_PROPS.senderName);
+  const senderEmail = prop(MSG_PROPS.senderSmtp) || prop(MSG_PROPS.senderEmail);
+  const transport = prop(MSG_PROPS.transportHeaders);
+  const date = transport ? splitMessage(transport).headers.date : undefined;
+
+  const headers = {};
+  if (senderName || senderEmail) {
+    headers.from = senderName && senderEmail && senderName !== senderEmail ? `${senderName} <${senderEmail}>` : (senderName || senderEmail);
+  }
+  if (prop(MSG_PROPS.displayTo)) headers.to = prop(MSG_PROPS.displayTo);
+  if (prop(MSG_PROPS.displayCc)) headers.cc = prop(MSG_PROPS.displayCc);
+  if (prop(MSG_PROPS.displayBcc)) headers.bcc = prop(MSG_PROPS.displayBcc);
+  if (date) headers.date = date;
+  if (prop(MSG_PROPS.subject)) headers.subject = prop(MSG_PROPS.subject);
+
+  let body = prop(MSG_PROPS.body);
+  if (!body) {
+    const html = readMsgProperty(streams, prefix, MSG_PROPS.htmlBody, true) || prop(MSG_PROPS.htmlBody);
+    if (html) body = htmlToText(Buffer.isBuffer(html) ? decodeBytes(html, 'utf-8') : html);
+  }
+
+  const attachments = [];
+  storages
+    .filter(path => path.startsWith(prefix) && /^__attach_version1\.0_#[0-9A-Fa-f]{8}\/$/.test(path.slice(prefix.length)))
+    .forEach(attachPrefix => {
+      const attachProp = (tag) => readMsgProperty(streams, attachPrefix, tag);
+      const filename = attachProp(MSG_PROPS.attachLongFilename) || attachProp(MSG_PROPS.attachFilename) ||
+        attachProp(MSG_PROPS.attachDisplayName) || 'attachment';
+
+      // Attached Outlook items are nested storages rather than byte streams
+      const embedded = `${attachPrefix}__substg1.0_${MSG_PROPS.attachData}000D/`;
+      if (storages.includes(embedded) && depth < MAX_MIME_DEPTH) {
+        attachments.push({ filename, contentType: 'application/vnd.ms-outlook', message: parseMsgStorage(streams, storages, embedded, depth + 1) });
+        return;
+      }
+
+      const content = readMsgProperty(streams, attachPrefix, MSG_PROPS.attachData, true);
+      if (content) {
+        attachments.push({ filename, contentType: attachProp(MSG_PROPS.attachMime) || 'application/octet-stream', content });
+      }
+    });
+
+  return { headers, body: (body || '').trim(), attachments };
+}
+
+// Parse an Outlook .msg file into the same shape as parseEmail (embedded
+// messages are returned as { filename, message } attachments)
+function parseMsg(buffer) {
+  const cfb = XLSX.CFB.read(Buffer.from(buffer), { type: 'buffer' });
+  const streams = new Map();
+  const storages = [];
+
+  cfb.FullPaths.forEach((path, i) => {
+    const entry = cfb.FileIndex[i];
+    if (entry.type === 2 && entry.content) streams.set(path, Buffer.from(entry.content));
+    else if (entry.type === 1) storages.push(path);
+  });
+
+  const root = cfb.FullPaths[0];
+  return parseMsgStorage(streams, storages, root, 0);
+}
+
+// ---------------------------------------------------------------------------
+// PowerPoint .pptx
+// ---------------------------------------------------------------------------
+
+// Paragraph text from DrawingML (<a:p> with <a:t> runs)
+function drawingMLToText(xml) {
+  return xml
+    .split(/<\/a:p>/)
+    .map(paragraph => decodeEntities((paragraph.match(/<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>/g) || [])
+      .map(run => run.replace(/<[^>]+>/g, ''))
+      .join('')))
+    .filter(line => line.trim())
+    .join('\n');
+}
+
+const slideNumber = (name) => parseInt(/(\d+)\.xml$/.exec(name)[1], 10);
+
+// Slide text and speaker notes, in slide order
+async function extractPptx(buffer) {
+  const JSZip = require('jszip');
+  const zip = await JSZip.loadAsync(buffer);
+
+  const slides = Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => slideNumber(a) - slideNumber(b));
+
+  const sections = [];
+  for (const name of slides) {
+    const text = drawingMLToText(await zip.file(name).async('string'));
+
+    // Notes are linked from the slide's relationships part
+    let notes = '';
+    const rels = zip.file(name.replace(/slides\/(slide\d+\.xml)$/, 'slides/_rels/$1.rels'));
+    if (rels) {
+      const target = /Type="[^"]*\/notesSlide"[^>]*Target="([^"]+)"|Target="([^"]+)"[^>]*Type="[^"]*\/notesSlide"/.exec(await rels.async('string'));
+      const notesPath = target && `ppt/notesSlides/${(target[1] || target[2]).split('/').pop()}`;
+      if (notesPath && zip.file(notesPath)) {
+        // Drop the slide-number placeholder text that notes pages repeat
+        notes = drawingMLToText(await zip.file(notesPath).async('string'))
+          .split('\n')
+          .filter(line => line.trim() !== String(slideNumber(name)))
+          .join('\n');
+      }
+    }
+
+    sections.push(`=== Slide ${slideNumber(name)} ===\n${text}${notes ? `\n--- Speaker notes ---\n${notes}` : ''}`);
+  }
+
+  return { text: sections.join('\n\n'), slides: slides.length };
+}
+
+module.exports = {
+  decodeBytes,
+  htmlToText,
+  markdownToText,
+  jsonToText,
+  rtfToText,
+  parseEmail,
+  parseMsg,
+  formatEmail,
+  extractPptx
+};
@@ -0,0 +1,275 @@
+// k-anonymity for tabular data (spreadsheet sheets, CSV)
+// Direct identifiers are pseudonymized; admin-tagged quasi-identifiers (birth
+// date, postcode, job title...) are generalized step by step and the remaining
+// outlier rows suppressed until every combination appears at least k times.
+const { profileTable } = require('./tableProfiler');
+
+const DEFAULT_K = 5;
+const DEFAULT_MAX_SUPPRESSION = 0.05; // fraction of rows that may be dropped
+
+const SUPPRESSED = '*';
+
+// Generalization hierarchies. Each returns the value at a level (0 = original);
+// maxLevel always produces '*'.
+const HIERARCHIES = {
+  // 37 -> 35-39 -> 30-39 -> 20-39 -> *
+  AGE: {
+    maxLevel: 4,
+    generalize(value, level) {
+      const n = parseFloat(String(value).replace(/,/g, ''));
+      if (level === 0) return value;
+      if (Number.isNaN(n) || level >= this.maxLevel) return SUPPRESSED;
+      const width = [0, 5, 10, 20][level];
+      const low = Math.floor(n / width) * width;
+      return `${low}-${low + width - 1}`;
+    }
+  },
+  // 1984-03-17 -> 1984-03 -> 1984 -> 1980s -> *
+  DATE: {
+    maxLevel: 4,
+    generalize(value, level) {
+      if (level === 0) return value;
+      const date = parseDate(value);
+      if (!date || level >= this.maxLevel) return SUPPRESSED;
+      const year = date.getUTCFullYear();
+      if (level === 1) return `${year}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+      if (level === 2) return String(year);
+      return `${Math.floor(year / 10) * 10}s`;
+    }
+  },
+  // 90210 -> 9021* -> 902** -> 90*** -> ... -> *
+  POSTCODE: {
+    maxLevel: 5,
+    generalize(value, level) {
+      const code = String(value).replace(/\s+/g, '');
+      if (level === 0) return value;
+      if (level >= this.maxLevel || code.length <= level) return SUPPRESSED;
+      return code.slice(0, code.length - level) + SUPPRESSED.repeat(level);
+    }
+  },
+  // Free text or categories have no natural hierarchy: keep or suppress
+  CATEGORY: {
+    maxLevel: 1,
+    generalize(value, level) {
+      return level === 0 ? value : SUPPRESSED;
+    }
+  }
+};
+
+const QUASI_IDENTIFIER_KINDS = Object.keys(HIERARCHIES);
+
+function parseDate(value) {
+  const v = String(value).trim();
+  let match = /^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?/.exec(v);
+  if (match) return new Date(Date.UTC(+match[1], +match[2] - 1, +(match[3] || 1)));
+
+  // Day-first (dd/mm/yyyy, dd.mm.yy), as used by Israeli and European sheets
+  match = /^(\d{1,2})[/.](\d{1,2})[/.](\d{2,4})$/.exec(v);
+  if (match) {
+    const year = match[3].length === 2 ? 1900 + +match[3] + (+match[3] < 30 ? 100 : 0) : +match[3];
+    return new Date(Date.UTC(year, +match[2] - 1, +match[1]));
+  }
+  return null;
+}
+
+// Guess a hierarchy when the admin tagged a column without a kind
+function inferKind(column) {
+  if (/\bage\b|גיל/i.test(column.name)) return 'AGE';
+  if (/zip|postal|post.?code|מיקוד/i.test(column.name)) return 'POSTCODE';
+  if (column.type === 'DATE' || /birth|\bdob\b|date|לידה/i.test(column.name)) return 'DATE';
+  if (column.type === 'INTEGER' || column.type === 'DECIMAL') return 'AGE';
+  return 'CATEGORY';
+}
+
+// Validate the admin configuration { k, maxSuppression, quasiIdentifiers: [{ column, kind }] }
+function validateConfig(config) {
+  const errors = [];
+  const { k, maxSuppression, quasiIdentifiers } = config || {};
+
+  if (k !== undefined && !(Number.isInteger(k) && k >= 2 && k <= 100)) {
+    errors.push('k must be an integer between 2 and 100');
+  }
+  if (maxSuppression !== undefined && !(typeof maxSuppression === 'number' && maxSuppression >= 0 && maxSuppression <= 0.5)) {
+    errors.push('maxSuppression must be a number between 0 and 0.5');
+  }
+  if (quasiIdentifiers !== undefined) {
+    if (!Array.isArray(quasiIdentifiers)) {
+      errors.push('quasiIdentifiers must be an array');
+    } else {
+      quasiIdentifiers.forEach((qi, i) => {
+        if (!qi || typeof qi.column !== 'string' || !qi.column.trim()) {
+          errors.push(`quasiIdentifiers[${i}].column is required`);
+        }
+        if (qi && qi.kind !== undefined && !QUASI_IDENTIFIER_KINDS.includes(qi.kind)) {
+          errors.push(`quasiIdentifiers[${i}].kind must be one of ${QUASI_IDENTIFIER_KINDS.join(', ')}`);
+        }
+      });
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// Group row indexes by their generalized quasi-identifier values
+function equivalenceClasses(rows, quasi, levels) {
+  const classes = new Map();
+  rows.forEach((row, index) => {
+    const key = JSON.stringify(quasi.map((q, i) => HIERARCHIES[q.kind].generalize(row[q.index], levels[i])));
+    if (!classes.has(key)) classes.set(key, []);
+    classes.get(key).push(index);
+  });
+  return classes;
+}
+
+// Rows that sit in an equivalence class smaller than k
+function countViolations(classes, k) {
+  let count = 0;
+  for (const members of classes.values()) {
+    if (members.length < k) count += members.length;
+  }
+  return count;
+}
+
+// Anonymize one table ({ headers, rows }) to the requested k
+// options: { k, maxSuppression, quasiIdentifiers, pseudonymizer }
+function anonymizeTable(table, options = {}) {
+  const {
+    k = DEFAULT_K,
+    maxSuppression = DEFAULT_MAX_SUPPRESSION,
+    quasiIdentifiers = [],
+    pseudonymizer
+  } = options;
+
+  const profile = profileTable(table);
+
+  // Resolve tagged columns by (case-insensitive) header name
+  const quasi = quasiIdentifiers
+    .map(qi => {
+      const column = profile.columns.find(c => c.name.toLowerCase() === String(qi.column).trim().toLowerCase());
+      return column ? { index: column.index, name: column.name, kind: qi.kind || inferKind(column) } : null;
+    })
+    .filter(Boolean);
+  const quasiIndexes = new Set(quasi.map(q => q.index));
+
+  // Direct identifiers: detected PII columns that were not tagged as quasi-identifiers
+  const identifiers = profile.columns.filter(c => c.pii && !quasiIndexes.has(c.index));
+
+  // Datafly-style search: generalize the quasi-identifier with the most distinct
+  // values one level at a time until few enough rows violate k
+  const levels = quasi.map(() => 0);
+  const allowedSuppression = Math.floor(table.rows.length * maxSuppression);
+  let classes = equivalenceClasses(table.rows, quasi, levels);
+
+  while (quasi.length > 0 && countViolations(classes, k) > allowedSuppression) {
+    const candidates = quasi
+      .map((q, i) => ({ i, distinct: new Set(table.rows.map(r => HIERARCHIES[q.kind].generalize(r[q.index], levels[i]))).size }))
+      .filter(c => levels[c.i] < HIERARCHIES[quasi[c.i].kind].maxLevel)
+      .sort((a, b) => b.distinct - a.distinct);
+
+    if (candidates.length === 0) break;
+    levels[candidates[0].i]++;
+    classes = equivalenceClasses(table.rows, quasi, levels);
+  }
+
+  // The greedy search can overshoot; step back any column that is not needed
+  let relaxed = true;
+  while (relaxed) {
+    relaxed = false;
+    for (let i = 0; i < quasi.length; i++) {
+      if (levels[i] === 0) continue;
+      levels[i]--;
+      const candidate = equivalenceClasses(table.rows, quasi, levels);
+      if (countViolations(candidate, k) <= allowedSuppression) {
+        classes = candidate;
+        relaxed = true;
+      } else {
+        levels[i]++;
+      }
+    }
+  }
+
+  // Suppress rows still in classes smaller than k
+  const suppressed = new Set();
+  if (quasi.length > 0) {
+    for (const members of classes.values()) {
+      if (members.length < k) members.forEach(i => suppressed.add(i));
+    }
+  }
+
+  const rows = [];
+  table.rows.forEach((row, index) => {
+    if (suppressed.has(index)) return;
+    rows.push(row.map((value, col) => {
+      const q = quasi.findIndex(x => x.index === col);
+      if (q !== -1) return HIERARCHIES[quasi[q].kind].generalize(value, levels[q]);
+
+      const identifier = identifiers.find(c => c.index === col);
+      if (identifier && value !== '') {
+        return pseudonymizer ? pseudonymizer.placeholderFor({ type: identifier.piiType, value }) : SUPPRESSED;
+      }
+      return value;
+    }));
+  });
+
+  const keptClasses = Array.from(classes.values()).filter(c => c.length >= k);
+  const achievedK = quasi.length === 0 ? null :
+    (keptClasses.length > 0 ? Math.min(...keptClasses.map(c => c.length)) : 0);
+
+  // Information loss per quasi-identifier: generalization height (0 = untouched,
+  // 1 = fully suppressed), with suppressed rows counting as fully lost
+  const suppressionRate = table.rows.length > 0 ? suppressed.size / table.rows.length : 0;
+  const columns = quasi.map((q, i) => {
+    const height = levels[i] / HIERARCHIES[q.kind].maxLevel;
+    return {
+      name: q.name,
+      kind: q.kind,
+      level: levels[i],
+      maxLevel: HIERARCHIES[q.kind].maxLevel,
+      distinctBefore: new Set(table.rows.map(r => r[q.index])).size,
+      distinctAfter: new Set(rows.map(r => r[q.index])).size,
+      informationLoss: Math.round((height * (1 - suppressionRate) + suppressionRate) * 1000) / 1000
+    };
+  });
+
+  return {
+    headers: table.headers,
+    rows,
+    report: {
+      targetK: k,
+      achievedK,
+      rowCount: table.rows.length,
+      suppressedRows: suppressed.size,
+      quasiIdentifiers: columns,
+      pseudonymizedColumns: identifiers.map(c => ({ name: c.name, piiType: c.piiType })),
+      unmatchedQuasiIdentifiers: quasiIdentifiers
+        .map(qi => qi.column)
+        .filter(name => !quasi.some(q => q.name.toLowerCase() === String(name).trim().toLowerCase()))
+    }
+  };
+}
+
+// Load a tenant's k-anonymity settings from tenants.settings.kAnonymity
+async function loadKAnonymityConfig(tenantId) {
+  const defaults = { k: DEFAULT_K, maxSuppression: DEFAULT_MAX_SUPPRESSION, quasiIdentifiers: [] };
+  if (!tenantId) return defaults;
+
+  try {
+    const { query } = require('../config/database');
+    const result = await query('SELECT settings FROM tenants WHERE id = $1', [tenantId]);
+    const settings = result.rows[0] && result.rows[0].settings;
+    return { ...defaults, ...((settings && settings.kAnonymity) || {}) };
+  } catch (error) {
+    console.error('Failed to load k-anonymity settings:', error.message);
+    return defaults;
+  }
+}
+
+module.exports = {
+  DEFAULT_K,
+  DEFAULT_MAX_SUPPRESSION,
+  QUASI_IDENTIFIER_KINDS,
+  HIERARCHIES,
+  validateConfig,
+  anonymizeTable,
+  loadKAnonymityConfig
+};
@@ -0,0 +1,284 @@
+// Masking strategies - how a single finding is replaced in sanitized text
+// Tenants pick a strategy per finding type or category; anonymizer.js applies it.
+const crypto = require('crypto');
+const gazetteers = require('../config/gazetteers.json');
+const { isSecretType } = require('./secretScanner');
+const { normalizeValue } = require('./allowlist');
+
+const STRATEGIES = ['LABEL', 'PSEUDONYM', 'PARTIAL', 'FORMAT_PRESERVING', 'HASH', 'SYNTHETIC'];
+
+// Strategies whose output is a token rather than realistic text
+const TOKEN_STRATEGIES = ['LABEL', 'PSEUDONYM', 'HASH'];
+
+// Key for deterministic hashing and seeded fakes (CHANGE IN PRODUCTION!)
+const HMAC_KEY = process.env.MASKING_HMAC_KEY || 'default-safeai-masking-key';
+
+// Placeholder prefixes for pseudonyms and hash tokens (EMAIL_1, CLIENT_2, ...)
+const PSEUDONYM_PREFIXES = {
+  EMAIL: 'EMAIL',
+  PHONE: 'PHONE',
+  SSN: 'ID',
+  ID_NUMBER: 'ID',
+  CREDIT_CARD: 'CC',
+  IBAN: 'ACCOUNT',
+  FINANCIAL: 'ACCOUNT',
+  PASSPORT: 'PASSPORT',
+  DRIVERS_LICENSE: 'DL',
+  MEDICAL_ID: 'MEDICAL_ID',
+  TAX_ID: 'TAX_ID',
+  VAT_NUMBER: 'VAT',
+  ADDRESS: 'ADDRESS',
+  DATE_OF_BIRTH: 'DOB',
+  PII_PERSON: 'CLIENT',
+  PII_ORG: 'COMPANY'
+};
+
+// Prefix for a finding: by type, then by category, then a generic fallback
+function getPseudonymPrefix(finding) {
+  if (isSecretType(finding.type)) return 'SECRET';
+  return PSEUDONYM_PREFIXES[finding.type] || PSEUDONYM_PREFIXES[finding.category] || 'DATA';
+}
+
+// Validate a tenant strategy map ({ CREDIT_CARD: 'PARTIAL', FINANCIAL: 'HASH', default: 'LABEL' })
+function validateStrategies(strategies) {
+  const errors = [];
+
+  if (!strategies || typeof strategies !== 'object' || Array.isArray(strategies)) {
+    return { valid: false, errors: ['strategies must be an object'] };
+  }
+  for (const [key, strategy] of Object.entries(strategies)) {
+    if (!STRATEGIES.includes(strategy)) {
+      errors.push(`${key}: strategy must be one of ${STRATEGIES.join(', ')}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// Pick the strategy for a finding: by type, then category, then the map's default.
+// options.explicitOnly skips the map's default, so a mode-wide fallback such as
+// PSEUDONYM (pseudonymization mode) is only replaced by per-type or per-category entries.
+function resolveStrategy(finding, strategies = {}, fallback = 'LABEL', options = {}) {
+  const mapDefault = options.explicitOnly ? undefined : strategies.default;
+  const strategy = strategies[finding.type] || strategies[finding.category] || mapDefault || fallback;
+
+  // Credentials are never partially revealed or swapped for look-alikes
+  if (isSecretType(finding.type) && !['LABEL', 'HASH'].includes(strategy)) {
+    return 'LABEL';
+  }
+  return STRATEGIES.includes(strategy) ? strategy : fallback;
+}
+
+// Keyed digest of a finding value; tenants get distinct tokens for the same value
+function digest(finding, tenantId) {
+  return crypto.createHmac('sha256', HMAC_KEY)
+    .update(`${tenantId || ''}:${finding.type}:${normalizeValue(finding.value)}`)
+    .digest();
+}
+
+// Deterministic random source seeded from the digest, so a value always
+// gets the same fake within a tenant but cannot be recovered from it
+function seededRandom(seed) {
+  let state = seed.readUInt32BE(0) || 1;
+  return (max) => {
+    // mulberry32
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    const value = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    return Math.floor(value * max);
+  };
+}
+
+// Luhn check digit for a digit string (without its check digit)
+function luhnCheckDigit(digits) {
+  let sum = 0;
+  let double = true;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = parseInt(digits[i], 10);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+// IBAN check digits for a country code and BBAN
+function ibanCheckDigits(country, bban) {
+  const rearranged = `${bban}${country}00`;
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /[A-Z]/.test(char) ? (char.charCodeAt(0) - 55).toString() : char;
+    for (const digit of code) {
+      remainder = (remainder * 10 + parseInt(digit, 10)) % 97;
+    }
+  }
+  return String(98 - remainder).padStart(2, '0');
+}
+
+// Israeli ID check digit for the first eight digits
+function israeliIdCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 8; i++) {
+    let step = parseInt(digits[i], 10) * ((i % 2) + 1);
+    if (step > 9) step -= 9;
+    sum += step;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+// Replace each character with a random one of the same class; separators stay
+function scramble(value, random) {
+  const DIGITS = '0123456789';
+  const LOWER = 'abcdefghijklmnopqrstuvwxyz';
+  const UPPER = LOWER.toUpperCase();
+
+  return value.replace(/[0-9a-zA-Z]/g, char => {
+    if (/\d/.test(char)) return DIGITS[random(10)];
+    if (/[a-z]/.test(char)) return LOWER[random(26)];
+    return UPPER[random(26)];
+  });
+}
+
+// Rewrite the digits of `value` (keeping separators) with the given digit string
+function replaceDigits(value, digits) {
+  let index = 0;
+  return value.replace(/\d/g, () => digits[index++]);
+}
+
+// Same length and character classes; checksummed types stay valid
+function formatPreserving(finding, random) {
+  const { type, value } = finding;
+
+  if (type === 'CREDIT_CARD') {
+    const digits = value.replace(/\D/g, '');
+    const body = digits.slice(0, 1) + scramble(digits.slice(1, -1), random);
+    return replaceDigits(value, body + luhnCheckDigit(body));
+  }
+
+  if (type === 'IBAN') {
+    const compact = value.replace(/\s+/g, '').toUpperCase();
+    const country = compact.slice(0, 2);
+    const bban = scramble(compact.slice(4), random);
+    const iban = `${country}${ibanCheckDigits(country, bban)}${bban}`;
+    // Re-apply the original grouping
+    let index = 0;
+    return value.replace(/\S/g, () => iban[index++]);
+  }
+
+  if (type === 'ID_NUMBER') {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length === 9) {
+      const body = scramble(digits.slice(0, 8), random);
+      return replaceDigits(value, body + israeliIdCheckDigit(body));
+    }
+  }
+
+  if (type === 'EMAIL') {
+    // Scramble the mailbox, keep the shape of the domain
+    const [local, domain] = value.split('@');
+    const tld = domain.slice(domain.lastIndexOf('.'));
+    return `${scramble(local, random)}@${scramble(domain.slice(0, -tld.length), random)}${tld}`;
+  }
+
+  return scramble(value, random);
+}
+
+// Keep just enough to tell values apart: last 4 characters, email domain, initials
+function partial(finding) {
+  const { type, value } = finding;
+
+  if (type === 'EMAIL') {
+    const at = value.lastIndexOf('@');
+    return `***${value.slice(at)}`;
+  }
+
+  if (type === 'PII_PERSON' || type === 'PII_ORG') {
+    return value.split(/\s+/).map(word => `${Array.from(word)[0]}.`).join(' ');
+  }
+
+  // Mask every letter/digit except the last four, keeping separators
+  const total = (value.match(/[\p{L}\p{N}]/gu) || []).length;
+  if (total <= 4) return null;
+
+  let seen = 0;
+  return value.replace(/[\p{L}\p{N}]/gu, char => (++seen > total - 4 ? char : '*'));
+}
+
+const pick = (list, random) => list[random(list.length)];
+
+// Realistic fakes drawn from the gazetteers; other types fall back to format-preserving
+function synthetic(finding, random) {
+  const { type, value } = finding;
+  const hebrew = /\p{Script=Hebrew}/u.test(value);
+  const lang = hebrew ? 'he' : 'en';
+
+  switch (type) {
+    case 'PII_PERSON':
+      return `${pick(gazetteers.firstNames[lang], random)} ${pick(gazetteers.lastNames[lang], random)}`;
+    case 'PII_ORG':
+      return hebrew ?
+        `${pick(gazetteers.lastNames.he, random)} בע"מ` :
+        `${pick(gazetteers.lastNames.en, random)} ${pick(['Ltd', 'Inc.', 'LLC', 'Group'], random)}`;
+    case 'EMAIL': {
+      const first = pick(gazetteers.firstNames.en, random).toLowerCase();
+      const last = pick(gazetteers.lastNames.en, random).toLowerCase();
+      return `${first}.${last}@example.com`;
+    }
+    case 'ADDRESS':
+      return `${1 + random(200)} ${pick(['Oak', 'Maple', 'Cedar', 'Elm', 'Pine'], random)} Street`;
+    default:
+      return formatPreserving(finding, random);
+  }
+}
+
+// Apply a value-changing strategy. LABEL and PSEUDONYM are handled by the
+// anonymizer; returns null when the strategy cannot be applied to this value.
+function maskValue(finding, strategy, options = {}) {
+  const { tenantId } = options;
+  const value = finding.value;
+  if (value === undefined || value === null || value === '') return null;
+
+  switch (strategy) {
+    case 'PARTIAL':
+      return partial(finding);
+    case 'FORMAT_PRESERVING':
+      return formatPreserving(finding, seededRandom(digest(finding, tenantId)));
+    case 'SYNTHETIC':
+      return synthetic(finding, seededRandom(digest(finding, tenantId)));
+    case 'HASH':
+      return `${getPseudonymPrefix(finding)}_${digest(finding, tenantId).toString('hex').slice(0, 10)}`;
+    default:
+      return null;
+  }
+}
+
+// Load a tenant's strategy map from tenants.settings.maskingStrategies
+async function loadMaskingStrategies(tenantId) {
+  if (!tenantId) return {};
+
+  try {
+    const { query } = require('../config/database');
+    const result = await query('SELECT settings FROM tenants WHERE id = $1', [tenantId]);
+    const settings = result.rows[0] && result.rows[0].settings;
+    return (settings && settings.maskingStrategies) || {};
+  } catch (error) {
+    console.error('Failed to load masking strategies:', error.message);
+    return {};
+  }
+}
+
+module.exports = {
+  STRATEGIES,
+  TOKEN_STRATEGIES,
+  PSEUDONYM_PREFIXES,
+  getPseudonymPrefix,
+  validateStrategies,
+  resolveStrategy,
+  maskValue,
+  loadMaskingStrategies
+};
@@ -0,0 +1,319 @@
+// Offline person and organization name detection (English and Hebrew)
+// Uses bundled gazetteers, honorific/salutation cues, capitalization and
+// company suffixes. No external NER service is called.
+const gazetteers = require('../config/gazetteers.json');
+
+const MIN_CONFIDENCE = 0.5;
+const MAX_PERSON_TOKENS = 3;
+const MAX_ORG_TOKENS = 5;
+
+const toSet = (list, lower = true) => new Set(list.map(v => (lower ? v.toLowerCase() : v)));
+
+const FIRST_NAMES_EN = toSet(gazetteers.firstNames.en);
+const LAST_NAMES_EN = toSet(gazetteers.lastNames.en);
+const FIRST_NAMES_HE = toSet(gazetteers.firstNames.he, false);
+const LAST_NAMES_HE = toSet(gazetteers.lastNames.he, false);
+const AMBIGUOUS_FIRST_NAMES = toSet(gazetteers.ambiguousFirstNames);
+const PERSON_CUES_EN = toSet(gazetteers.personCues.en);
+const PERSON_CUES_HE = toSet(gazetteers.personCues.he, false);
+const ORG_SUFFIXES_EN = toSet(gazetteers.orgSuffixes.en.map(s => s.replace(/\.$/, '')));
+const ORG_SUFFIXES_HE = toSet(gazetteers.orgSuffixes.he, false);
+const ORG_PREFIXES_HE = toSet(gazetteers.orgPrefixes.he, false);
+
+// Hebrew cues that are greetings rather than titles need a gazetteer hit to fire
+const WEAK_CUES_HE = new Set(['שלום', 'לכבוד', 'הלקוח', 'הלקוחה', 'הנאשם', 'התובע', 'הנתבע']);
+const WEAK_CUES_EN = new Set(['dear', 'attn', 'attention', 'sincerely', 'regards', 'client', 'defendant', 'plaintiff', 'claimant', 'witness']);
+
+// Lower-case words allowed inside an English organization name
+const ORG_CONNECTORS = new Set(['&', 'and', 'of', 'the', 'for']);
+
+// Suffixes that can sit inside a longer name ("Acme Holdings Ltd", "Smith Partners LLP");
+// any other suffix met while walking back ends the previous organization
+const INNER_ORG_SUFFIXES = new Set(['holdings', 'group', 'partners', 'pty', 'company']);
+
+// Hebrew words that end an organization name when walking back from its suffix
+// (object marker, possessive and prepositions: "ייצג את אלפא בע"מ", "ההסכם של אלפא בע"מ")
+const HEBREW_FUNCTION_WORDS = new Set(['את', 'של', 'עם', 'על', 'אל', 'מול', 'נגד', 'עבור', 'בין', 'לבין', 'או', 'גם', 'כי', 'אשר', 'מאת', 'אצל']);
+
+// Single-letter Hebrew prefixes (ו, ה, ב, ל, מ, ש, כ) attached to names
+const HEBREW_PREFIX = /^[והבלמשכ]/;
+
+// Word tokens: letters with inner hyphens/apostrophes/quotes (עו"ד, O'Brien),
+// inner dots (S.A.) and an optional trailing dot or geresh (Mr., גב')
+const TOKEN_PATTERN = /&|\p{L}(?:[\p{L}\p{M}-]|['’׳״"](?=\p{L})|\.(?=\p{L}))*(?:\.|['׳](?!\p{L}))?/gu;
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+
+  while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+    const raw = match[0];
+    const core = raw.replace(/\.$/, '');
+    const before = text.slice(0, match.index).trimEnd();
+
+    tokens.push({
+      raw,
+      core,
+      lower: core.toLowerCase(),
+      start: match.index,
+      end: match.index + raw.length,
+      isHebrew: /\p{Script=Hebrew}/u.test(core),
+      isCapitalized: /^\p{Lu}/u.test(core),
+      sentenceStart: before.length === 0 || /[.!?:\n]$/.test(before)
+    });
+  }
+
+  // Tokens are adjacent when only spaces or tabs separate them
+  for (let i = 0; i < tokens.length - 1; i++) {
+    tokens[i].joinsNext = /^[ \t]+$/.test(text.slice(tokens[i].end, tokens[i + 1].start));
+  }
+
+  return tokens;
+}
+
+// Gazetteer lookup that tolerates one Hebrew prefix letter (לכהן -> כהן)
+function inHebrewSet(set, word) {
+  if (set.has(word)) return true;
+  return word.length > 2 && HEBREW_PREFIX.test(word) && set.has(word.slice(1));
+}
+
+function isFirstName(token) {
+  return token.isHebrew ? inHebrewSet(FIRST_NAMES_HE, token.core) : FIRST_NAMES_EN.has(token.lower);
+}
+
+function isLastName(token) {
+  return token.isHebrew ? inHebrewSet(LAST_NAMES_HE, token.core) : LAST_NAMES_EN.has(token.lower);
+}
+
+function isPersonCue(token) {
+  return token.isHebrew ? PERSON_CUES_HE.has(token.raw) || PERSON_CUES_HE.has(token.core) : PERSON_CUES_EN.has(token.lower);
+}
+
+function isOrgSuffix(token) {
+  return token.isHebrew ? ORG_SUFFIXES_HE.has(token.raw) || ORG_SUFFIXES_HE.has(token.core) : ORG_SUFFIXES_EN.has(token.lower);
+}
+
+// Can this token be part of a name following the token before it?
+function isNameToken(token) {
+  if (isPersonCue(token) || isOrgSuffix(token)) return false;
+  return token.isHebrew || token.isCapitalized;
+}
+
+function buildFinding(type, tokens, from, to, text, confidence, cue) {
+  const offsetStart = tokens[from].start;
+  // A trailing dot belongs to the sentence, not the name (unless it is an initial or "Ltd.")
+  const last = tokens[to];
+  const keepDot = last.core.length === 1 || (type === 'PII_ORG' && !last.isHebrew && isOrgSuffix(last));
+  const offsetEnd = keepDot ? last.end : last.start + last.core.length;
+
+  return {
+    type,
+    offsetStart,
+    offsetEnd,
+    value: text.slice(offsetStart, offsetEnd),
+    validated: true,
+    confidence: Math.round(Math.min(confidence, 0.99) * 100) / 100,
+    details: cue ? { cue } : undefined
+  };
+}
+
+// Does walking back from a suffix stop at this token? Titles, person cues and an
+// earlier organization's suffix always end the name.
+function endsOrgName(token) {
+  if (isPersonCue(token)) return true;
+  return isOrgSuffix(token) && !(token.isHebrew || INNER_ORG_SUFFIXES.has(token.lower));
+}
+
+// Start of an English organization ending at suffix index i, or i when none.
+// Connectors (and, of, &) join parts of one name ("Bank of America Corp"), but a
+// part before a connector that holds a known first name or follows a title is a
+// person ("John Smith and Acme Ltd", "Mr. John Smith of Acme Ltd") and is left out.
+function findEnglishOrgStart(tokens, i) {
+  let from = i;
+  let partFrom = i;
+  let partHasPerson = false;
+
+  for (let j = i - 1; j >= 0 && i - j <= MAX_ORG_TOKENS && tokens[j].joinsNext; j--) {
+    const token = tokens[j];
+
+    if (endsOrgName(token)) {
+      if (isPersonCue(token)) partHasPerson = true;
+      break;
+    }
+    if (token.isCapitalized) {
+      partFrom = j;
+      if (isFirstName(token)) partHasPerson = true;
+    } else if (ORG_CONNECTORS.has(token.lower) && j > 0 && tokens[j - 1].isCapitalized && !endsOrgName(tokens[j - 1])) {
+      // The part right of the connector is kept; the walk continues into the next part
+      if (partFrom === i) break;
+      from = partFrom;
+      partHasPerson = false;
+      continue;
+    } else {
+      break;
+    }
+  }
+
+  // The part nearest the suffix is always the organization ("John Lewis Ltd")
+  if (from === i || !partHasPerson) from = partFrom;
+  return from;
+}
+
+// Start of a Hebrew organization ending at suffix index i, or i when none. The walk
+// stops at a prefix such as חברת, at function words and titles, and at a word with
+// the connector ו, which starts this organization ("אלפא ובטא בע"מ" -> בטא בע"מ).
+// Returns { from, connector } where connector marks a leading ו to leave out.
+function findHebrewOrgStart(tokens, i) {
+  let from = i;
+  for (let j = i - 1; j >= 0 && i - j <= 3 && tokens[j].joinsNext; j--) {
+    const token = tokens[j];
+    if (!token.isHebrew || ORG_PREFIXES_HE.has(token.core) || HEBREW_FUNCTION_WORDS.has(token.core) || endsOrgName(token)) break;
+    from = j;
+    if (token.core.length > 2 && token.core[0] === 'ו') {
+      return { from, connector: true };
+    }
+  }
+  return { from, connector: false };
+}
+
+// Organizations: a run of name tokens ending in a company suffix (Acme Ltd, כהן ושות', אלפא בע"מ)
+function detectOrganizations(tokens, text) {
+  const findings = [];
+
+  for (let i = 1; i < tokens.length; i++) {
+    const suffix = tokens[i];
+    if (!isOrgSuffix(suffix) || !tokens[i - 1].joinsNext) continue;
+
+    if (suffix.isHebrew) {
+      const { from, connector } = findHebrewOrgStart(tokens, i);
+      if (from === i) continue;
+      const finding = buildFinding('PII_ORG', tokens, from, i, text, 0.9, suffix.core);
+      if (connector) {
+        finding.offsetStart++;
+        finding.value = text.slice(finding.offsetStart, finding.offsetEnd);
+      }
+      findings.push(finding);
+    } else {
+      const from = findEnglishOrgStart(tokens, i);
+      if (from < i) findings.push(buildFinding('PII_ORG', tokens, from, i, text, 0.9, suffix.core));
+    }
+  }
+
+  // Hebrew "חברת X" without a suffix
+  for (let i = 0; i < tokens.length - 1; i++) {
+    if (ORG_PREFIXES_HE.has(tokens[i].core) && tokens[i].joinsNext && tokens[i + 1].isHebrew && !isOrgSuffix(tokens[i + 1])) {
+      findings.push(buildFinding('PII_ORG', tokens, i + 1, i + 1, text, 0.55, tokens[i].core));
+    }
+  }
+
+  // "Goldman and Partners LLP" also matches "Goldman and Partners"; keep the longest span
+  const kept = [];
+  findings
+    .sort((a, b) => (b.offsetEnd - b.offsetStart) - (a.offsetEnd - a.offsetStart))
+    .forEach(f => {
+      if (!kept.some(k => f.offsetStart < k.offsetEnd && f.offsetEnd > k.offsetStart)) kept.push(f);
+    });
+
+  return kept;
+}
+
+// People: honorific/salutation cues, gazetteer first names, capitalized runs
+function detectPersons(tokens, text) {
+  const findings = [];
+
+  // Collect up to `max` adjacent name tokens starting at index `from`
+  const collectName = (from, max) => {
+    let to = from - 1;
+    while (to + 1 < tokens.length && to + 1 - from < max && isNameToken(tokens[to + 1])) {
+      if (to >= from && !tokens[to].joinsNext) break;
+      // English names are capitalized; Hebrew runs must not switch script
+      if (to >= from && tokens[to + 1].isHebrew !== tokens[from].isHebrew) break;
+      to++;
+    }
+    return to;
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    // 1. Cue followed by a name ("Dear Mr. Smith", "עו"ד משה כהן")
+    if (isPersonCue(token) && token.joinsNext) {
+      const next = i + 1;
+      if (next < tokens.length && isPersonCue(tokens[next])) continue; // "Dear Mr." - let the inner cue handle it
+
+      const to = collectName(next, token.isHebrew ? 2 : MAX_PERSON_TOKENS);
+      if (to >= next) {
+        const gazetteerHit = tokens.slice(next, to + 1).some(t => isFirstName(t) || isLastName(t));
+        const weak = token.isHebrew ? WEAK_CUES_HE.has(token.core) : WEAK_CUES_EN.has(token.lower);
+
+        if (!weak || gazetteerHit) {
+          const confidence = (token.isHebrew ? 0.75 : 0.8) + (gazetteerHit ? 0.15 : 0);
+          findings.push(buildFinding('PII_PERSON', tokens, next, to, text, confidence, token.core));
+          i = to;
+          continue;
+        }
+      }
+    }
+
+    // 2. Gazetteer first name, optionally followed by a surname
+    if (isFirstName(token) && (token.isHebrew || token.isCapitalized)) {
+      const next = tokens[i + 1];
+      const hasSurname = next && token.joinsNext && isNameToken(next) && next.isHebrew === token.isHebrew;
+
+      if (token.isHebrew) {
+        // Many Hebrew first names are ordinary words; require a known surname
+        if (hasSurname && isLastName(next)) {
+          findings.push(buildFinding('PII_PERSON', tokens, i, i + 1, text, 0.85));
+          i++;
+        }
+        continue;
+      }
+
+      if (hasSurname) {
+        let to = i + 1;
+        // Middle initial or double-barrelled name: "John F. Kennedy", "Mary Ann Smith"
+        if (tokens[to + 1] && tokens[to].joinsNext && isNameToken(tokens[to + 1]) &&
+          (tokens[to].core.length === 1 || isLastName(tokens[to + 1]))) {
+          to++;
+        }
+        const surnameKnown = isLastName(tokens[to]);
+        findings.push(buildFinding('PII_PERSON', tokens, i, to, text, surnameKnown ? 0.9 : 0.7));
+        i = to;
+        continue;
+      }
+
+      if (!AMBIGUOUS_FIRST_NAMES.has(token.lower)) {
+        findings.push(buildFinding('PII_PERSON', tokens, i, i, text, 0.55));
+      }
+      continue;
+    }
+
+    // 3. Capitalized word followed by a known surname, mid-sentence ("Tamsin Cohen")
+    const next = tokens[i + 1];
+    if (!token.isHebrew && token.isCapitalized && !token.sentenceStart && token.joinsNext &&
+      next && next.isCapitalized && isLastName(next) && !isPersonCue(token) && !isOrgSuffix(next)) {
+      findings.push(buildFinding('PII_PERSON', tokens, i, i + 1, text, 0.6));
+      i++;
+    }
+  }
+
+  return findings;
+}
+
+// Detect person and organization names; organizations win overlaps
+function detectNames(text, options = {}) {
+  const { minConfidence = MIN_CONFIDENCE } = options;
+  const tokens = tokenize(text);
+
+  const organizations = detectOrganizations(tokens, text);
+  const persons = detectPersons(tokens, text).filter(p =>
+    !organizations.some(o => p.offsetStart < o.offsetEnd && p.offsetEnd > o.offsetStart)
+  );
+
+  return [...organizations, ...persons]
+    .filter(f => f.confidence >= minConfidence)
+    .sort((a, b) => a.offsetStart - b.offsetStart);
+}
+
+module.exports = { detectNames, tokenize, MIN_CONFIDENCE };
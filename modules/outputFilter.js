@@ -64,7 +64,11 @@ class OutputFilter {
     static detectReversalAttempts(text, entityMap) {
         const attempts = [];
 
-        for (const [placeholder, original] of Object.entries(entityMap)) {
+        for (const [placeholder, entry] of Object.entries(entityMap)) {
+            // Entries are { originalValue, category }; plain string values are accepted too
+            const original = typeof entry === 'string' ? entry : entry && entry.originalValue;
+            if (!original) continue;
+
             // Check if original value appears in text
             if (text.toLowerCase().includes(original.toLowerCase())) {
                 attempts.push({
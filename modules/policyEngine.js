@@ -1,86 +1,365 @@
-// Policy engine for security decisions
-
-// Make a security decision based on analysis and context
-function makeDecision(analysis, context = {}) {
-  const { riskLevel, findings } = analysis;
-  const { userRole = 'employee' } = context;
-  
-  // Extract finding types
-  const findingTypes = findings.map(f => f.type);
-  
-  // Check for specific patterns
-  const hasPII = findingTypes.some(type => 
-    ['EMAIL', 'PHONE', 'SSN', 'ID_NUMBER', 'CREDIT_CARD', 'IBAN', 'ADDRESS'].includes(type)
-  );
-  
-  const hasBulkData = findingTypes.includes('BULK_DATA');
-  const hasExfilAttempt = findingTypes.includes('EXFIL_ATTEMPT');
-  const hasJailbreakPattern = findingTypes.includes('JAILBREAK_PATTERN');
-  
-  // Initialize decision variables
+// Policy engine - the single place where findings become an ALLOW / WARN / BLOCK decision
+// Used by inline checks, the Wizard, the documents routes and the serverless handler.
+// Every detector type maps to a category; each category's decision comes from the
+// destination tool's override, the first matching rule of the tenant's rule set,
+// the rule set default (when the tenant has a rule set; not for SECRETS, ACTIVE_CONTENT
+// and PROMPT_ATTACK), the tenant's policies row or the policy mode default, and the
+// result carries a trace explaining each step.
+const { isSecretType } = require('./secretScanner');
+const { findMatchingRule } = require('./policyRules');
+
+const DECISIONS = ['ALLOW', 'WARN', 'BLOCK'];
+const POLICY_MODES = ['RELAXED', 'STANDARD', 'STRICT'];
+
+// Category of each built-in detector type; custom detectors carry their own
+const CATEGORY_BY_TYPE = {
+  EMAIL: 'PII_BASIC',
+  PHONE: 'PII_BASIC',
+  ADDRESS: 'PII_BASIC',
+  SSN: 'PII_BASIC',
+  ID_NUMBER: 'PII_BASIC',
+  PASSPORT: 'PII_BASIC',
+  DRIVERS_LICENSE: 'PII_BASIC',
+  DATE_OF_BIRTH: 'PII_BASIC',
+  PII_PERSON: 'PII_BASIC',
+  PII_ORG: 'PII_BASIC',
+  CREDIT_CARD: 'FINANCIAL',
+  IBAN: 'FINANCIAL',
+  TAX_ID: 'FINANCIAL',
+  VAT_NUMBER: 'FINANCIAL',
+  MEDICAL_ID: 'HEALTH',
+  KEYWORDS: 'INTERNAL',
+  JAILBREAK_PATTERN: 'PROMPT_ATTACK',
+  EXFIL_ATTEMPT: 'PROMPT_ATTACK',
+  SQL_INJECTION: 'CODE_INJECTION',
+  XSS_ATTEMPT: 'CODE_INJECTION',
+  BULK_DATA: 'BULK_DATA',
+  ACTIVE_CONTENT: 'ACTIVE_CONTENT'
+};
+
+// Decision for categories the tenant has no policies row for, per policy mode
+const MODE_DEFAULTS = {
+  RELAXED: { default: 'ALLOW', SECRETS: 'BLOCK', ACTIVE_CONTENT: 'BLOCK', PROMPT_ATTACK: 'WARN', HEALTH: 'WARN' },
+  STANDARD: { default: 'WARN', SECRETS: 'BLOCK', ACTIVE_CONTENT: 'BLOCK', PROMPT_ATTACK: 'BLOCK', HEALTH: 'BLOCK' },
+  STRICT: {
+    default: 'WARN',
+    SECRETS: 'BLOCK',
+    ACTIVE_CONTENT: 'BLOCK',
+    PROMPT_ATTACK: 'BLOCK',
+    HEALTH: 'BLOCK',
+    FINANCIAL: 'BLOCK',
+    CODE_INJECTION: 'BLOCK',
+    BULK_DATA: 'BLOCK'
+  }
+};
+
+// Anomaly score at which an analysis becomes MEDIUM / HIGH risk, per policy mode
+const MODE_THRESHOLDS = {
+  RELAXED: { medium: 55, high: 85 },
+  STANDARD: { medium: 40, high: 70 },
+  STRICT: { medium: 25, high: 50 }
+};
+
+const WARN_ACTIONS = ['WARN_AND_SANITIZE', 'WARN_AND_ALLOW'];
+
+// Categories a rule set default does not cover, so a catch-all ALLOW cannot unblock
+// them: only a rule naming them, a policies row or the mode default decides
+const EXPLICIT_ONLY_CATEGORIES = ['SECRETS', 'ACTIVE_CONTENT', 'PROMPT_ATTACK'];
+
+const rank = (decision) => DECISIONS.indexOf(decision);
+
+// Category for a detector type (PII_BASIC when unknown)
+function categoryForType(type) {
+  if (isSecretType(type)) return 'SECRETS';
+  return CATEGORY_BY_TYPE[type] || 'PII_BASIC';
+}
+
+// A finding's own category (custom detectors, archive members) wins over the type mapping
+function categorizeFinding(finding) {
+  return finding.category ? finding : { ...finding, category: categoryForType(finding.type) };
+}
+
+function normalizeMode(mode) {
+  const upper = String(mode || '').toUpperCase();
+  return POLICY_MODES.includes(upper) ? upper : 'STANDARD';
+}
+
+// Anomaly thresholds for a policy mode (STANDARD when unknown)
+function riskThresholds(mode) {
+  return MODE_THRESHOLDS[normalizeMode(mode)];
+}
+
+// Decision for one category and where it came from
+// types: one entry per finding of the category
+function resolveCategoryDecision(category, types, context) {
+  const toolPolicy = context.tool && context.settings.toolPolicies && context.settings.toolPolicies[context.tool];
+  if (toolPolicy && DECISIONS.includes(toolPolicy[category])) {
+    return { decision: toolPolicy[category], source: 'TOOL_POLICY' };
+  }
+  const rule = findMatchingRule(context.ruleSet, {
+    category,
+    types,
+    anomalyScore: context.anomalyScore,
+    role: context.userRole,
+    group: context.userGroup,
+    tool: context.tool,
+    platform: context.platform,
+    now: context.now,
+    timezone: context.timezone
+  });
+  if (rule) {
+    return { decision: rule.decision, source: 'RULE', ruleId: rule.id };
+  }
+  return resolveDefaultDecision(category, context);
+}
+
+/**
+ * Decision for a category when no tool policy or rule applies
+ * @param {string} category - Category
+ * @param {object} context - buildPolicyContext result
+ * @returns {object} - { decision, source }
+ */
+function resolveDefaultDecision(category, context) {
+  // A rule set replaces the flat category rules, so its default comes first
+  if (DECISIONS.includes(context.ruleSet.default) && !EXPLICIT_ONLY_CATEGORIES.includes(category)) {
+    return { decision: context.ruleSet.default, source: 'RULE_SET_DEFAULT' };
+  }
+  if (DECISIONS.includes(context.policies[category])) {
+    return { decision: context.policies[category], source: 'TENANT_POLICY' };
+  }
+  const defaults = MODE_DEFAULTS[context.policyMode];
+  return { decision: defaults[category] || defaults.default, source: 'MODE_DEFAULT' };
+}
+
+const SOURCE_LABELS = {
+  TOOL_POLICY: 'tool policy',
+  RULE: 'rule',
+  TENANT_POLICY: 'tenant policy',
+  RULE_SET_DEFAULT: 'rule set default',
+  MODE_DEFAULT: 'policy mode default'
+};
+
+// WARN_AND_SANITIZE or WARN_AND_ALLOW for the user's role (tenants.settings.piiHandling)
+function resolveWarnAction(userRole, settings = {}) {
+  const handling = { ...getDefaultPolicy().piiHandling, ...(settings.piiHandling || {}) };
+  const role = String(userRole || 'employee').toLowerCase();
+  const action = handling[role] || handling.employee;
+  return WARN_ACTIONS.includes(action) ? action : 'WARN_AND_SANITIZE';
+}
+
+/**
+ * Evaluate a tenant's policy for an analysis
+ * @param {object} analysis - analyzeText / analyzeDocument result ({ findings, riskLevel })
+ * @param {object} context - From loadPolicyContext: { policies, ruleSet, policyMode, settings,
+ *   timezone, userRole, userGroup, tool, platform, includeUnvalidated, now }
+ *   now: moment the time conditions of rules are checked against (default: current time)
+ * @returns {object} - { decision, action, categories, blockedCategories, warnedCategories,
+ *   bulkHandling, policyMode, policyVersion, trace: [{ step, reason, ... }] }
+ *   action: ALLOW, WARN_AND_SANITIZE, WARN_AND_ALLOW, WARN_AND_MINIMIZE or BLOCK
+ */
+function evaluatePolicy(analysis, context = {}) {
+  const ctx = {
+    policies: context.policies || {},
+    ruleSet: context.ruleSet || { rules: [], default: null },
+    policyMode: normalizeMode(context.policyMode),
+    settings: context.settings || {},
+    timezone: context.timezone || null,
+    userRole: context.userRole || null,
+    userGroup: context.userGroup || null,
+    tool: context.tool || null,
+    platform: context.platform || null,
+    anomalyScore: analysis.anomalyScore,
+    now: context.now || new Date()
+  };
+  const trace = [];
+
+  // Matches that failed checksum validation are ignored unless asked for
+  const allFindings = (analysis.findings || []).map(categorizeFinding);
+  const findings = context.includeUnvalidated ? allFindings : allFindings.filter(f => f.validated !== false);
+  trace.push({
+    step: 'findings',
+    considered: findings.length,
+    ignoredUnvalidated: allFindings.length - findings.length,
+    reason: `${findings.length} finding(s) considered` +
+      (allFindings.length > findings.length ? `, ${allFindings.length - findings.length} failed validation and ignored` : '')
+  });
+
+  // Category decisions; the strictest wins
+  const byCategory = new Map();
+  findings.forEach(f => {
+    if (!byCategory.has(f.category)) byCategory.set(f.category, []);
+    byCategory.get(f.category).push(f.type);
+  });
+
   let decision = 'ALLOW';
-  let reasonCodes = [];
-  let sanitizedText = null;
-  let userMessage = '';
-  
-  // Apply policy rules
-  if (riskLevel === 'HIGH' || hasExfilAttempt || hasJailbreakPattern) {
-    // High risk content - block by default
-    decision = 'BLOCK';
-    reasonCodes.push(hasExfilAttempt ? 'EXFIL_ATTEMPT' : 
-                    hasJailbreakPattern ? 'JAILBREAK_PATTERN' : 'HIGH_RISK');
-    userMessage = hasExfilAttempt ? 
-      'This prompt appears to be attempting data extraction and has been blocked.' :
-      hasJailbreakPattern ?
-      'This prompt contains instructions that attempt to bypass safety measures and has been blocked.' :
-      'This content has been blocked due to high security risk.';
-  } else if (hasBulkData) {
-    // Bulk data handling
-    const bulkFinding = findings.find(f => f.type === 'BULK_DATA');
-    if (bulkFinding && bulkFinding.details && bulkFinding.details.rowCount > 10) {
+  const blockedCategories = [];
+  const warnedCategories = [];
+  byCategory.forEach((types, category) => {
+    const resolved = resolveCategoryDecision(category, types, ctx);
+    if (resolved.decision === 'BLOCK') blockedCategories.push(category);
+    if (resolved.decision === 'WARN') warnedCategories.push(category);
+    if (rank(resolved.decision) > rank(decision)) decision = resolved.decision;
+
+    trace.push({
+      step: 'category',
+      category,
+      types: [...new Set(types)],
+      count: types.length,
+      decision: resolved.decision,
+      source: resolved.source,
+      ruleId: resolved.ruleId,
+      reason: `${category}: ${resolved.decision} (${SOURCE_LABELS[resolved.source]}` +
+        (resolved.source === 'TOOL_POLICY' ? ` for ${ctx.tool}` : '') +
+        (resolved.source === 'RULE' ? ` ${resolved.ruleId}` : '') +
+        (resolved.source === 'MODE_DEFAULT' ? `, ${ctx.policyMode}` : '') + ')'
+    });
+  });
+
+  // An anomaly score past the mode's high threshold is never silently allowed
+  const thresholds = MODE_THRESHOLDS[ctx.policyMode];
+  if (decision === 'ALLOW' && analysis.anomalyScore >= thresholds.high) {
+    decision = 'WARN';
+    trace.push({
+      step: 'anomaly',
+      anomalyScore: analysis.anomalyScore,
+      threshold: thresholds.high,
+      reason: `Anomaly score ${analysis.anomalyScore} reaches the ${ctx.policyMode} threshold of ${thresholds.high}: WARN`
+    });
+  }
+
+  // Large tables: the tenant's bulk policy chooses between blocking and schema + sample minimization
+  const bulkPolicy = getBulkDataPolicy(ctx.settings);
+  const bulkHandling = decision === 'BLOCK' ? null : resolveBulkDataHandling(findings, bulkPolicy);
+  if (bulkHandling) {
+    const { rowCount } = findings.find(f => f.type === 'BULK_DATA').details;
+    if (bulkHandling === 'BLOCK') {
       decision = 'BLOCK';
-      reasonCodes.push('BULK_DATA');
-      userMessage = 'Large data sets have been blocked for security. Please use the Document Wizard for safe processing.';
-    } else {
-      // Small bulk data - treat as regular PII
-      if (hasPII) {
-        if (userRole === 'employee') {
-          decision = 'WARN_AND_SANITIZE';
-        } else {
-          decision = 'WARN_AND_ALLOW';
-        }
-        reasonCodes.push('PII_DETECTED');
-        userMessage = 'Sensitive information detected. Content will be sanitized before sending.';
-      }
+      if (!blockedCategories.includes('BULK_DATA')) blockedCategories.push('BULK_DATA');
+    } else if (decision === 'ALLOW') {
+      decision = 'WARN';
     }
-  } else if (hasPII) {
-    // Regular PII handling
-    if (userRole === 'employee') {
-      decision = 'WARN_AND_SANITIZE';
-    } else {
-      decision = 'WARN_AND_ALLOW';
+    trace.push({
+      step: 'bulk',
+      rowCount,
+      threshold: bulkPolicy.threshold,
+      handling: bulkHandling,
+      reason: `${rowCount} rows exceed the bulk data threshold of ${bulkPolicy.threshold}: ${bulkHandling}`
+    });
+  }
+
+  // What the user may do with a warning depends on their role
+  let action = decision;
+  if (decision === 'WARN') {
+    action = bulkHandling === 'MINIMIZE' ? 'WARN_AND_MINIMIZE' : resolveWarnAction(ctx.userRole, ctx.settings);
+    if (action !== 'WARN_AND_MINIMIZE') {
+      trace.push({
+        step: 'role',
+        role: ctx.userRole,
+        action,
+        reason: `Role ${ctx.userRole || 'unknown'}: ${action}`
+      });
     }
-    reasonCodes.push('PII_DETECTED');
-    userMessage = 'Sensitive information detected. Content will be sanitized before sending.';
-  } else if (riskLevel === 'LOW') {
-    // Low risk content - allow
-    decision = 'ALLOW';
-    userMessage = 'Content approved for sending.';
-  } else {
-    // Medium risk - default handling
-    decision = 'WARN_AND_ALLOW';
-    reasonCodes.push('MEDIUM_RISK');
-    userMessage = 'Content has medium risk factors. Please review before sending.';
   }
-  
+
+  trace.push({
+    step: 'result',
+    decision,
+    action,
+    reason: `${decision} for ${ctx.tool || 'any tool'}${ctx.platform ? ` (${ctx.platform})` : ''} in ${ctx.policyMode} mode`
+  });
+
   return {
     decision,
-    reasonCodes,
-    sanitizedText,
-    userMessage
+    action,
+    categories: [...byCategory.keys()],
+    blockedCategories,
+    warnedCategories,
+    bulkHandling,
+    policyMode: ctx.policyMode,
+    // Version of the tenant's policy that produced the decision (null before the first change)
+    policyVersion: context.policyVersion || null,
+    trace
   };
 }
 
+/**
+ * Build an evaluation context from stored rows (for callers with their own database access)
+ * @param {object} rows - { tenant: { policy_mode, settings, timezone }, policyRows: [{ category, decision }],
+ *   ruleSet: { rules, default }, policyVersion }
+ * @param {object} context - { userRole, userGroup, tool, platform }
+ */
+function buildPolicyContext({ tenant = {}, policyRows = [], ruleSet = null, policyVersion = null } = {}, context = {}) {
+  const policies = {};
+  policyRows.forEach(row => {
+    policies[row.category] = row.decision;
+  });
+
+  return {
+    ...context,
+    policies,
+    ruleSet: ruleSet || { rules: [], default: null },
+    policyVersion,
+    policyMode: normalizeMode(tenant.policy_mode),
+    settings: tenant.settings || {},
+    timezone: tenant.timezone || null
+  };
+}
+
+/**
+ * Load a tenant's policy context; the mode defaults apply when it cannot be loaded
+ * @param {string} tenantId - Tenant ID
+ * @param {object} context - { userId, userRole, userGroup, tool, platform }; role and group
+ *   are looked up from userId when not given
+ */
+async function loadPolicyContext(tenantId, context = {}) {
+  const { userId, ...rest } = context;
+  if (!tenantId) return buildPolicyContext({}, rest);
+
+  try {
+    const Policy = require('../models/Policy');
+    const { query } = require('../config/database');
+    const hasDatabase = !!process.env.DATABASE_URL;
+    const [policyMode, policyRows, ruleSet, policyVersion, tenantResult, userResult] = await Promise.all([
+      Policy.getMode(tenantId),
+      Policy.findRules(tenantId),
+      Policy.getRuleSet(tenantId),
+      Policy.currentVersion(tenantId),
+      hasDatabase ? query('SELECT settings, timezone FROM tenants WHERE id = $1', [tenantId]) : Promise.resolve({ rows: [] }),
+      hasDatabase && (!rest.userRole || !rest.userGroup) && userId ?
+        query('SELECT role, user_group FROM users WHERE id = $1 AND tenant_id = $2', [userId, tenantId]) :
+        Promise.resolve({ rows: [] })
+    ]);
+
+    const user = userResult.rows[0] || {};
+    return buildPolicyContext(
+      { tenant: { ...tenantResult.rows[0], policy_mode: policyMode }, policyRows, ruleSet, policyVersion },
+      { ...rest, userRole: rest.userRole || user.role || null, userGroup: rest.userGroup || user.user_group || null }
+    );
+  } catch (error) {
+    console.error('Failed to load policy context:', error.message);
+    return buildPolicyContext({}, rest);
+  }
+}
+
+// Bulk data settings for a tenant (tenants.settings), falling back to the defaults
+function getBulkDataPolicy(settings = {}) {
+  const defaults = getDefaultPolicy();
+  return {
+    method: ['BLOCK', 'MINIMIZE'].includes(settings.bulkDataHandling) ? settings.bulkDataHandling : defaults.bulkDataHandling,
+    threshold: Number.isInteger(settings.bulkDataThreshold) ? settings.bulkDataThreshold : defaults.bulkDataThreshold,
+    sampleSize: Number.isInteger(settings.bulkSampleSize) ? settings.bulkSampleSize : defaults.bulkSampleSize
+  };
+}
+
+// 'BLOCK' or 'MINIMIZE' for bulk data above the threshold, otherwise null
+function resolveBulkDataHandling(findings, bulkPolicy = getBulkDataPolicy()) {
+  const bulkFinding = findings.find(f => f.type === 'BULK_DATA');
+  if (!bulkFinding || !bulkFinding.details || !(bulkFinding.details.rowCount > bulkPolicy.threshold)) {
+    return null;
+  }
+  return bulkPolicy.method;
+}
+
 // Get default policy settings
 function getDefaultPolicy() {
   return {
@@ -90,10 +369,28 @@ function getDefaultPolicy() {
       manager: 'WARN_AND_ALLOW'
     },
     bulkDataThreshold: 10,
-    bulkDataHandling: 'BLOCK',
+    bulkDataHandling: 'BLOCK', // or 'MINIMIZE': schema + statistics + sampled rows
+    bulkSampleSize: 5,
     exfilHandling: 'BLOCK',
     jailbreakHandling: 'BLOCK'
   };
 }
 
-module.exports = { makeDecision, getDefaultPolicy };
\ No newline at end of file
+module.exports = {
+  DECISIONS,
+  POLICY_MODES,
+  CATEGORY_BY_TYPE,
+  MODE_DEFAULTS,
+  MODE_THRESHOLDS,
+  EXPLICIT_ONLY_CATEGORIES,
+  categoryForType,
+  categorizeFinding,
+  riskThresholds,
+  evaluatePolicy,
+  resolveDefaultDecision,
+  buildPolicyContext,
+  loadPolicyContext,
+  getDefaultPolicy,
+  getBulkDataPolicy,
+  resolveBulkDataHandling
+};
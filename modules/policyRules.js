@@ -0,0 +1,275 @@
+// Conditional policy rules - a tenant's ordered JSON rule set
+// A rule set is { rules: [...], default: 'ALLOW' | 'WARN' | 'BLOCK' | null }. Rules are
+// checked in order for each category found in a request; the first rule whose
+// conditions all hold decides that category. Example:
+//   { "id": "financial-azure-only",
+//     "when": { "category": "FINANCIAL", "tool": { "notIn": ["AZURE_OPENAI"] } },
+//     "decision": "BLOCK" }
+// Conditions (all optional, all must hold):
+//   category, type, role, group, tool, platform - "X", ["X", "Y"], { "in": [...] } or { "notIn": [...] }
+//   count, anomalyScore - { "gt", "gte", "lt", "lte", "eq" }; count is the number of
+//     findings of the category (of the listed types when type is given)
+//   time - { "days": ["MON", ...], "from": "09:00", "to": "18:00", "timezone": "Europe/Berlin",
+//     "outside": true }; the tenant's timezone (else UTC) when none is given
+const DECISIONS = ['ALLOW', 'WARN', 'BLOCK'];
+const LIST_CONDITIONS = ['category', 'type', 'role', 'group', 'tool', 'platform'];
+const NUMBER_CONDITIONS = ['count', 'anomalyScore'];
+const COMPARATORS = ['gt', 'gte', 'lt', 'lte', 'eq'];
+const DAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const MAX_RULES = 200;
+const MAX_LIST_VALUES = 100;
+const RULE_ID = /^[A-Za-z0-9_-]{1,64}$/;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Values of a list condition as { values, negate }
+function listCondition(condition) {
+  if (typeof condition === 'string') return { values: [condition], negate: false };
+  if (Array.isArray(condition)) return { values: condition, negate: false };
+  if (condition.notIn) return { values: condition.notIn, negate: true };
+  return { values: condition.in, negate: false };
+}
+
+function validateListCondition(condition, path, errors) {
+  if (isPlainObject(condition)) {
+    const keys = Object.keys(condition);
+    if (keys.length !== 1 || !['in', 'notIn'].includes(keys[0])) {
+      errors.push(`${path}: use exactly one of "in" or "notIn"`);
+      return;
+    }
+  } else if (typeof condition !== 'string' && !Array.isArray(condition)) {
+    errors.push(`${path}: must be a string, an array or { "in" | "notIn": [...] }`);
+    return;
+  }
+
+  const { values } = listCondition(condition);
+  if (!Array.isArray(values) || values.length === 0 || values.length > MAX_LIST_VALUES) {
+    errors.push(`${path}: must list between 1 and ${MAX_LIST_VALUES} values`);
+  } else if (!values.every(value => typeof value === 'string' && value.trim() && value.length <= 100)) {
+    errors.push(`${path}: values must be non-empty strings of at most 100 characters`);
+  }
+}
+
+function validateNumberCondition(condition, path, errors) {
+  if (!isPlainObject(condition) || Object.keys(condition).length === 0) {
+    errors.push(`${path}: must be an object with ${COMPARATORS.join(', ')}`);
+    return;
+  }
+  Object.entries(condition).forEach(([comparator, value]) => {
+    if (!COMPARATORS.includes(comparator)) {
+      errors.push(`${path}.${comparator}: unknown comparator (use ${COMPARATORS.join(', ')})`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      errors.push(`${path}.${comparator}: must be a non-negative number`);
+    }
+  });
+}
+
+function validateTimeCondition(condition, path, errors) {
+  if (!isPlainObject(condition)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  const known = ['days', 'from', 'to', 'timezone', 'outside'];
+  Object.keys(condition).filter(key => !known.includes(key)).forEach(key => {
+    errors.push(`${path}.${key}: unknown field (use ${known.join(', ')})`);
+  });
+
+  if (condition.days !== undefined && (!Array.isArray(condition.days) || condition.days.length === 0 ||
+    !condition.days.every(day => DAYS.includes(day)))) {
+    errors.push(`${path}.days: must be a non-empty array of ${DAYS.join(', ')}`);
+  }
+  if ((condition.from === undefined) !== (condition.to === undefined)) {
+    errors.push(`${path}: from and to must be given together`);
+  }
+  ['from', 'to'].forEach(key => {
+    if (condition[key] !== undefined && !(typeof condition[key] === 'string' && TIME_OF_DAY.test(condition[key]))) {
+      errors.push(`${path}.${key}: must be HH:MM (24-hour)`);
+    }
+  });
+  if (condition.days === undefined && condition.from === undefined) {
+    errors.push(`${path}: needs days, from/to or both`);
+  }
+  if (condition.timezone !== undefined && !(typeof condition.timezone === 'string' && isValidTimezone(condition.timezone))) {
+    errors.push(`${path}.timezone: unknown timezone`);
+  }
+  if (condition.outside !== undefined && typeof condition.outside !== 'boolean') {
+    errors.push(`${path}.outside: must be true or false`);
+  }
+}
+
+function validateRule(rule, path, errors) {
+  if (!isPlainObject(rule)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  Object.keys(rule).filter(key => !['id', 'description', 'when', 'decision'].includes(key)).forEach(key => {
+    errors.push(`${path}.${key}: unknown field`);
+  });
+
+  if (typeof rule.id !== 'string' || !RULE_ID.test(rule.id)) {
+    errors.push(`${path}.id: required, letters, digits, "_" and "-" (max 64)`);
+  }
+  if (rule.description !== undefined && !(typeof rule.description === 'string' && rule.description.length <= 500)) {
+    errors.push(`${path}.description: must be a string of at most 500 characters`);
+  }
+  if (!DECISIONS.includes(rule.decision)) {
+    errors.push(`${path}.decision: must be one of ${DECISIONS.join(', ')}`);
+  }
+
+  if (rule.when === undefined) return;
+  if (!isPlainObject(rule.when)) {
+    errors.push(`${path}.when: must be an object`);
+    return;
+  }
+  Object.entries(rule.when).forEach(([key, condition]) => {
+    const conditionPath = `${path}.when.${key}`;
+    if (LIST_CONDITIONS.includes(key)) {
+      validateListCondition(condition, conditionPath, errors);
+    } else if (NUMBER_CONDITIONS.includes(key)) {
+      validateNumberCondition(condition, conditionPath, errors);
+    } else if (key === 'time') {
+      validateTimeCondition(condition, conditionPath, errors);
+    } else {
+      errors.push(`${conditionPath}: unknown condition (use ${[...LIST_CONDITIONS, ...NUMBER_CONDITIONS, 'time'].join(', ')})`);
+    }
+  });
+}
+
+/**
+ * Validate a rule set before it is saved
+ * @param {object} ruleSet - { rules: [...], default }
+ * @returns {object} - { valid, errors }
+ */
+function validateRuleSet(ruleSet) {
+  const errors = [];
+
+  if (!isPlainObject(ruleSet)) {
+    return { valid: false, errors: ['rule set must be an object with rules and default'] };
+  }
+  Object.keys(ruleSet).filter(key => !['rules', 'default'].includes(key)).forEach(key => {
+    errors.push(`${key}: unknown field`);
+  });
+  if (ruleSet.default !== undefined && ruleSet.default !== null && !DECISIONS.includes(ruleSet.default)) {
+    errors.push(`default: must be one of ${DECISIONS.join(', ')} or null (policy mode default)`);
+  }
+
+  if (!Array.isArray(ruleSet.rules)) {
+    errors.push('rules: must be an array');
+  } else if (ruleSet.rules.length > MAX_RULES) {
+    errors.push(`rules: at most ${MAX_RULES} rules`);
+  } else {
+    const seen = new Set();
+    ruleSet.rules.forEach((rule, index) => {
+      validateRule(rule, `rules[${index}]`, errors);
+      if (rule && typeof rule.id === 'string') {
+        if (seen.has(rule.id)) errors.push(`rules[${index}].id: duplicate id ${rule.id}`);
+        seen.add(rule.id);
+      }
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+function matchesList(condition, value) {
+  const { values, negate } = listCondition(condition);
+  const found = value !== null && value !== undefined &&
+    values.some(v => v.toUpperCase() === String(value).toUpperCase());
+  return negate ? !found : found;
+}
+
+function compare(condition, value) {
+  if (typeof value !== 'number') return false;
+  return Object.entries(condition).every(([comparator, limit]) => {
+    if (comparator === 'gt') return value > limit;
+    if (comparator === 'gte') return value >= limit;
+    if (comparator === 'lt') return value < limit;
+    if (comparator === 'lte') return value <= limit;
+    return value === limit;
+  });
+}
+
+// Day (MON..SUN) and minutes since midnight of a moment in a timezone
+function localTime(now, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return { day: parts.weekday.toUpperCase(), minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10) };
+}
+
+const toMinutes = (hhmm) => parseInt(hhmm.slice(0, 2), 10) * 60 + parseInt(hhmm.slice(3), 10);
+
+function matchesTime(condition, now, tenantTimezone) {
+  const timezone = condition.timezone || (tenantTimezone && isValidTimezone(tenantTimezone) ? tenantTimezone : 'UTC');
+  const { day, minutes } = localTime(now, timezone);
+
+  let inside = !condition.days || condition.days.includes(day);
+  if (inside && condition.from) {
+    const from = toMinutes(condition.from);
+    const to = toMinutes(condition.to);
+    // A window such as 22:00-06:00 wraps past midnight
+    inside = from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+  }
+  return condition.outside ? !inside : inside;
+}
+
+/**
+ * Whether a rule applies to one category of a request
+ * @param {object} rule - Validated rule
+ * @param {object} facts - { category, types (one entry per finding), anomalyScore,
+ *   role, group, tool, platform, now, timezone }
+ */
+function ruleMatches(rule, facts) {
+  const when = rule.when || {};
+
+  if (when.category && !matchesList(when.category, facts.category)) return false;
+
+  let types = facts.types || [];
+  if (when.type) {
+    // The category must have findings of the selected types
+    types = types.filter(type => matchesList(when.type, type));
+    if (types.length === 0) return false;
+  }
+  if (when.count && !compare(when.count, types.length)) return false;
+  if (when.anomalyScore && !compare(when.anomalyScore, facts.anomalyScore)) return false;
+
+  if (when.role && !matchesList(when.role, facts.role)) return false;
+  if (when.group && !matchesList(when.group, facts.group)) return false;
+  if (when.tool && !matchesList(when.tool, facts.tool)) return false;
+  if (when.platform && !matchesList(when.platform, facts.platform)) return false;
+
+  if (when.time && !matchesTime(when.time, facts.now || new Date(), facts.timezone)) return false;
+
+  return true;
+}
+
+// First rule of the set that applies, or null
+function findMatchingRule(ruleSet, facts) {
+  const rules = (ruleSet && ruleSet.rules) || [];
+  return rules.find(rule => ruleMatches(rule, facts)) || null;
+}
+
+module.exports = {
+  MAX_RULES,
+  validateRuleSet,
+  ruleMatches,
+  findMatchingRule
+};
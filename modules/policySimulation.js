@@ -0,0 +1,253 @@
+// Policy simulation - replay a draft policy over a tenant's stored decisions
+// Only findings metadata is replayed (types, categories, anomaly score, user, tool,
+// time); raw text is never stored, so detectors are not re-run. Each record is
+// evaluated under the current policy and the draft, so the differences come from
+// the draft alone rather than from detector changes since the record was written.
+const { evaluatePolicy, POLICY_MODES, DECISIONS, CATEGORY_BY_TYPE } = require('./policyEngine');
+const { validateRuleSet } = require('./policyRules');
+const { SECRET_RULES } = require('./secretScanner');
+
+const SOURCES = ['security_logs', 'events'];
+// Inline checks write to both tables, so replaying both counts those requests twice
+const DEFAULT_SOURCES = ['security_logs'];
+// security_logs action types that record a checked request (rehydrations are not replayed)
+const CHECK_ACTIONS = ['PromptEvaluated', 'ANALYSIS', 'BLOCK', 'WARN'];
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+const MAX_RECORDS = 50000;
+
+const emptyCounts = () => ({ ALLOW: 0, WARN: 0, BLOCK: 0 });
+
+/**
+ * Validate a draft: { mode, categoryRules: [{ category, decision|null }], ruleSet }
+ * Omitted parts keep the tenant's current policy
+ * @returns {object} - { valid, errors }
+ */
+function validateDraft(draft) {
+  const errors = [];
+  if (!draft || typeof draft !== 'object' || Array.isArray(draft)) {
+    return { valid: false, errors: ['draft must be an object with mode, categoryRules and/or ruleSet'] };
+  }
+
+  if (draft.mode !== undefined && !POLICY_MODES.includes(draft.mode)) {
+    errors.push(`mode: must be one of ${POLICY_MODES.join(', ')}`);
+  }
+  if (draft.categoryRules !== undefined) {
+    if (!Array.isArray(draft.categoryRules)) {
+      errors.push('categoryRules: must be an array');
+    } else {
+      draft.categoryRules.forEach((rule, index) => {
+        if (!rule || typeof rule.category !== 'string' || !/^[A-Z][A-Z0-9_]{0,49}$/.test(rule.category)) {
+          errors.push(`categoryRules[${index}].category: must be an upper-case identifier`);
+        }
+        if (rule && rule.decision !== null && !DECISIONS.includes(rule.decision)) {
+          errors.push(`categoryRules[${index}].decision: must be one of ${DECISIONS.join(', ')} or null`);
+        }
+      });
+    }
+  }
+  if (draft.ruleSet !== undefined) {
+    validateRuleSet(draft.ruleSet).errors.forEach(error => errors.push(`ruleSet.${error}`));
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// Policy context with the draft applied on top of the current one
+function applyDraft(current, draft) {
+  const policies = { ...current.policies };
+  (draft.categoryRules || []).forEach(({ category, decision }) => {
+    if (decision === null) {
+      delete policies[category];
+    } else {
+      policies[category] = decision;
+    }
+  });
+
+  return {
+    ...current,
+    policies,
+    policyMode: draft.mode || current.policyMode,
+    ruleSet: draft.ruleSet ? { rules: draft.ruleSet.rules, default: draft.ruleSet.default || null } : current.ruleSet
+  };
+}
+
+// Representative detector type of each category, for records that kept the category
+// only; rules with a type condition can only match that type on such records
+const TYPE_BY_CATEGORY = { SECRETS: SECRET_RULES[0].type };
+Object.entries(CATEGORY_BY_TYPE).forEach(([type, category]) => {
+  if (!TYPE_BY_CATEGORY[category]) TYPE_BY_CATEGORY[category] = type;
+});
+
+const typeForCategory = (category) => TYPE_BY_CATEGORY[category] || category;
+
+// Findings as stored in security_logs.findings: finding objects or detector names
+function findingsFromLog(stored) {
+  const list = Array.isArray(stored) ? stored : [];
+  return list
+    .map(item => (typeof item === 'string' ? { type: item } : item))
+    .filter(item => item && typeof item === 'object' && (item.type || item.category))
+    .map(item => ({
+      type: item.type || typeForCategory(item.category),
+      category: item.category,
+      validated: item.validated,
+      details: item.details
+    }));
+}
+
+/**
+ * Load the tenant's decided requests in a period, oldest first
+ * @param {string} tenantId - Tenant ID
+ * @param {object} options - { from, to, sources, limit }
+ * @returns {object} - { records, truncated } where a record is { source, userId, role, group,
+ *   timestamp, recordedDecision, findings, anomalyScore, tool, platform }
+ */
+async function loadHistory(tenantId, options = {}) {
+  const { from, to, sources = DEFAULT_SOURCES, limit = MAX_RECORDS } = options;
+  if (!process.env.DATABASE_URL) return { records: [], truncated: false };
+
+  const { query } = require('../config/database');
+  const records = [];
+
+  if (sources.includes('security_logs')) {
+    const result = await query(
+      `SELECT l.user_id, l.timestamp, l.decision, l.findings, l.anomaly_score, l.platform, u.role, u.user_group
+       FROM security_logs l
+       LEFT JOIN users u ON u.id = l.user_id AND u.tenant_id = l.tenant_id
+       WHERE l.tenant_id = $1 AND l.decision IS NOT NULL AND l.timestamp >= $2 AND l.timestamp < $3
+         AND l.action_type = ANY($5)
+       ORDER BY l.timestamp
+       LIMIT $4`,
+      [tenantId, from, to, limit + 1, CHECK_ACTIONS]
+    );
+    result.rows.forEach(row => records.push({
+      source: 'security_logs',
+      userId: row.user_id,
+      role: row.role || null,
+      group: row.user_group || null,
+      timestamp: new Date(row.timestamp),
+      recordedDecision: row.decision,
+      findings: findingsFromLog(row.findings),
+      anomalyScore: row.anomaly_score || 0,
+      tool: row.platform === 'WIZARD' ? 'WIZARD' : 'EXTENSION',
+      platform: row.platform || null
+    }));
+  }
+
+  if (sources.includes('events')) {
+    const result = await query(
+      `SELECT e.user_id, e.timestamp, e.decision, e.categories, e.tool, u.role, u.user_group
+       FROM events e
+       LEFT JOIN users u ON u.id = e.user_id AND u.tenant_id = e.tenant_id
+       WHERE e.tenant_id = $1 AND e.decision IS NOT NULL AND e.timestamp >= $2 AND e.timestamp < $3
+       ORDER BY e.timestamp
+       LIMIT $4`,
+      [tenantId, from, to, limit + 1]
+    );
+    // Events keep categories only: one finding per category, with its representative type
+    result.rows.forEach(row => records.push({
+      source: 'events',
+      userId: row.user_id,
+      role: row.role || null,
+      group: row.user_group || null,
+      timestamp: new Date(row.timestamp),
+      recordedDecision: row.decision,
+      findings: (row.categories || []).map(category => ({ type: typeForCategory(category), category })),
+      anomalyScore: 0,
+      tool: row.tool,
+      platform: null
+    }));
+  }
+
+  records.sort((a, b) => a.timestamp - b.timestamp);
+  return { records: records.slice(0, limit), truncated: records.length > limit };
+}
+
+function tally(map, key, init) {
+  if (!map.has(key)) map.set(key, init());
+  return map.get(key);
+}
+
+const newBucket = () => ({ records: 0, changed: 0, newlyBlocked: 0, unblocked: 0, current: emptyCounts(), draft: emptyCounts() });
+
+function count(bucket, current, draft) {
+  bucket.records++;
+  bucket.current[current]++;
+  bucket.draft[draft]++;
+  if (current !== draft) bucket.changed++;
+  if (draft === 'BLOCK' && current !== 'BLOCK') bucket.newlyBlocked++;
+  if (current === 'BLOCK' && draft !== 'BLOCK') bucket.unblocked++;
+}
+
+/**
+ * Replay records under the current and the draft policy
+ * @param {Array} records - From loadHistory
+ * @param {object} currentContext - loadPolicyContext result (no user fields)
+ * @param {object} draft - Validated draft
+ * @param {object} options - { top }: number of most affected users returned
+ * @returns {object} - { summary, transitions, byCategory, byUser, byDay, mostAffectedUsers }
+ *   byCategory counts each record, with its overall decisions, under every category it contains
+ */
+function simulatePolicy(records, currentContext, draft, options = {}) {
+  const { top = 10 } = options;
+  const draftContext = applyDraft(currentContext, draft);
+
+  const summary = newBucket();
+  const transitions = {};
+  const byCategory = new Map();
+  const byUser = new Map();
+  const byDay = new Map();
+
+  records.forEach(record => {
+    const analysis = { findings: record.findings, anomalyScore: record.anomalyScore };
+    const requestContext = {
+      userRole: record.role,
+      userGroup: record.group,
+      tool: record.tool,
+      platform: record.platform,
+      now: record.timestamp
+    };
+    const current = evaluatePolicy(analysis, { ...currentContext, ...requestContext });
+    const proposed = evaluatePolicy(analysis, { ...draftContext, ...requestContext });
+
+    count(summary, current.decision, proposed.decision);
+    if (current.decision !== proposed.decision) {
+      const key = `${current.decision}->${proposed.decision}`;
+      transitions[key] = (transitions[key] || 0) + 1;
+    }
+
+    proposed.categories.forEach(category => count(tally(byCategory, category, newBucket), current.decision, proposed.decision));
+    count(tally(byUser, record.userId || 'unknown', newBucket), current.decision, proposed.decision);
+    count(tally(byDay, record.timestamp.toISOString().slice(0, 10), newBucket), current.decision, proposed.decision);
+  });
+
+  const users = [...byUser.entries()].map(([userId, bucket]) => ({ userId, ...bucket }));
+  const mostAffectedUsers = users
+    .filter(user => user.changed > 0)
+    .sort((a, b) => b.newlyBlocked - a.newlyBlocked || b.changed - a.changed || a.userId.localeCompare(b.userId))
+    .slice(0, top)
+    .map(({ userId, records: userRecords, changed, newlyBlocked, unblocked }) => ({ userId, records: userRecords, changed, newlyBlocked, unblocked }));
+
+  return {
+    summary,
+    transitions,
+    byCategory: [...byCategory.entries()]
+      .map(([category, bucket]) => ({ category, ...bucket }))
+      .sort((a, b) => b.changed - a.changed || a.category.localeCompare(b.category)),
+    byUser: users.sort((a, b) => b.changed - a.changed || a.userId.localeCompare(b.userId)),
+    byDay: [...byDay.entries()].map(([day, bucket]) => ({ day, ...bucket })).sort((a, b) => a.day.localeCompare(b.day)),
+    mostAffectedUsers
+  };
+}
+
+module.exports = {
+  SOURCES,
+  DEFAULT_SOURCES,
+  DEFAULT_DAYS,
+  MAX_DAYS,
+  MAX_RECORDS,
+  validateDraft,
+  applyDraft,
+  loadHistory,
+  simulatePolicy
+};
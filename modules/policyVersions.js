@@ -0,0 +1,98 @@
+// Policy versions - API shape of stored versions and the diff between two snapshots
+// A snapshot is { mode, categoryRules: { CATEGORY: decision }, ruleSet: { rules, default }, settings }.
+
+// Version as returned by the admin routes
+function describeVersion(row, options = {}) {
+  const version = {
+    version: row.version,
+    author: row.author || null,
+    comment: row.comment || null,
+    changeType: row.change_type,
+    restoredFrom: row.restored_from || null,
+    createdAt: row.created_at
+  };
+  if (options.includeSnapshot) version.snapshot = row.snapshot;
+  return version;
+}
+
+// Objects with sorted keys, so JSONB key order does not show up as a change
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    const sorted = {};
+    Object.keys(value).sort().forEach(key => {
+      sorted[key] = canonical(value[key]);
+    });
+    return sorted;
+  }
+  return value;
+}
+
+const same = (a, b) => JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+
+// Added, removed and changed keys of two flat maps
+function diffMaps(from = {}, to = {}) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach(key => {
+    if (!(key in from)) added.push({ key, to: to[key] });
+    else if (!(key in to)) removed.push({ key, from: from[key] });
+    else if (!same(from[key], to[key])) changed.push({ key, from: from[key], to: to[key] });
+  });
+  const byKey = (a, b) => a.key.localeCompare(b.key);
+  return { added: added.sort(byKey), removed: removed.sort(byKey), changed: changed.sort(byKey) };
+}
+
+// Rules are matched by id; order matters because the first matching rule wins
+function diffRuleSets(from = {}, to = {}) {
+  const fromRules = from.rules || [];
+  const toRules = to.rules || [];
+  const fromById = new Map(fromRules.map(rule => [rule.id, rule]));
+  const toById = new Map(toRules.map(rule => [rule.id, rule]));
+
+  const added = toRules.filter(rule => !fromById.has(rule.id));
+  const removed = fromRules.filter(rule => !toById.has(rule.id));
+  const changed = toRules
+    .filter(rule => fromById.has(rule.id) && !same(fromById.get(rule.id), rule))
+    .map(rule => ({ id: rule.id, from: fromById.get(rule.id), to: rule }));
+
+  const keptOrder = (rules, other) => rules.filter(rule => other.has(rule.id)).map(rule => rule.id);
+  const reordered = !same(keptOrder(fromRules, toById), keptOrder(toRules, fromById));
+
+  const fromDefault = from.default || null;
+  const toDefault = to.default || null;
+
+  return {
+    added,
+    removed,
+    changed,
+    reordered,
+    default: fromDefault === toDefault ? null : { from: fromDefault, to: toDefault }
+  };
+}
+
+/**
+ * Differences between two policy snapshots
+ * @param {object} from - Older snapshot
+ * @param {object} to - Newer snapshot
+ * @returns {object} - { identical, mode, categoryRules, ruleSet, settings }
+ */
+function diffSnapshots(from, to) {
+  const categoryRules = diffMaps(from.categoryRules, to.categoryRules);
+  const ruleSet = diffRuleSets(from.ruleSet, to.ruleSet);
+  const settings = diffMaps(from.settings, to.settings);
+  const mode = from.mode === to.mode ? null : { from: from.mode, to: to.mode };
+
+  const countChanges = (diff) => diff.added.length + diff.removed.length + diff.changed.length;
+  const identical = !mode && countChanges(categoryRules) === 0 && countChanges(settings) === 0 &&
+    countChanges(ruleSet) === 0 && !ruleSet.reordered && !ruleSet.default;
+
+  return { identical, mode, categoryRules, ruleSet, settings };
+}
+
+module.exports = {
+  describeVersion,
+  diffSnapshots,
+  sameSnapshot: same
+};
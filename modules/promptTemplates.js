@@ -1,5 +1,6 @@
 // Enhanced Prompt Templates - Aligned with spec
 const promptEnhancer = require('./promptEnhancer');
+const { selectChunks, formatChunks } = require('./retrieval');
 
 class PromptTemplates {
     /**
@@ -45,7 +46,7 @@ This analysis must comply with data protection regulations. Do not include any s
     }
 
     /**
-     * Wizard Q&A prompt with document context
+     * Wizard Q&A prompt with document context (the chunks most relevant to the question)
      */
     static wizardQuestion(documentSummary, sanitizedText, question, persona) {
         return `[SYSTEM_CONTEXT]
@@ -63,7 +64,7 @@ CRITICAL SECURITY INSTRUCTIONS:
 - Answer based ONLY on the sanitized content provided
 
 [DOCUMENT_CONTENT]
-${sanitizedText.substring(0, 4000)}${sanitizedText.length > 4000 ? '...' : ''}
+${formatChunks(selectChunks(sanitizedText, question))}
 
 [USER_QUESTION]
 ${question}
@@ -71,7 +72,7 @@ ${question}
 [OUTPUT_FORMAT]
 Provide a clear, professional answer that:
 1. Directly addresses the question
-2. Cites specific document sections when relevant
+2. Cites the chunk ids (e.g. [C3]) of the sections it relies on
 3. Uses ${persona.name} expertise
 4. Is concise (max 150 words)
 
@@ -0,0 +1,220 @@
+// Redaction report - a PDF record of how a document was processed, for
+// compliance filing. Original values never appear in the report: excerpts are
+// masked and the sanitized output is identified by its SHA-256 hash only.
+const crypto = require('crypto');
+const { maskValue } = require('./masking');
+const { isSecretType } = require('./secretScanner');
+const { categoryForType } = require('./policyEngine');
+
+const EXCERPT_RADIUS = 30;
+// Longest excerpt, besides the finding itself, before the window stops growing to fit neighbours
+const MAX_EXCERPT_LENGTH = 160;
+const MAX_WINDOW_PASSES = 5;
+const MAX_EXCERPTS_PER_TYPE = 5;
+
+const MARGIN = 50;
+const COLORS = {
+  text: '#000000',
+  muted: '#555555',
+  rule: '#cccccc',
+  HIGH: '#b00020',
+  MEDIUM: '#b26a00',
+  LOW: '#1b5e20'
+};
+
+// SHA-256 of the sanitized output, so a filed report can be matched to the text that left
+function hashSanitizedOutput(text) {
+  return crypto.createHash('sha256').update(text || '', 'utf8').digest('hex');
+}
+
+// Categories whose values are identifiers; the last four characters or initials of
+// those say little, while a keyword or dictionary term would be readable from them
+const PARTIAL_MASK_CATEGORIES = ['PII_BASIC', 'FINANCIAL', 'HEALTH'];
+
+// Mask shown in excerpts: partial (last 4 / initials) where possible, a label otherwise
+function excerptMask(finding) {
+  const category = finding.category || categoryForType(finding.type);
+  if (isSecretType(finding.type) || !PARTIAL_MASK_CATEGORIES.includes(category)) return `[${finding.type}]`;
+  return maskValue(finding, 'PARTIAL') || `[${finding.type}]`;
+}
+
+// Findings that mark a span of text. Detectors that flag the whole input (jailbreak,
+// injection) or carry no value would otherwise stretch an excerpt to the full document.
+function isSpanFinding(finding, text) {
+  return finding.offsetStart !== undefined && finding.type !== 'BULK_DATA' &&
+    finding.value !== undefined && finding.value !== null &&
+    !(finding.offsetStart === 0 && finding.offsetEnd >= text.length);
+}
+
+// Overlapping findings merged into spans; a span of several findings is labelled
+// with its longest finding's type rather than partially revealed
+function maskSpans(findings) {
+  const spans = [];
+  [...findings]
+    .sort((a, b) => a.offsetStart - b.offsetStart || b.offsetEnd - a.offsetEnd)
+    .forEach(f => {
+      const last = spans[spans.length - 1];
+      if (last && f.offsetStart < last.end) {
+        last.end = Math.max(last.end, f.offsetEnd);
+        last.findings.push(f);
+      } else {
+        spans.push({ start: f.offsetStart, end: f.offsetEnd, findings: [f] });
+      }
+    });
+
+  return spans.map(span => {
+    const longest = span.findings.reduce((a, b) => ((b.offsetEnd - b.offsetStart) > (a.offsetEnd - a.offsetStart) ? b : a));
+    return { ...span, mask: span.findings.length === 1 ? excerptMask(longest) : `[${longest.type}]` };
+  });
+}
+
+// Text around a finding with every finding in the window masked
+function maskedExcerpt(text, finding, findings, radius = EXCERPT_RADIUS) {
+  const spanFindings = findings.filter(f => isSpanFinding(f, text));
+  let start = Math.max(0, finding.offsetStart - radius);
+  let end = Math.min(text.length, finding.offsetEnd + radius);
+  const budget = (finding.offsetEnd - finding.offsetStart) + MAX_EXCERPT_LENGTH;
+
+  // A finding cut by the window edge is taken in whole while the excerpt stays within
+  // its length budget, otherwise the edge moves off it where the focus finding allows
+  let moved = true;
+  for (let pass = 0; moved && pass < MAX_WINDOW_PASSES; pass++) {
+    moved = false;
+    for (const f of spanFindings) {
+      if (f.offsetStart < start && f.offsetEnd > start) {
+        const next = end - f.offsetStart <= budget ? f.offsetStart : Math.min(f.offsetEnd, finding.offsetStart);
+        if (next !== start) moved = true;
+        start = next;
+      }
+      if (f.offsetEnd > end && f.offsetStart < end) {
+        const next = f.offsetEnd - start <= budget ? f.offsetEnd : Math.max(f.offsetStart, finding.offsetEnd);
+        if (next !== end) moved = true;
+        end = next;
+      }
+    }
+  }
+
+  // Spans still crossing an edge are masked up to the edge
+  const inWindow = spanFindings.filter(f => f.offsetStart < end && f.offsetEnd > start);
+  const excerpt = maskSpans(inWindow)
+    .reverse()
+    .reduce((masked, span) =>
+      masked.slice(0, Math.max(span.start, start) - start) + span.mask + masked.slice(Math.min(span.end, end) - start),
+    text.slice(start, end));
+
+  return `${start > 0 ? '…' : ''}${excerpt.replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+}
+
+// Findings grouped by category, then by type, with a few masked excerpts each
+function groupFindings(text, findings) {
+  const categories = {};
+
+  findings.filter(f => f.type !== 'BULK_DATA').forEach(f => {
+    const category = f.category || categoryForType(f.type);
+    categories[category] = categories[category] || {};
+    const group = categories[category][f.type] = categories[category][f.type] || { count: 0, excerpts: [] };
+
+    group.count++;
+    if (group.excerpts.length < MAX_EXCERPTS_PER_TYPE && isSpanFinding(f, text)) {
+      group.excerpts.push(maskedExcerpt(text, f, findings));
+    }
+  });
+
+  return categories;
+}
+
+function heading(doc, title) {
+  doc.moveDown(0.8)
+    .fontSize(13).fillColor(COLORS.text).text(title)
+    .moveTo(MARGIN, doc.y + 2).lineTo(doc.page.width - MARGIN, doc.y + 2).strokeColor(COLORS.rule).stroke()
+    .moveDown(0.5);
+}
+
+function field(doc, label, value, color = COLORS.text) {
+  doc.fontSize(10).fillColor(COLORS.muted).text(`${label}: `, { continued: true })
+    .fillColor(color).text(value === undefined || value === null || value === '' ? '-' : String(value));
+}
+
+/**
+ * Render the redaction report
+ * @param {object} data - { document, analysis, decision, processedBy, processedAt, text, sanitizedText }
+ * @returns {Promise<{ pdf: Buffer, sanitizedHash: string }>}
+ */
+function generateRedactionReport(data) {
+  const PDFDocument = require('pdfkit');
+  const { document, analysis, decision = {}, processedBy, processedAt = new Date().toISOString(), text = '', sanitizedText = '' } = data;
+
+  const sanitizedHash = hashSanitizedOutput(sanitizedText);
+  const categories = groupFindings(text, analysis.findings || []);
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: { Title: `Redaction report - ${document.document_id}`, Producer: 'SafeAI' }
+  });
+
+  const rendered = new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve({ pdf: Buffer.concat(chunks), sanitizedHash }));
+    doc.on('error', reject);
+  });
+
+  // Standard PDF fonts have no Hebrew glyphs; a TTF can be supplied instead
+  if (process.env.PDF_REDACTION_FONT) doc.font(process.env.PDF_REDACTION_FONT);
+
+  doc.fontSize(18).fillColor(COLORS.text).text('Document Redaction Report');
+  doc.fontSize(9).fillColor(COLORS.muted).text(`Generated ${new Date().toISOString()}`);
+
+  heading(doc, 'Document');
+  field(doc, 'Document ID', document.document_id);
+  field(doc, 'File name', document.filename);
+  field(doc, 'File type', document.file_type);
+  field(doc, 'Size (bytes)', document.file_size);
+  field(doc, 'Uploaded', document.uploaded_at instanceof Date ? document.uploaded_at.toISOString() : document.uploaded_at);
+  field(doc, 'Tenant', document.tenant_id);
+
+  heading(doc, 'Processing');
+  field(doc, 'Processed by', processedBy);
+  field(doc, 'Processed at', processedAt);
+
+  heading(doc, 'Assessment');
+  field(doc, 'Risk level', analysis.riskLevel, COLORS[analysis.riskLevel]);
+  field(doc, 'Anomaly score', `${analysis.anomalyScore} / 100`);
+  field(doc, 'Policy decision', decision.decision, decision.decision === 'BLOCK' ? COLORS.HIGH : COLORS.text);
+  if (decision.blockedCategories && decision.blockedCategories.length > 0) {
+    field(doc, 'Blocked categories', decision.blockedCategories.join(', '));
+  }
+  field(doc, 'Findings', (analysis.findings || []).length);
+  if (analysis.suppressedCount) field(doc, 'Allowlisted (not counted)', analysis.suppressedCount);
+
+  heading(doc, 'Detector hits by category');
+  if (Object.keys(categories).length === 0) {
+    doc.fontSize(10).fillColor(COLORS.muted).text('No sensitive data detected.');
+  }
+  for (const [category, types] of Object.entries(categories)) {
+    doc.fontSize(11).fillColor(COLORS.text).text(category);
+    for (const [type, group] of Object.entries(types)) {
+      doc.fontSize(10).fillColor(COLORS.text).text(`${type} (${group.count})`, MARGIN + 10);
+      group.excerpts.forEach(excerpt => {
+        doc.fontSize(9).fillColor(COLORS.muted).text(excerpt, MARGIN + 20);
+      });
+    }
+    doc.x = MARGIN;
+    doc.moveDown(0.4);
+  }
+
+  heading(doc, 'Verification');
+  doc.fontSize(9).fillColor(COLORS.muted)
+    .text('SHA-256 of the sanitized output. Recompute it over the anonymized text to confirm it is the version this report describes.');
+  doc.moveDown(0.3).font('Courier').fontSize(9).fillColor(COLORS.text).text(sanitizedHash);
+
+  doc.end();
+  return rendered;
+}
+
+module.exports = {
+  generateRedactionReport,
+  hashSanitizedOutput,
+  maskedExcerpt
+};
@@ -0,0 +1,189 @@
+// Retrieval - overlapping chunks of a (sanitized) document with a local BM25 index
+// Lets the Wizard send only the passages relevant to a question, with chunk ids
+// the model can cite, instead of truncating long documents.
+const crypto = require('crypto');
+
+const CHUNK_SIZE = parseInt(process.env.RETRIEVAL_CHUNK_SIZE, 10) || 1500;
+const CHUNK_OVERLAP = parseInt(process.env.RETRIEVAL_CHUNK_OVERLAP, 10) || 200;
+const TOP_K = parseInt(process.env.RETRIEVAL_TOP_K, 10) || 5;
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// Indexes are rebuilt per text; keep the last few (one per active session)
+const INDEX_CACHE_SIZE = 50;
+const indexCache = new Map();
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'that', 'the', 'their', 'there', 'this',
+  'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+  'של', 'את', 'על', 'עם', 'זה', 'זו', 'הוא', 'היא', 'מה', 'מי', 'איך', 'לא', 'כי', 'גם', 'או'
+]);
+
+// Lowercased words and numbers; placeholders such as CLIENT_1 stay one token
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+    .filter(token => !STOPWORDS.has(token));
+}
+
+// End of a chunk: the last paragraph, sentence or word break before `end`
+function chunkBoundary(text, start, end) {
+  if (end >= text.length) return text.length;
+
+  const window = text.slice(start, end);
+  const minimum = Math.floor(window.length / 2);
+  for (const pattern of [/\n\s*\n/g, /[.!?。]\s/g, /\s/g]) {
+    let last = -1;
+    let match;
+    while ((match = pattern.exec(window)) !== null) {
+      last = match.index + match[0].length;
+    }
+    if (last > minimum) return start + last;
+  }
+  return end;
+}
+
+/**
+ * Split text into overlapping chunks that end on natural breaks
+ * @param {string} text - Document text
+ * @param {object} options - { chunkSize, overlap }
+ * @returns {Array} - [{ id: 'C1', index, start, end, text }]
+ */
+function chunkText(text, options = {}) {
+  const chunkSize = options.chunkSize || CHUNK_SIZE;
+  const overlap = Math.min(options.overlap !== undefined ? options.overlap : CHUNK_OVERLAP, Math.floor(chunkSize / 2));
+  const source = String(text || '');
+  const chunks = [];
+
+  let start = 0;
+  while (start < source.length) {
+    const end = chunkBoundary(source, start, start + chunkSize);
+    const body = source.slice(start, end);
+    if (body.trim()) {
+      chunks.push({ id: `C${chunks.length + 1}`, index: chunks.length, start, end, text: body });
+    }
+    if (end >= source.length) break;
+
+    // Next chunk starts one overlap before the end, moved forward to the start of a
+    // word inside the overlap; text without breaks (base64, CJK) keeps the full overlap
+    const floor = Math.max(end - overlap, start + 1);
+    let next = floor;
+    while (next < end && /\S/.test(source[next - 1])) next++;
+    start = next < end ? next : floor;
+  }
+
+  return chunks;
+}
+
+function buildIndex(chunks) {
+  const termFrequencies = chunks.map(chunk => {
+    const counts = new Map();
+    tokenize(chunk.text).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    return counts;
+  });
+  const lengths = termFrequencies.map(counts => Array.from(counts.values()).reduce((sum, n) => sum + n, 0));
+
+  const documentFrequency = new Map();
+  termFrequencies.forEach(counts => {
+    counts.forEach((n, token) => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+  });
+
+  return {
+    chunks,
+    termFrequencies,
+    lengths,
+    documentFrequency,
+    averageLength: lengths.reduce((sum, n) => sum + n, 0) / (lengths.length || 1)
+  };
+}
+
+/**
+ * BM25 index over a text's chunks, cached by content hash
+ * @param {string} text - Document text
+ * @param {object} options - Chunking options (see chunkText)
+ */
+function getIndex(text, options = {}) {
+  const key = crypto.createHash('sha256')
+    .update(`${options.chunkSize || CHUNK_SIZE}:${options.overlap !== undefined ? options.overlap : CHUNK_OVERLAP}:`)
+    .update(String(text || ''))
+    .digest('hex');
+
+  let index = indexCache.get(key);
+  if (index) {
+    // Refresh recency
+    indexCache.delete(key);
+  } else {
+    index = buildIndex(chunkText(text, options));
+  }
+  indexCache.set(key, index);
+  if (indexCache.size > INDEX_CACHE_SIZE) {
+    indexCache.delete(indexCache.keys().next().value);
+  }
+  return index;
+}
+
+// Chunks ranked by BM25 score for the query (only chunks sharing a term)
+function search(index, query, k = TOP_K) {
+  const terms = [...new Set(tokenize(query))];
+  const total = index.chunks.length;
+
+  return index.chunks
+    .map((chunk, i) => {
+      const counts = index.termFrequencies[i];
+      const score = terms.reduce((sum, term) => {
+        const tf = counts.get(term);
+        if (!tf) return sum;
+        const df = index.documentFrequency.get(term);
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        return sum + idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * index.lengths[i] / index.averageLength));
+      }, 0);
+      return { chunk, score };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || a.chunk.index - b.chunk.index)
+    .slice(0, k);
+}
+
+/**
+ * The chunks to send with a question: all of them when the document is short,
+ * otherwise the top-k by BM25 in document order (the opening chunks if nothing matches)
+ * @param {string} text - Sanitized document text
+ * @param {string} question - User question
+ * @param {object} options - { k, chunkSize, overlap }
+ * @returns {Array} - Chunks, each with a `score` when ranked
+ */
+function selectChunks(text, question, options = {}) {
+  const k = options.k || TOP_K;
+  const index = getIndex(text, options);
+
+  if (index.chunks.length <= k) {
+    return index.chunks;
+  }
+
+  const ranked = search(index, question, k);
+  if (ranked.length === 0) {
+    return index.chunks.slice(0, k);
+  }
+  return ranked
+    .map(({ chunk, score }) => ({ ...chunk, score: Math.round(score * 1000) / 1000 }))
+    .sort((a, b) => a.index - b.index);
+}
+
+// Chunks as prompt context, each under its citable id
+function formatChunks(chunks) {
+  return chunks.map(chunk => `[${chunk.id}]\n${chunk.text.trim()}`).join('\n\n');
+}
+
+module.exports = {
+  CHUNK_SIZE,
+  CHUNK_OVERLAP,
+  TOP_K,
+  tokenize,
+  chunkText,
+  getIndex,
+  search,
+  selectChunks,
+  formatChunks
+};
@@ -0,0 +1,256 @@
+// Table profiling for bulk tabular data (CSV/TSV pastes, spreadsheet sheets)
+// Parses delimited text, detects the header row, infers column types, flags
+// PII columns and computes aggregate statistics.
+const { detectPII } = require('./analyzer');
+const { detectNames } = require('./nameDetector');
+
+const DELIMITERS = [',', '\t', ';', '|'];
+
+// Fraction of non-empty values that must agree for a column type / PII flag
+const TYPE_AGREEMENT = 0.8;
+const PII_AGREEMENT = 0.3;
+
+// Values inspected per column when looking for PII
+const PII_SAMPLE_SIZE = 50;
+
+// Header names that identify PII columns even when values do not match a pattern
+const PII_HEADER_HINTS = [
+  { pattern: /e-?mail|דוא"?ל|אימייל/i, type: 'EMAIL' },
+  { pattern: /phone|mobile|tel\b|cell|טלפון|נייד/i, type: 'PHONE' },
+  { pattern: /\bssn\b|social.?security/i, type: 'SSN' },
+  { pattern: /passport|דרכון/i, type: 'PASSPORT' },
+  { pattern: /\bid\b.*(?:number|no)|national.?id|teudat|ת\.?ז|תעודת.?זהות/i, type: 'ID_NUMBER' },
+  { pattern: /iban|account.?(?:number|no)|חשבון/i, type: 'IBAN' },
+  { pattern: /card.?(?:number|no)|credit.?card|כרטיס/i, type: 'CREDIT_CARD' },
+  { pattern: /address|street|כתובת|רחוב/i, type: 'ADDRESS' },
+  { pattern: /birth|\bdob\b|לידה/i, type: 'DATE_OF_BIRTH' },
+  { pattern: /company|employer|organi[sz]ation|חברה|מעסיק/i, type: 'PII_ORG' },
+  { pattern: /(?:^|\b|_)(?:first|last|full|client|customer|patient|employee)?.?name\b|surname|שם/i, type: 'PII_PERSON' }
+];
+
+// Pick the delimiter that splits the most lines into the same number (>1) of fields
+function detectDelimiter(lines) {
+  let best = null;
+  let bestScore = 0;
+
+  for (const delimiter of DELIMITERS) {
+    const counts = lines.map(line => parseLine(line, delimiter).length);
+    const frequency = {};
+    counts.forEach(c => { frequency[c] = (frequency[c] || 0) + 1; });
+
+    const [fields, occurrences] = Object.entries(frequency)
+      .map(([c, n]) => [parseInt(c, 10), n])
+      .sort((a, b) => b[1] - a[1])[0] || [0, 0];
+
+    if (fields > 1 && occurrences > bestScore) {
+      best = delimiter;
+      bestScore = occurrences;
+    }
+  }
+
+  return best;
+}
+
+// Split one line, honouring double-quoted fields ("Smith, John")
+function parseLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+
+  return cells;
+}
+
+// Infer the type of a single cell
+function inferValueType(value) {
+  if (value === '' || value === null || value === undefined) return 'EMPTY';
+  const v = String(value).trim();
+
+  if (/^(?:true|false|yes|no)$/i.test(v)) return 'BOOLEAN';
+  if (/^[-+]?\d+$/.test(v) && v.replace(/^[-+]/, '').length <= 15) return 'INTEGER';
+  if (/^[-+]?(?:\d{1,3}(?:,\d{3})+|\d+)?\.\d+$/.test(v) || /^[-+]?\d{1,3}(?:,\d{3})+$/.test(v)) return 'DECIMAL';
+  if (/^\d{4}-\d{2}-\d{2}(?:[T ][\d:.]+Z?)?$/.test(v) || /^\d{1,2}[/.]\d{1,2}[/.]\d{2,4}$/.test(v)) return 'DATE';
+  if (/^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/.test(v)) return 'EMAIL';
+  if (/^\+?[\d\s().-]{7,}$/.test(v) && /\d{3}/.test(v)) return 'PHONE';
+  return 'TEXT';
+}
+
+// Column type: the type shared by most non-empty values, otherwise TEXT
+function inferColumnType(values) {
+  const types = values.map(inferValueType).filter(t => t !== 'EMPTY');
+  if (types.length === 0) return 'EMPTY';
+
+  const counts = {};
+  types.forEach(t => { counts[t] = (counts[t] || 0) + 1; });
+
+  // Integers mixed with decimals are still numeric
+  if ((counts.INTEGER || 0) + (counts.DECIMAL || 0) >= types.length * TYPE_AGREEMENT && counts.DECIMAL) {
+    return 'DECIMAL';
+  }
+
+  const [type, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return count >= types.length * TYPE_AGREEMENT ? type : 'TEXT';
+}
+
+// The first row is a header when it is all distinct text labels and at least
+// one column holds a different kind of value below it
+function detectHeader(rows) {
+  if (rows.length < 2) return false;
+  const [first, ...rest] = rows;
+
+  const labels = first.filter(c => c !== '');
+  if (labels.length !== first.length) return false;
+  if (new Set(labels.map(l => l.toLowerCase())).size !== labels.length) return false;
+  if (labels.some(l => inferValueType(l) !== 'TEXT')) return false;
+
+  return first.some((_, i) => inferColumnType(rest.map(r => r[i])) !== 'TEXT') ||
+    first.some(label => PII_HEADER_HINTS.some(h => h.pattern.test(label)));
+}
+
+// Parse delimited text into { delimiter, hasHeader, headers, rows }; null if not tabular
+function parseTable(text) {
+  const lines = String(text).split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length < 2) return null;
+
+  const delimiter = detectDelimiter(lines);
+  if (!delimiter) return null;
+
+  const parsed = lines.map(line => parseLine(line, delimiter));
+  const width = Math.max(...parsed.map(r => r.length));
+  const rows = parsed.map(r => r.concat(Array(width - r.length).fill('')));
+
+  const hasHeader = detectHeader(rows);
+  const headers = hasHeader ? rows[0] : rows[0].map((_, i) => `column_${i + 1}`);
+
+  return {
+    delimiter,
+    hasHeader,
+    headers,
+    rows: hasHeader ? rows.slice(1) : rows
+  };
+}
+
+// Which PII type (if any) a column holds, from its header and its values
+function detectColumnPII(header, values) {
+  const sample = values.filter(v => v !== '').slice(0, PII_SAMPLE_SIZE);
+  const counts = {};
+
+  for (const value of sample) {
+    const findings = [...detectPII(value), ...detectNames(value)]
+      .filter(f => f.validated !== false)
+      // The finding must cover most of the cell, not a fragment of free text
+      .filter(f => (f.offsetEnd - f.offsetStart) >= value.length * 0.6);
+    const types = new Set(findings.map(f => f.type));
+    types.forEach(t => { counts[t] = (counts[t] || 0) + 1; });
+  }
+
+  const top = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  if (top && sample.length > 0 && top[1] >= sample.length * PII_AGREEMENT) {
+    return { piiType: top[0], source: 'VALUES' };
+  }
+
+  const hint = PII_HEADER_HINTS.find(h => h.pattern.test(header));
+  if (hint) {
+    return { piiType: hint.type, source: 'HEADER' };
+  }
+
+  return null;
+}
+
+const toNumber = (value) => parseFloat(String(value).replace(/,/g, ''));
+
+// Aggregate statistics for one column
+function columnStatistics(type, values) {
+  const present = values.filter(v => v !== '');
+  const stats = {
+    nonEmpty: present.length,
+    empty: values.length - present.length,
+    distinct: new Set(present).size
+  };
+
+  if (type === 'INTEGER' || type === 'DECIMAL') {
+    const numbers = present.map(toNumber).filter(n => !Number.isNaN(n));
+    if (numbers.length > 0) {
+      const sum = numbers.reduce((a, b) => a + b, 0);
+      stats.min = Math.min(...numbers);
+      stats.max = Math.max(...numbers);
+      stats.mean = Math.round((sum / numbers.length) * 100) / 100;
+    }
+  } else if (type === 'DATE') {
+    const sorted = [...present].sort();
+    stats.min = sorted[0];
+    stats.max = sorted[sorted.length - 1];
+  }
+
+  return stats;
+}
+
+// Profile a parsed table: column types, PII columns and statistics
+function profileTable(table) {
+  const columns = table.headers.map((name, index) => {
+    const values = table.rows.map(r => r[index] || '');
+    const type = inferColumnType(values);
+    const pii = detectColumnPII(name, values);
+    const statistics = columnStatistics(type, values);
+
+    // min/max of a PII column would reveal actual values
+    if (pii) {
+      delete statistics.min;
+      delete statistics.max;
+      delete statistics.mean;
+    }
+
+    return {
+      index,
+      name,
+      type,
+      pii: !!pii,
+      piiType: pii ? pii.piiType : null,
+      piiSource: pii ? pii.source : null,
+      statistics
+    };
+  });
+
+  return { rowCount: table.rows.length, columnCount: columns.length, columns };
+}
+
+// Evenly spaced sample of row indexes (deterministic, includes the first row)
+function sampleRowIndexes(rowCount, size) {
+  if (rowCount <= size) return Array.from({ length: rowCount }, (_, i) => i);
+  const step = rowCount / size;
+  return Array.from({ length: size }, (_, i) => Math.floor(i * step));
+}
+
+module.exports = {
+  parseTable,
+  parseLine,
+  detectDelimiter,
+  detectHeader,
+  inferValueType,
+  inferColumnType,
+  detectColumnPII,
+  profileTable,
+  sampleRowIndexes
+};
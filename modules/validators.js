@@ -0,0 +1,93 @@
+// Checksum validators for structured identifiers
+// Regex matching alone cannot tell a card number from an invoice number, so
+// findings of these types are re-checked against their check-digit algorithm.
+
+// Luhn (mod 10) check used by payment cards
+function luhnCheck(value) {
+  const digits = String(value).replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+  if (/^(\d)\1+$/.test(digits)) return false; // 0000..., 1111... pass Luhn trivially
+
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = parseInt(digits[i], 10);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+
+  return sum % 10 === 0;
+}
+
+// ISO 13616 IBAN check (mod 97 == 1)
+function ibanCheck(value) {
+  const iban = String(value).replace(/\s+/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+
+  // Move country code and check digits to the end, then letters become 10..35
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /[A-Z]/.test(char) ? (char.charCodeAt(0) - 55).toString() : char;
+    for (const digit of code) {
+      remainder = (remainder * 10 + parseInt(digit, 10)) % 97;
+    }
+  }
+
+  return remainder === 1;
+}
+
+// Israeli Teudat Zehut check digit (weights 1,2,1,2... with digit folding)
+function israeliIdCheck(value) {
+  const digits = String(value).replace(/\D/g, '');
+  if (digits.length === 0 || digits.length > 9) return false;
+
+  const padded = digits.padStart(9, '0');
+  if (padded === '000000000') return false;
+
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    let step = parseInt(padded[i], 10) * ((i % 2) + 1);
+    if (step > 9) step -= 9;
+    sum += step;
+  }
+
+  return sum % 10 === 0;
+}
+
+// US SSN structural rules (area/group/serial)
+function ssnCheck(value) {
+  const digits = String(value).replace(/\D/g, '');
+  if (digits.length !== 9) return false;
+
+  const area = digits.substring(0, 3);
+  const group = digits.substring(3, 5);
+  const serial = digits.substring(5);
+
+  if (area === '000' || area === '666' || area[0] === '9') return false;
+  if (group === '00') return false;
+  if (serial === '0000') return false;
+
+  return true;
+}
+
+// Finding types that carry a checksum, mapped to their validator
+const VALIDATORS = {
+  CREDIT_CARD: luhnCheck,
+  IBAN: ibanCheck,
+  ID_NUMBER: israeliIdCheck,
+  SSN: ssnCheck
+};
+
+// Run the validator for a finding type; returns null when the type has none
+function validate(type, value) {
+  const validator = VALIDATORS[type];
+  if (!validator) return null;
+  return validator(value);
+}
+
+module.exports = { luhnCheck, ibanCheck, israeliIdCheck, ssnCheck, validate, VALIDATORS };
@@ -1,11 +1,22 @@
 // Admin Routes - Badge management and evidence tokens
 const express = require('express');
 const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
 const BadgeService = require('../services/BadgeService');
+const { authenticate, requireTenantAdmin } = require('../middleware/auth');
 
 // In-memory badge storage (use database in production)
 const badges = new Map();
 
+// Author and optional comment recorded with a policy version
+function policyChangeMeta(req) {
+    const { comment } = req.body;
+    return {
+        author: req.auth.userId,
+        comment: typeof comment === 'string' && comment.trim() ? comment.trim().slice(0, 1000) : null
+    };
+}
+
 /**
  * Generate and assign a badge to a tenant
  */
@@ -41,27 +52,54 @@ router.post('/badges', async (req, res) => {
 });
 
 
+/**
+ * Get the tenant's policy mode and what it implies
+ */
+router.get('/policy/mode', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const Policy = require('../models/Policy');
+        const { MODE_DEFAULTS, riskThresholds } = require('../modules/policyEngine');
+        const mode = await Policy.getMode(req.auth.tenantId);
+
+        res.json({
+            mode,
+            defaults: MODE_DEFAULTS[mode],
+            anomalyThresholds: riskThresholds(mode)
+        });
+    } catch (error) {
+        console.error('Get policy mode error:', error);
+        res.status(500).json({ error: 'Failed to get policy mode' });
+    }
+});
+
 /**
  * Update tenant policy mode
  */
-router.put('/policy/mode', async (req, res) => {
+router.put('/policy/mode', authenticate, requireTenantAdmin, async (req, res) => {
     try {
-        const { tenantId, mode } = req.body;
+        const { tenantId } = req.auth;
+        const { mode } = req.body;
+        const { POLICY_MODES } = require('../modules/policyEngine');
 
-        if (!['RELAXED', 'STANDARD', 'STRICT'].includes(mode)) {
-            return res.status(400).json({ error: 'Invalid mode' });
+        if (!POLICY_MODES.includes(mode)) {
+            return res.status(400).json({ error: `mode must be one of ${POLICY_MODES.join(', ')}` });
+        }
+
+        const Policy = require('../models/Policy');
+        const result = await Policy.setMode(tenantId, mode, policyChangeMeta(req));
+        if (!result) {
+            return res.status(404).json({ error: 'Tenant not found' });
         }
 
         const TelemetryService = require('../services/TelemetryService');
         TelemetryService.track({
             tenantId,
             type: 'AUDIT_POLICY_CHANGE',
-            details: { change: 'MODE', value: mode },
+            details: { change: 'MODE', value: mode, previous: result.previousMode, version: result.version },
             timestamp: new Date().toISOString()
         });
 
-        console.log(`[Admin] Tenant ${tenantId} set to mode ${mode}`);
-        res.json({ success: true, mode });
+        res.json({ success: true, mode, previousMode: result.previousMode, version: result.version });
     } catch (error) {
         console.error('Policy update error:', error);
         res.status(500).json({ error: 'Failed to update policy mode' });
@@ -69,32 +107,735 @@ router.put('/policy/mode', async (req, res) => {
 });
 
 /**
- * Update specific policy rule
+ * List per-category rules and the effective decision of each known category
+ * (before conditional rules, which are evaluated per request)
+ */
+router.get('/policy/rules', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const { tenantId } = req.auth;
+        const Policy = require('../models/Policy');
+        const { CATEGORY_BY_TYPE, buildPolicyContext, resolveDefaultDecision } = require('../modules/policyEngine');
+
+        const [mode, rules, ruleSet] = await Promise.all([
+            Policy.getMode(tenantId),
+            Policy.findRules(tenantId),
+            Policy.getRuleSet(tenantId)
+        ]);
+        const context = buildPolicyContext({ tenant: { policy_mode: mode }, policyRows: rules, ruleSet });
+        const categories = new Set([...Object.values(CATEGORY_BY_TYPE), 'SECRETS', ...rules.map(rule => rule.category)]);
+
+        // Same resolution as the engine, so each category shows the source that decides it
+        const effective = [...categories].sort().map(category => ({ category, ...resolveDefaultDecision(category, context) }));
+
+        res.json({ mode, rules, effective });
+    } catch (error) {
+        console.error('List policy rules error:', error);
+        res.status(500).json({ error: 'Failed to list policy rules' });
+    }
+});
+
+/**
+ * Update policy rules: { category, decision } or { rules: [{ category, decision }] }
+ * A null decision removes the rule so the mode default applies again
  */
-router.put('/policy/rule', async (req, res) => {
+router.put('/policy/rule', authenticate, requireTenantAdmin, async (req, res) => {
     try {
-        const { tenantId, category, decision } = req.body;
+        const { tenantId } = req.auth;
+        const { DECISIONS } = require('../modules/policyEngine');
+        const changes = Array.isArray(req.body.rules) ?
+            req.body.rules :
+            [{ category: req.body.category, decision: req.body.decision }];
+
+        if (changes.length === 0) {
+            return res.status(400).json({ error: 'rules must not be empty' });
+        }
+        for (const change of changes) {
+            if (!change || typeof change.category !== 'string' || !/^[A-Z][A-Z0-9_]{0,49}$/.test(change.category)) {
+                return res.status(400).json({ error: 'category must be uppercase letters, digits and underscores (max 50)' });
+            }
+            if (change.decision !== null && !DECISIONS.includes(change.decision)) {
+                return res.status(400).json({ error: `decision must be one of ${DECISIONS.join(', ')} or null` });
+            }
+        }
+        const normalized = changes.map(({ category, decision }) => ({ category, decision }));
 
-        if (!category || !['ALLOW', 'WARN', 'BLOCK'].includes(decision)) {
-            return res.status(400).json({ error: 'Invalid parameters' });
+        const Policy = require('../models/Policy');
+        const result = await Policy.setRules(tenantId, normalized, policyChangeMeta(req));
+        if (!result) {
+            return res.status(404).json({ error: 'Tenant not found' });
         }
 
         const TelemetryService = require('../services/TelemetryService');
         TelemetryService.track({
             tenantId,
             type: 'AUDIT_POLICY_CHANGE',
-            details: { change: 'RULE', category, decision },
+            details: { change: 'RULE', rules: normalized, version: result.version },
             timestamp: new Date().toISOString()
         });
 
-        console.log(`[Admin] Tenant ${tenantId} rule updated: ${category} -> ${decision}`);
-        res.json({ success: true, category, decision });
+        res.json({ success: true, rules: result.rules, version: result.version });
     } catch (error) {
         console.error('Rule update error:', error);
         res.status(500).json({ error: 'Failed to update rule' });
     }
 });
 
+/**
+ * Get the conditional rule set
+ */
+router.get('/policy/ruleset', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const Policy = require('../models/Policy');
+        const ruleSet = await Policy.getRuleSet(req.auth.tenantId);
+
+        res.json({ ruleSet });
+    } catch (error) {
+        console.error('Get rule set error:', error);
+        res.status(500).json({ error: 'Failed to get rule set' });
+    }
+});
+
+/**
+ * Replace the conditional rule set: { rules: [...], default }
+ * Rules are evaluated in order for each category found; see modules/policyRules.js
+ * default does not apply to SECRETS, ACTIVE_CONTENT and PROMPT_ATTACK
+ */
+router.put('/policy/ruleset', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const { tenantId } = req.auth;
+        const { validateRuleSet } = require('../modules/policyRules');
+        const { rules, default: defaultDecision = null } = req.body;
+
+        const validation = validateRuleSet({ rules, default: defaultDecision });
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Invalid rule set', details: validation.errors });
+        }
+
+        const Policy = require('../models/Policy');
+        const result = await Policy.setRuleSet(tenantId, { rules, default: defaultDecision }, policyChangeMeta(req));
+        if (!result) {
+            return res.status(404).json({ error: 'Tenant not found' });
+        }
+
+        const TelemetryService = require('../services/TelemetryService');
+        TelemetryService.track({
+            tenantId,
+            type: 'AUDIT_POLICY_CHANGE',
+            details: { change: 'RULE_SET', ruleCount: rules.length, default: defaultDecision, version: result.version },
+            timestamp: new Date().toISOString()
+        });
+
+        res.json({ success: true, ruleSet: result.ruleSet, version: result.version });
+    } catch (error) {
+        console.error('Update rule set error:', error);
+        res.status(500).json({ error: 'Failed to update rule set' });
+    }
+});
+
+/**
+ * Dry-run a draft policy over the tenant's stored decisions
+ * Body: { draft: { mode, categoryRules, ruleSet }, from, to, sources, top }
+ * sources defaults to security_logs; adding events counts inline checks twice
+ * Nothing is saved; the response shows how decisions would change
+ */
+router.post('/policy/simulate', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const { tenantId } = req.auth;
+        const { validateDraft, loadHistory, simulatePolicy, SOURCES, DEFAULT_SOURCES, DEFAULT_DAYS, MAX_DAYS } = require('../modules/policySimulation');
+        const { loadPolicyContext } = require('../modules/policyEngine');
+        const { draft, sources = DEFAULT_SOURCES, top = 10 } = req.body;
+
+        const validation = validateDraft(draft);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Invalid draft policy', details: validation.errors });
+        }
+
+        const to = req.body.to ? new Date(req.body.to) : new Date();
+        const from = req.body.from ? new Date(req.body.from) : new Date(to.getTime() - DEFAULT_DAYS * 86400000);
+        if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+            return res.status(400).json({ error: 'from and to must be dates with from before to' });
+        }
+        if (to - from > MAX_DAYS * 86400000) {
+            return res.status(400).json({ error: `The period may span at most ${MAX_DAYS} days` });
+        }
+        if (!Array.isArray(sources) || sources.length === 0 || !sources.every(source => SOURCES.includes(source))) {
+            return res.status(400).json({ error: `sources must be a non-empty subset of ${SOURCES.join(', ')}` });
+        }
+        if (!(Number.isInteger(top) && top >= 1 && top <= 100)) {
+            return res.status(400).json({ error: 'top must be an integer between 1 and 100' });
+        }
+
+        const [history, currentContext] = await Promise.all([
+            loadHistory(tenantId, { from, to, sources }),
+            loadPolicyContext(tenantId)
+        ]);
+        const result = simulatePolicy(history.records, currentContext, draft, { top });
+
+        res.json({
+            period: { from: from.toISOString(), to: to.toISOString() },
+            sources,
+            recordsReplayed: history.records.length,
+            truncated: history.truncated,
+            ...result
+        });
+    } catch (error) {
+        console.error('Policy simulation error:', error);
+        res.status(500).json({ error: 'Failed to simulate policy' });
+    }
+});
+
+/**
+ * List policy versions, newest first (?limit=&offset=)
+ */
+router.get('/policy/versions', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const Policy = require('../models/Policy');
+        const { describeVersion } = require('../modules/policyVersions');
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const [versions, currentVersion] = await Promise.all([
+            Policy.listVersions(req.auth.tenantId, { limit, offset }),
+            Policy.currentVersion(req.auth.tenantId)
+        ]);
+
+        res.json({ currentVersion, versions: versions.map(row => describeVersion(row)) });
+    } catch (error) {
+        console.error('List policy versions error:', error);
+        res.status(500).json({ error: 'Failed to list policy versions' });
+    }
+});
+
+/**
+ * Diff two policy versions (?from=&to=); to defaults to the current version
+ */
+router.get('/policy/versions/diff', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const { tenantId } = req.auth;
+        const Policy = require('../models/Policy');
+        const { diffSnapshots } = require('../modules/policyVersions');
+
+        const from = parseInt(req.query.from, 10);
+        const to = req.query.to === undefined ? await Policy.currentVersion(tenantId) : parseInt(req.query.to, 10);
+        if (!Number.isInteger(from) || !Number.isInteger(to)) {
+            return res.status(400).json({ error: 'from and to must be version numbers' });
+        }
+
+        const [fromVersion, toVersion] = await Promise.all([
+            Policy.findVersion(tenantId, from),
+            Policy.findVersion(tenantId, to)
+        ]);
+        if (!fromVersion || !toVersion) {
+            return res.status(404).json({ error: 'Policy version not found' });
+        }
+
+        res.json({ from, to, diff: diffSnapshots(fromVersion.snapshot, toVersion.snapshot) });
+    } catch (error) {
+        console.error('Diff policy versions error:', error);
+        res.status(500).json({ error: 'Failed to diff policy versions' });
+    }
+});
+
+/**
+ * Get one policy version with its full snapshot
+ */
+router.get('/policy/versions/:version', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const Policy = require('../models/Policy');
+        const { describeVersion } = require('../modules/policyVersions');
+        const version = await Policy.findVersion(req.auth.tenantId, parseInt(req.params.version, 10));
+
+        if (!version) {
+            return res.status(404).json({ error: 'Policy version not found' });
+        }
+        res.json({ version: describeVersion(version, { includeSnapshot: true }) });
+    } catch (error) {
+        console.error('Get policy version error:', error);
+        res.status(500).json({ error: 'Failed to get policy version' });
+    }
+});
+
+/**
+ * Roll back to a version: its snapshot becomes the policy again, recorded as a new version
+ */
+router.post('/policy/versions/:version/rollback', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const { tenantId } = req.auth;
+        const Policy = require('../models/Policy');
+        const version = parseInt(req.params.version, 10);
+
+        const result = Number.isInteger(version) ? await Policy.rollback(tenantId, version, policyChangeMeta(req)) : null;
+        if (!result) {
+            return res.status(404).json({ error: 'Policy version not found' });
+        }
+
+        const TelemetryService = require('../services/TelemetryService');
+        TelemetryService.track({
+            tenantId,
+            type: 'AUDIT_POLICY_CHANGE',
+            details: { change: 'ROLLBACK', restoredFrom: version, version: result.version },
+            timestamp: new Date().toISOString()
+        });
+
+        res.json({ success: true, version: result.version, restoredFrom: result.restoredFrom });
+    } catch (error) {
+        console.error('Policy rollback error:', error);
+        res.status(500).json({ error: 'Failed to roll back policy' });
+    }
+});
+
+/**
+ * List custom detectors for the admin's tenant
+ */
+router.get('/detectors', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const CustomDetector = require('../models/CustomDetector');
+        const detectors = await CustomDetector.findByTenant(req.auth.tenantId);
+
+        res.json({ detectors });
+    } catch (error) {
+        console.error('List detectors error:', error);
+        res.status(500).json({ error: 'Failed to list detectors' });
+    }
+});
+
+/**
+ * Create a custom detector (regex or dictionary)
+ */
+router.post('/detectors', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const { validateDetector } = require('../modules/customDetectors');
+        const CustomDetector = require('../models/CustomDetector');
+        const { tenantId, userId } = req.auth;
+        const { name, kind, pattern, terms, caseSensitive, category, severity, enabled } = req.body;
+
+        const definition = { name, kind, pattern, terms, case_sensitive: !!caseSensitive, category, severity };
+        const validation = validateDetector(definition);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Invalid detector', details: validation.errors });
+        }
+
+        const detector = await CustomDetector.create({
+            ...definition,
+            id: `det_${uuidv4()}`,
+            tenant_id: tenantId,
+            pattern: kind === 'REGEX' ? pattern : null,
+            terms: kind === 'DICTIONARY' ? terms : [],
+            enabled: enabled !== false,
+            created_by: userId
+        });
+
+        const TelemetryService = require('../services/TelemetryService');
+        TelemetryService.track({
+            tenantId,
+            type: 'AUDIT_DETECTOR_CHANGE',
+            details: { change: 'CREATE', detectorId: detector.id, kind, category },
+            timestamp: new Date().toISOString()
+        });
+
+        res.status(201).json(detector);
+    } catch (error) {
+        console.error('Create detector error:', error);
+        res.status(500).json({ error: 'Failed to create detector' });
+    }
+});
+
+/**
+ * Dry-run a draft detector against sample text without saving it
+ */
+router.post('/detectors/test', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const { validateDetector, compileDetectors, runCustomDetectors } = require('../modules/customDetectors');
+        const { name = 'Draft', kind, pattern, terms, caseSensitive, category, severity, sampleText } = req.body;
+
+        if (typeof sampleText !== 'string' || !sampleText) {
+            return res.status(400).json({ error: 'sampleText is required' });
+        }
+
+        const definition = { id: 'draft', name, kind, pattern, terms, case_sensitive: !!caseSensitive, category, severity };
+        const validation = validateDetector(definition);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Invalid detector', details: validation.errors });
+        }
+
+        const matches = runCustomDetectors(sampleText, compileDetectors([definition]));
+
+        res.json({
+            matchCount: matches.length,
+            matches: matches.map(m => ({
+                value: m.value,
+                offsetStart: m.offsetStart,
+                offsetEnd: m.offsetEnd,
+                type: m.type,
+                category: m.category,
+                severity: m.severity
+            }))
+        });
+    } catch (error) {
+        console.error('Test detector error:', error);
+        res.status(500).json({ error: 'Failed to test detector' });
+    }
+});
+
+/**
+ * Update a custom detector
+ */
+router.put('/detectors/:id', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const { validateDetector } = require('../modules/customDetectors');
+        const CustomDetector = require('../models/CustomDetector');
+        const { tenantId } = req.auth;
+        const { id } = req.params;
+
+        const existing = await CustomDetector.findById(id, tenantId);
+        if (!existing) {
+            return res.status(404).json({ error: 'Detector not found' });
+        }
+
+        const { name, kind, pattern, terms, caseSensitive, category, severity, enabled } = req.body;
+        const updates = { name, kind, pattern, terms, case_sensitive: caseSensitive, category, severity, enabled };
+
+        // Validate the merged definition so partial updates cannot produce an unsafe detector
+        const merged = { ...existing };
+        Object.entries(updates).forEach(([key, value]) => {
+            if (value !== undefined) merged[key] = value;
+        });
+        if (typeof merged.terms === 'string') merged.terms = JSON.parse(merged.terms);
+
+        const validation = validateDetector(merged);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Invalid detector', details: validation.errors });
+        }
+
+        const detector = await CustomDetector.update(id, tenantId, updates);
+
+        const TelemetryService = require('../services/TelemetryService');
+        TelemetryService.track({
+            tenantId,
+            type: 'AUDIT_DETECTOR_CHANGE',
+            details: { change: 'UPDATE', detectorId: id },
+            timestamp: new Date().toISOString()
+        });
+
+        res.json(detector);
+    } catch (error) {
+        console.error('Update detector error:', error);
+        res.status(500).json({ error: 'Failed to update detector' });
+    }
+});
+
+/**
+ * Delete a custom detector
+ */
+router.delete('/detectors/:id', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const CustomDetector = require('../models/CustomDetector');
+        const { tenantId } = req.auth;
+        const { id } = req.params;
+
+        const deleted = await CustomDetector.delete(id, tenantId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Detector not found' });
+        }
+
+        const TelemetryService = require('../services/TelemetryService');
+        TelemetryService.track({
+            tenantId,
+            type: 'AUDIT_DETECTOR_CHANGE',
+            details: { change: 'DELETE', detectorId: id },
+            timestamp: new Date().toISOString()
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete detector error:', error);
+        res.status(500).json({ error: 'Failed to delete detector' });
+    }
+});
+
+/**
+ * Get masking strategies per finding type / category
+ */
+router.get('/masking', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const { STRATEGIES, loadMaskingStrategies } = require('../modules/masking');
+        const strategies = await loadMaskingStrategies(req.auth.tenantId);
+
+        res.json({ strategies, available: STRATEGIES });
+    } catch (error) {
+        console.error('Get masking strategies error:', error);
+        res.status(500).json({ error: 'Failed to load masking strategies' });
+    }
+});
+
+/**
+ * Choose how large tables are handled: BLOCK, or MINIMIZE (schema + statistics + sampled rows)
+ */
+router.put('/bulk-data', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const { tenantId } = req.auth;
+        const { handling, sampleSize, threshold } = req.body;
+
+        if (!['BLOCK', 'MINIMIZE'].includes(handling)) {
+            return res.status(400).json({ error: 'handling must be BLOCK or MINIMIZE' });
+        }
+        if (sampleSize !== undefined && !(Number.isInteger(sampleSize) && sampleSize >= 0 && sampleSize <= 50)) {
+            return res.status(400).json({ error: 'sampleSize must be an integer between 0 and 50' });
+        }
+        if (threshold !== undefined && !(Number.isInteger(threshold) && threshold > 0)) {
+            return res.status(400).json({ error: 'threshold must be a positive integer' });
+        }
+
+        const bulkSettings = { bulkDataHandling: handling };
+        if (sampleSize !== undefined) bulkSettings.bulkSampleSize = sampleSize;
+        if (threshold !== undefined) bulkSettings.bulkDataThreshold = threshold;
+
+        const Policy = require('../models/Policy');
+        const result = await Policy.setSettings(tenantId, bulkSettings, policyChangeMeta(req));
+        if (!result) {
+            return res.status(404).json({ error: 'Tenant not found' });
+        }
+
+        const TelemetryService = require('../services/TelemetryService');
+        TelemetryService.track({
+            tenantId,
+            type: 'AUDIT_POLICY_CHANGE',
+            details: { change: 'BULK_DATA', ...bulkSettings, version: result.version },
+            timestamp: new Date().toISOString()
+        });
+
+        res.json({ success: true, ...bulkSettings, version: result.version });
+    } catch (error) {
+        console.error('Update bulk data handling error:', error);
+        res.status(500).json({ error: 'Failed to update bulk data handling' });
+    }
+});
+
+/**
+ * Get k-anonymity settings for spreadsheet uploads
+ */
+router.get('/k-anonymity', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const { loadKAnonymityConfig, QUASI_IDENTIFIER_KINDS } = require('../modules/kAnonymity');
+        const config = await loadKAnonymityConfig(req.auth.tenantId);
+
+        res.json({ ...config, availableKinds: QUASI_IDENTIFIER_KINDS });
+    } catch (error) {
+        console.error('Get k-anonymity settings error:', error);
+        res.status(500).json({ error: 'Failed to load k-anonymity settings' });
+    }
+});
+
+/**
+ * Tag quasi-identifier columns and set k, e.g.
+ * { "k": 5, "maxSuppression": 0.05, "quasiIdentifiers": [{ "column": "Birth Date", "kind": "DATE" }, { "column": "ZIP" }] }
+ */
+router.put('/k-anonymity', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const { validateConfig } = require('../modules/kAnonymity');
+        const { tenantId } = req.auth;
+        const { k, maxSuppression, quasiIdentifiers } = req.body;
+
+        const validation = validateConfig({ k, maxSuppression, quasiIdentifiers });
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Invalid k-anonymity settings', details: validation.errors });
+        }
+
+        const config = {};
+        if (k !== undefined) config.k = k;
+        if (maxSuppression !== undefined) config.maxSuppression = maxSuppression;
+        if (quasiIdentifiers !== undefined) {
+            config.quasiIdentifiers = quasiIdentifiers.map(qi => ({ column: qi.column.trim(), kind: qi.kind }));
+        }
+
+        const Policy = require('../models/Policy');
+        const result = await Policy.setSettings(tenantId, { kAnonymity: config }, policyChangeMeta(req));
+        if (!result) {
+            return res.status(404).json({ error: 'Tenant not found' });
+        }
+
+        const TelemetryService = require('../services/TelemetryService');
+        TelemetryService.track({
+            tenantId,
+            type: 'AUDIT_POLICY_CHANGE',
+            details: {
+                change: 'K_ANONYMITY',
+                k: config.k,
+                quasiIdentifiers: (config.quasiIdentifiers || []).map(q => q.column),
+                version: result.version
+            },
+            timestamp: new Date().toISOString()
+        });
+
+        res.json({ success: true, ...config, version: result.version });
+    } catch (error) {
+        console.error('Update k-anonymity settings error:', error);
+        res.status(500).json({ error: 'Failed to update k-anonymity settings' });
+    }
+});
+
+/**
+ * Replace masking strategies, e.g. { "CREDIT_CARD": "PARTIAL", "FINANCIAL": "HASH", "default": "LABEL" }
+ * "default" does not apply in pseudonymization mode, which keeps numbered placeholders
+ */
+router.put('/masking', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const { validateStrategies } = require('../modules/masking');
+        const { tenantId } = req.auth;
+        const { strategies } = req.body;
+
+        const validation = validateStrategies(strategies);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Invalid masking strategies', details: validation.errors });
+        }
+
+        const Policy = require('../models/Policy');
+        const result = await Policy.setSettings(tenantId, { maskingStrategies: strategies }, policyChangeMeta(req));
+        if (!result) {
+            return res.status(404).json({ error: 'Tenant not found' });
+        }
+
+        const TelemetryService = require('../services/TelemetryService');
+        TelemetryService.track({
+            tenantId,
+            type: 'AUDIT_POLICY_CHANGE',
+            details: { change: 'MASKING', strategies, version: result.version },
+            timestamp: new Date().toISOString()
+        });
+
+        res.json({ success: true, strategies, version: result.version });
+    } catch (error) {
+        console.error('Update masking strategies error:', error);
+        res.status(500).json({ error: 'Failed to update masking strategies' });
+    }
+});
+
+/**
+ * List allowlist entries (filter with ?status=PENDING to review user reports)
+ */
+router.get('/allowlist', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const AllowlistEntry = require('../models/AllowlistEntry');
+        const { status } = req.query;
+
+        if (status && !['PENDING', 'APPROVED', 'REJECTED'].includes(status)) {
+            return res.status(400).json({ error: 'Invalid status' });
+        }
+
+        const entries = await AllowlistEntry.findByTenant(req.auth.tenantId, { status });
+        res.json({ entries });
+    } catch (error) {
+        console.error('List allowlist error:', error);
+        res.status(500).json({ error: 'Failed to list allowlist' });
+    }
+});
+
+/**
+ * Add an allowlist entry (exact value, hashed value or pattern)
+ */
+router.post('/allowlist', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const { validateEntry, hashValue } = require('../modules/allowlist');
+        const AllowlistEntry = require('../models/AllowlistEntry');
+        const { tenantId, userId } = req.auth;
+        const { kind, value, valueHash, findingType, category, userGroup, note } = req.body;
+
+        const validation = validateEntry({ kind, value, valueHash, findingType, category });
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Invalid allowlist entry', details: validation.errors });
+        }
+
+        // HASH entries never keep the raw value
+        const entry = await AllowlistEntry.create({
+            id: `al_${uuidv4()}`,
+            tenant_id: tenantId,
+            kind,
+            value: kind === 'HASH' ? null : value,
+            value_hash: kind === 'HASH' ? (valueHash || hashValue(value)) : null,
+            finding_type: findingType || null,
+            category: category || null,
+            user_group: userGroup || null,
+            status: 'APPROVED',
+            note: note || null,
+            reported_by: userId
+        });
+
+        const TelemetryService = require('../services/TelemetryService');
+        TelemetryService.track({
+            tenantId,
+            type: 'AUDIT_ALLOWLIST_CHANGE',
+            details: { change: 'CREATE', entryId: entry.id, kind, category: entry.category },
+            timestamp: new Date().toISOString()
+        });
+
+        res.status(201).json(entry);
+    } catch (error) {
+        console.error('Create allowlist entry error:', error);
+        res.status(500).json({ error: 'Failed to create allowlist entry' });
+    }
+});
+
+/**
+ * Approve or reject a reported false positive
+ */
+router.post('/allowlist/:id/:action(approve|reject)', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const AllowlistEntry = require('../models/AllowlistEntry');
+        const { tenantId, userId } = req.auth;
+        const { id, action } = req.params;
+
+        const existing = await AllowlistEntry.findById(id, tenantId);
+        if (!existing) {
+            return res.status(404).json({ error: 'Allowlist entry not found' });
+        }
+
+        const status = action === 'approve' ? 'APPROVED' : 'REJECTED';
+        const entry = await AllowlistEntry.review(id, tenantId, status, userId);
+
+        const TelemetryService = require('../services/TelemetryService');
+        TelemetryService.track({
+            tenantId,
+            type: 'AUDIT_ALLOWLIST_CHANGE',
+            details: { change: status, entryId: id },
+            timestamp: new Date().toISOString()
+        });
+
+        res.json(entry);
+    } catch (error) {
+        console.error('Review allowlist entry error:', error);
+        res.status(500).json({ error: 'Failed to review allowlist entry' });
+    }
+});
+
+/**
+ * Delete an allowlist entry
+ */
+router.delete('/allowlist/:id', authenticate, requireTenantAdmin, async (req, res) => {
+    try {
+        const AllowlistEntry = require('../models/AllowlistEntry');
+        const { tenantId } = req.auth;
+        const { id } = req.params;
+
+        const deleted = await AllowlistEntry.delete(id, tenantId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Allowlist entry not found' });
+        }
+
+        const TelemetryService = require('../services/TelemetryService');
+        TelemetryService.track({
+            tenantId,
+            type: 'AUDIT_ALLOWLIST_CHANGE',
+            details: { change: 'DELETE', entryId: id },
+            timestamp: new Date().toISOString()
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete allowlist entry error:', error);
+        res.status(500).json({ error: 'Failed to delete allowlist entry' });
+    }
+});
+
 /**
  * Get all badges for a tenant
  */
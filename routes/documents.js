@@ -10,33 +10,27 @@ const DocumentProcessor = require('../modules/documentProcessor');
 const Document = require('../models/Document');
 const Tenant = require('../models/Tenant');
 const { authenticate, optionalAuth } = require('../middleware/auth');
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: async (req, file, cb) => {
-        const uploadDir = path.join(__dirname, '../uploads');
-        try {
-            await fs.mkdir(uploadDir, { recursive: true });
-            cb(null, uploadDir);
-        } catch (error) {
-            cb(error);
-        }
-    },
-    filename: (req, file, cb) => {
-        const uniqueName = `${uuidv4()}-${file.originalname}`;
-        cb(null, uniqueName);
-    }
-});
-
+const { loadAnalysisContext } = require('../modules/analysisContext');
+const { loadMaskingStrategies } = require('../modules/masking');
+const { loadKAnonymityConfig } = require('../modules/kAnonymity');
+const { generateRedactionReport } = require('../modules/reportGenerator');
+const documentStorage = require('../modules/documentStorage');
+const documentWorker = require('../jobs/documentWorker');
+const { sniffFileType, checkFileType } = require('../modules/fileSniffer');
+const { evaluatePolicy, loadPolicyContext } = require('../modules/policyEngine');
+
+// Uploads are held in memory and go straight to encrypted storage, so the
+// plaintext original never touches the local disk
 const upload = multer({
-    storage,
+    storage: multer.memoryStorage(),
     limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
     fileFilter: (req, file, cb) => {
-        // Accept PDF, DOCX, DOC, TXT, and common office formats
-        const allowedExtensions = /pdf|docx|doc|xlsx|xls|csv|txt/;
+        // Accept PDF, DOCX, DOC, TXT, office formats, emails, markup, data files and ZIP archives
+        const allowedExtensions = /^\.(pdf|docx|doc|xlsx|xls|csv|txt|eml|msg|pptx|html|htm|md|markdown|json|rtf|zip)$/;
         const extname = allowedExtensions.test(path.extname(file.originalname).toLowerCase());
 
-        // Also accept common MIME types and octet-stream (for files without proper MIME)
+        // Also accept common MIME types and octet-stream (for files without proper MIME);
+        // the content itself is checked against the extension after upload
         const allowedMimeTypes = [
             'application/pdf',
             'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
@@ -45,6 +39,16 @@ const upload = multer({
             'application/vnd.ms-excel',
             'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
             'text/csv',
+            'message/rfc822',
+            'application/vnd.ms-outlook',
+            'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+            'text/html',
+            'text/markdown',
+            'application/json',
+            'application/rtf',
+            'text/rtf',
+            'application/zip',
+            'application/x-zip-compressed',
             'application/octet-stream'
         ];
         const mimetype = allowedMimeTypes.includes(file.mimetype);
@@ -52,11 +56,55 @@ const upload = multer({
         if (extname || mimetype) {
             cb(null, true);
         } else {
-            cb(new Error(`Unsupported file type: ${file.mimetype}. Allowed: PDF, DOCX, DOC, TXT, XLSX, XLS, CSV`));
+            cb(new Error(`Unsupported file type: ${file.mimetype}. Allowed: PDF, DOCX, DOC, TXT, XLSX, XLS, CSV, EML, MSG, PPTX, HTML, MD, JSON, RTF, ZIP`));
         }
     }
 });
 
+// Anonymize extracted text with the tenant's masking strategies; spreadsheets
+// also get k-anonymity on their quasi-identifier columns
+async function anonymizeForTenant(document, filePath, text, findings, analysisContext) {
+    const strategies = await loadMaskingStrategies(document.tenant_id);
+    const maskingPolicy = { strategies, tenantId: document.tenant_id };
+
+    const anonymized = DocumentProcessor.isSpreadsheet(document.file_type) ?
+        await DocumentProcessor.anonymizeSpreadsheet(filePath, {
+            kAnonymity: await loadKAnonymityConfig(document.tenant_id),
+            analysisContext,
+            policy: maskingPolicy
+        }) :
+        DocumentProcessor.anonymizeDocumentText(text, findings, maskingPolicy);
+
+    return { anonymized, maskingPolicy };
+}
+
+// Columns that are internal to storage and reporting, never returned as JSON
+const PRIVATE_DOCUMENT_FIELDS = ['storage_key', 'anonymized_key', 'anonymized_report_key', 'report_pdf'];
+
+// 404 when the document is unknown, 410 when retention already deleted its original
+function storedOriginalError(document) {
+    if (!document) {
+        return { status: 404, body: { error: 'Document not found' } };
+    }
+    if (!document.storage_key) {
+        return {
+            status: 410,
+            body: { error: 'Original file no longer available', message: 'The original was deleted under the tenant retention policy' }
+        };
+    }
+    return null;
+}
+
+// Policy decision for a document, as applied by the Wizard
+async function resolveDocumentDecision(tenantId, analysis, context = {}) {
+    return evaluatePolicy(analysis, await loadPolicyContext(tenantId, { ...context, tool: 'WIZARD' }));
+}
+
+// Archives over the zip-bomb limits are the client's fault, not a server error
+function processingErrorStatus(error) {
+    return error.code === 'ARCHIVE_LIMIT_EXCEEDED' ? 422 : 500;
+}
+
 // Upload document
 router.post('/upload', optionalAuth, upload.single('file'), async (req, res) => {
     try {
@@ -64,6 +112,13 @@ router.post('/upload', optionalAuth, upload.single('file'), async (req, res) =>
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
+        // The real type comes from the content; a mismatch with the extension is rejected
+        const detectedType = await sniffFileType(req.file.buffer);
+        const typeCheck = checkFileType(path.extname(req.file.originalname).slice(1), detectedType);
+        if (!typeCheck.ok) {
+            return res.status(415).json({ error: 'File type mismatch', message: typeCheck.message, detectedType });
+        }
+
         const tenantId = req.auth?.tenantId || 'demo-tenant';
         const userId = req.auth?.userId || 'demo-user';
         const TelemetryService = require('../services/TelemetryService');
@@ -73,31 +128,41 @@ router.post('/upload', optionalAuth, upload.single('file'), async (req, res) =>
             type: 'WizardDocumentUploaded',
             tenantId,
             userId,
-            fileType: path.extname(req.file.originalname).slice(1),
+            fileType: typeCheck.fileType,
             detectors: [], // To be populated during analysis
             timestamp: new Date().toISOString()
         });
 
-        // Create document record
+        // Encrypt and store the original, then record where it lives
         const documentId = uuidv4();
+        const { fileType } = typeCheck;
+        const storageKey = documentStorage.documentKey(tenantId, documentId, `original.${fileType}`);
+        await documentStorage.saveFile(storageKey, req.file.buffer);
+
         const document = await Document.create({
             document_id: documentId,
             tenant_id: tenantId,
             user_id: userId,
             filename: req.file.originalname,
-            file_type: path.extname(req.file.originalname).slice(1),
-            file_size: req.file.size
+            file_type: fileType,
+            file_size: req.file.size,
+            storage_backend: documentStorage.getBackend().name,
+            storage_key: storageKey
         });
 
-        // Store file path in memory for processing
-        global.documentPaths = global.documentPaths || {};
-        global.documentPaths[documentId] = req.file.path;
+        // Extraction, detection, anonymization and summary run in the background
+        const job = await documentWorker.enqueueDocument(document, {
+            title: req.body.title,
+            docType: req.body.docType
+        });
 
         res.json({
             documentId,
             filename: req.file.originalname,
             size: req.file.size,
-            status: 'uploaded'
+            status: 'uploaded',
+            jobId: job.id,
+            jobUrl: `/api/jobs/${job.id}`
         });
 
     } catch (error) {
@@ -110,36 +175,75 @@ router.post('/upload', optionalAuth, upload.single('file'), async (req, res) =>
 router.post('/:documentId/analyze', optionalAuth, async (req, res) => {
     try {
         const { documentId } = req.params;
+        const tenantId = req.auth?.tenantId || 'demo-tenant';
 
-        const filePath = global.documentPaths?.[documentId];
-        if (!filePath) {
-            return res.status(404).json({ error: 'Document not found' });
-        }
-
-        const document = await Document.findById(documentId);
-        if (!document) {
-            return res.status(404).json({ error: 'Document record not found' });
+        const document = await Document.findById(documentId, tenantId);
+        const missing = storedOriginalError(document);
+        if (missing) {
+            return res.status(missing.status).json(missing.body);
         }
 
-        // Analyze document
-        const result = await DocumentProcessor.analyzeDocument(
-            filePath,
-            document.file_type,
-            { tenantId: document.tenant_id, userId: document.user_id }
+        // Analyze a decrypted temporary copy of the original
+        const analysisContext = await loadAnalysisContext(document.tenant_id, { userId: document.user_id });
+        const { result, anonymized } = await documentStorage.withTempFile(
+            document.storage_key, `.${document.file_type}`, async (filePath) => {
+                const result = await DocumentProcessor.analyzeDocument(
+                    filePath,
+                    document.file_type,
+                    analysisContext
+                );
+                const { anonymized } = await anonymizeForTenant(
+                    document, filePath, result.extraction.text, result.analysis.findings, analysisContext
+                );
+                return { result, anonymized };
+            }
         );
 
         // Update document with findings
         await Document.updateProcessed(documentId, result.analysis.findings);
 
+        // Redaction report: decision, masked excerpts and the sanitized output hash
+        const processedBy = req.auth?.userId || document.user_id;
+        const decision = await resolveDocumentDecision(document.tenant_id, result.analysis, {
+            userId: processedBy,
+            userRole: req.auth?.role
+        });
+        const report = await generateRedactionReport({
+            document,
+            analysis: result.analysis,
+            decision,
+            processedBy,
+            text: result.extraction.text,
+            sanitizedText: anonymized.sanitizedText
+        });
+
+        await Document.saveReport(documentId, {
+            risk_level: result.analysis.riskLevel,
+            anomaly_score: result.analysis.anomalyScore,
+            decision: decision.decision,
+            processed_by: processedBy,
+            sanitized_hash: report.sanitizedHash,
+            report_pdf: report.pdf
+        });
+
         res.json({
             documentId,
             analysis: result.analysis,
-            summary: result.summary
+            summary: result.summary,
+            decision: decision.decision,
+            policyTrace: decision.trace,
+            policyVersion: decision.policyVersion,
+            // Per-file findings tree and aggregate risk for ZIP uploads
+            archive: result.archive,
+            report: {
+                url: `${req.baseUrl}/${documentId}/report`,
+                sanitizedHash: report.sanitizedHash
+            }
         });
 
     } catch (error) {
         console.error('Analysis error:', error);
-        res.status(500).json({ error: 'Analysis failed', message: error.message });
+        res.status(processingErrorStatus(error)).json({ error: 'Analysis failed', message: error.message });
     }
 });
 
@@ -147,49 +251,88 @@ router.post('/:documentId/analyze', optionalAuth, async (req, res) => {
 router.post('/:documentId/anonymize', optionalAuth, async (req, res) => {
     try {
         const { documentId } = req.params;
+        const tenantId = req.auth?.tenantId || 'demo-tenant';
 
-        const filePath = global.documentPaths?.[documentId];
-        if (!filePath) {
-            return res.status(404).json({ error: 'Document not found' });
-        }
-
-        const document = await Document.findById(documentId);
-        if (!document) {
-            return res.status(404).json({ error: 'Document record not found' });
+        const document = await Document.findById(documentId, tenantId);
+        const missing = storedOriginalError(document);
+        if (missing) {
+            return res.status(missing.status).json(missing.body);
         }
 
-        // Extract text
-        const DocumentProcessor = require('../modules/documentProcessor');
-        const extraction = await DocumentProcessor.extractText(filePath, document.file_type);
-
-        // Re-analyze text to get proper findings with offset information
-        const { analyzeText } = require('../modules/analyzer');
-        const analysis = analyzeText(extraction.text);
-        const findings = analysis.findings;
+        const { exportRedacted } = require('../modules/documentRedactor');
+        const analysisContext = await loadAnalysisContext(document.tenant_id, { userId: document.user_id });
+
+        const { anonymized, exported, blocked } = await documentStorage.withTempFile(
+            document.storage_key, `.${document.file_type}`, async (filePath) => {
+                // Re-analyze, including active content in the file itself, and apply the
+                // policy: an export keeps the file's structure, so blocked files are not exported
+                const { extraction, analysis } = await DocumentProcessor.analyzeDocument(
+                    filePath,
+                    document.file_type,
+                    analysisContext
+                );
+                const decision = await resolveDocumentDecision(document.tenant_id, analysis, {
+                    userId: req.auth?.userId || document.user_id,
+                    userRole: req.auth?.role
+                });
+                if (decision.decision === 'BLOCK') {
+                    return { blocked: decision };
+                }
+
+                const { anonymized, maskingPolicy } = await anonymizeForTenant(
+                    document, filePath, extraction.text, analysis.findings, analysisContext
+                );
+
+                // Write the redacted copy in the uploaded format, with a sidecar report,
+                // next to the temporary original
+                const exported = await exportRedacted(filePath, document.file_type, {
+                    outputBase: path.join(path.dirname(filePath), 'anonymized'),
+                    analysisContext,
+                    policy: maskingPolicy,
+                    kAnonymity: DocumentProcessor.isSpreadsheet(document.file_type) || DocumentProcessor.isArchive(document.file_type) ?
+                        await loadKAnonymityConfig(document.tenant_id) : undefined,
+                    documentId
+                });
 
-        // Anonymize
-        const anonymized = DocumentProcessor.anonymizeDocumentText(extraction.text, findings);
+                // Move both into encrypted storage before the temp directory is removed
+                exported.key = documentStorage.documentKey(document.tenant_id, documentId, `anonymized.${exported.format}`);
+                exported.reportKey = documentStorage.documentKey(document.tenant_id, documentId, 'anonymized.report.json');
+                await documentStorage.saveFile(exported.key, await fs.readFile(exported.path));
+                await documentStorage.saveFile(exported.reportKey, await fs.readFile(exported.reportPath));
 
-        // Store anonymized text with proper filename
-        const path = require('path');
-        const dir = path.dirname(filePath);
-        const ext = path.extname(filePath);
-        const baseName = path.basename(filePath, ext);
-        const anonymizedPath = path.join(dir, `${baseName}_anonymized.txt`);
+                return { anonymized, exported };
+            }
+        );
 
-        await fs.writeFile(anonymizedPath, anonymized.sanitizedText);
+        if (blocked) {
+            return res.status(403).json({
+                error: 'Document blocked by policy',
+                decision: blocked.decision,
+                blockedCategories: blocked.blockedCategories,
+                policyTrace: blocked.trace,
+                policyVersion: blocked.policyVersion
+            });
+        }
 
-        global.documentPaths[`${documentId}_anonymized`] = anonymizedPath;
+        await Document.updateExport(documentId, exported.key, exported.reportKey);
 
         res.json({
             documentId,
             anonymized: true,
-            summary: anonymized.summary
+            summary: anonymized.summary,
+            maskedFindings: anonymized.maskedFindings,
+            kAnonymity: anonymized.kAnonymity,
+            export: {
+                format: exported.format,
+                redactionCount: exported.report.redactionCount,
+                byType: exported.report.byType,
+                omitted: exported.report.omitted
+            }
         });
 
     } catch (error) {
         console.error('Anonymization error:', error);
-        res.status(500).json({ error: 'Anonymization failed', message: error.message });
+        res.status(processingErrorStatus(error)).json({ error: 'Anonymization failed', message: error.message });
     }
 });
 
@@ -200,20 +343,25 @@ router.get('/:documentId/download', optionalAuth, async (req, res) => {
 
         const tenantId = req.auth?.tenantId || 'demo-tenant';
 
-        const filePath = global.documentPaths?.[`${documentId}_anonymized`];
-        if (!filePath) {
-            return res.status(404).json({ error: 'Anonymized document not found' });
+        // ?report=true returns the sidecar redaction report instead of the document
+        const wantsReport = req.query.report === 'true';
+        const document = await Document.findById(documentId, tenantId);
+        const storageKey = document && (wantsReport ? document.anonymized_report_key : document.anonymized_key);
+        const data = storageKey ? await documentStorage.readFile(storageKey) : null;
+        if (!data) {
+            return res.status(404).json({ error: wantsReport ? 'Redaction report not found' : 'Anonymized document not found' });
         }
 
-        const document = await Document.findById(documentId, tenantId);
-        // Create a safe filename for download
-        const path = require('path');
+        // Create a safe filename for download, keeping the exported format's extension
         const originalFileName = document.filename || 'document.txt';
         const ext = path.extname(originalFileName);
         const baseName = path.basename(originalFileName, ext);
-        const downloadFileName = `${baseName}_anonymized.txt`;
+        const downloadFileName = wantsReport ?
+            `${baseName}_anonymized.report.json` :
+            `${baseName}_anonymized${path.extname(storageKey)}`;
 
-        res.download(filePath, downloadFileName);
+        res.attachment(downloadFileName);
+        res.send(data);
 
     } catch (error) {
         console.error('Download error:', error);
@@ -221,6 +369,32 @@ router.get('/:documentId/download', optionalAuth, async (req, res) => {
     }
 });
 
+// Download the redaction report PDF
+router.get('/:documentId/report', optionalAuth, async (req, res) => {
+    try {
+        const { documentId } = req.params;
+
+        const tenantId = req.auth?.tenantId || 'demo-tenant';
+
+        const report = await Document.findReport(documentId, tenantId);
+        if (!report) {
+            return res.status(404).json({ error: 'Redaction report not found. Analyze the document first.' });
+        }
+
+        const originalFileName = report.filename || 'document';
+        const baseName = path.basename(originalFileName, path.extname(originalFileName));
+
+        // res.attachment encodes non-Latin-1 names (e.g. Hebrew) and quotes; it also sets the PDF type
+        res.attachment(`${baseName}_redaction_report.pdf`);
+        res.setHeader('X-Sanitized-Output-SHA256', report.sanitized_hash || '');
+        res.send(report.report_pdf);
+
+    } catch (error) {
+        console.error('Report download error:', error);
+        res.status(500).json({ error: 'Report download failed', message: error.message });
+    }
+});
+
 // Get document details
 router.get('/:documentId', optionalAuth, async (req, res) => {
     try {
@@ -232,7 +406,12 @@ router.get('/:documentId', optionalAuth, async (req, res) => {
             return res.status(404).json({ error: 'Document not found' });
         }
 
-        res.json(document);
+        const details = { ...document };
+        PRIVATE_DOCUMENT_FIELDS.forEach(field => delete details[field]);
+        details.has_report = !!document.report_pdf;
+        details.original_available = !!document.storage_key;
+
+        res.json(details);
 
     } catch (error) {
         console.error('Get document error:', error);
@@ -267,27 +446,44 @@ router.post('/:documentId/question', optionalAuth, async (req, res) => {
 
         // Get document
         const document = await Document.findById(documentId, tenantId);
-        if (!document) {
-            return res.status(404).json({ error: 'Document not found' });
+        const missing = storedOriginalError(document);
+        if (missing) {
+            return res.status(missing.status).json(missing.body);
         }
 
-        // Get file path
-        const filePath = global.documentPaths?.[documentId];
-        if (!filePath) {
-            return res.status(404).json({ error: 'Document file not found' });
+        // Apply the current policy to the stored findings before anything reaches an LLM
+        const findings = JSON.parse(document.findings || '[]');
+        const decision = await resolveDocumentDecision(document.tenant_id, {
+            findings,
+            anomalyScore: document.anomaly_score || 0
+        }, { userId, userRole: req.auth?.role });
+        if (decision.decision === 'BLOCK') {
+            return res.status(403).json({
+                error: 'Document blocked by policy',
+                decision: decision.decision,
+                blockedCategories: decision.blockedCategories,
+                policyTrace: decision.trace,
+                policyVersion: decision.policyVersion
+            });
         }
 
         // For demo purposes without database, we'll use the WizardService
         // In a production environment with database, we would retrieve the session from DB
         const WizardService = require('../services/WizardService');
 
-        // Extract text
-        const DocumentProcessor = require('../modules/documentProcessor');
-        const extraction = await DocumentProcessor.extractText(filePath, document.file_type);
+        // Extract text from a decrypted temporary copy
+        const extraction = await documentStorage.withTempFile(
+            document.storage_key,
+            `.${document.file_type}`,
+            filePath => DocumentProcessor.extractText(filePath, document.file_type)
+        );
 
         // Get sanitized text (anonymized)
-        const findings = JSON.parse(document.findings || '[]');
-        const anonymized = DocumentProcessor.anonymizeDocumentText(extraction.text, findings);
+        const strategies = await loadMaskingStrategies(document.tenant_id);
+        const anonymized = DocumentProcessor.anonymizeDocumentText(extraction.text, findings, {
+            strategies,
+            tenantId: document.tenant_id
+        });
 
         // Create a temporary session object for the demo
         const tempSession = {
@@ -305,10 +501,23 @@ router.post('/:documentId/question', optionalAuth, async (req, res) => {
             description: 'General purpose document assistant'
         };
 
-        // Build prompt for Q&A
-        const systemPrompt = WizardService.buildWizardPrompt(defaultPersona, tempSession, question);
+        // Mask the question like the document; earlier turns give follow-ups their context
+        const { maskQuestion, retrievalQuery, toChatMessages, toGeminiHistory } = require('../modules/conversationMemory');
+        const conversation = await WizardService.loadConversation(documentId, tenantId);
+        const masked = maskQuestion(question, {
+            analysisContext: await loadAnalysisContext(tenantId, { userId }),
+            policy: { strategies, tenantId: document.tenant_id, entityMap: anonymized.entityMap },
+            turns: conversation.turns
+        });
+        const sanitizedQuestion = masked.text;
+
+        // Build prompt for Q&A from the passages most relevant to the question
+        const chunks = WizardService.retrieveChunks(tempSession, retrievalQuery(sanitizedQuestion, conversation.recent));
+        const systemPrompt = WizardService.buildWizardPrompt(defaultPersona, tempSession, sanitizedQuestion, chunks, conversation.summary);
 
         let answer = '';
+        // Set only when a model answered; the fallback texts carry no citations
+        let modelAnswer = null;
 
         // Try Google Gemini first if requested and API key is available
         if (llmProvider === 'gemini' && process.env.GEMINI_API_KEY) {
@@ -327,13 +536,14 @@ router.post('/:documentId/question', optionalAuth, async (req, res) => {
                         {
                             role: "model",
                             parts: [{ text: "Understood. I'm ready to answer questions about the document." }]
-                        }
+                        },
+                        ...toGeminiHistory(conversation.recent)
                     ]
                 });
 
-                const result = await chat.sendMessage(question);
+                const result = await chat.sendMessage(sanitizedQuestion);
                 const response = await result.response;
-                answer = response.text().trim();
+                modelAnswer = response.text().trim();
             } catch (geminiError) {
                 console.error('Gemini Q&A error:', geminiError);
                 // Fall back to simple response if Gemini fails
@@ -357,13 +567,14 @@ Note: To get more detailed answers, please ensure your Google Gemini API key is
                     model: 'gpt-3.5-turbo',
                     messages: [
                         { role: 'system', content: systemPrompt },
-                        { role: 'user', content: question }
+                        ...toChatMessages(conversation.recent),
+                        { role: 'user', content: sanitizedQuestion }
                     ],
                     max_tokens: 1000,
                     temperature: 0.7
                 });
 
-                answer = response.choices[0].message.content.trim();
+                modelAnswer = response.choices[0].message.content.trim();
             } catch (openaiError) {
                 console.error('OpenAI Q&A error:', openaiError);
                 // Fall back to simple response if OpenAI fails
@@ -387,9 +598,26 @@ To get more detailed answers, please configure an API key for either:
 2. Google Gemini (GEMINI_API_KEY environment variable)`;
         }
 
+        // Check the model's citations against the sanitized text
+        const { parseAnswer, resolveCitations } = require('../modules/citations');
+        const cited = modelAnswer ?
+            resolveCitations(parseAnswer(modelAnswer), chunks, anonymized.sanitizedText) :
+            { answer, citations: [], claims: [], uncitedClaims: 0 };
+
+        // Only answered exchanges become history
+        if (modelAnswer) {
+            await WizardService.recordExchange(documentId, tenantId, sanitizedQuestion, cited.answer, masked.detectedTypes);
+        }
+
         res.json({
-            answer,
-            documentId
+            answer: cited.answer,
+            question: sanitizedQuestion,
+            maskedTypes: masked.detectedTypes,
+            documentId,
+            chunks: chunks.map(({ id, start, end }) => ({ id, start, end })),
+            citations: cited.citations,
+            claims: cited.claims,
+            uncitedClaims: cited.uncitedClaims
         });
 
     } catch (error) {
@@ -398,4 +626,45 @@ To get more detailed answers, please configure an API key for either:
     }
 });
 
+// Wizard conversation history (sanitized questions and answers)
+router.get('/:documentId/history', optionalAuth, async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const tenantId = req.auth?.tenantId || 'demo-tenant';
+
+        const document = await Document.findById(documentId, tenantId);
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const WizardService = require('../services/WizardService');
+        const history = await WizardService.getHistory(documentId, tenantId);
+
+        res.json({ documentId, ...history });
+    } catch (error) {
+        console.error('Get history error:', error);
+        res.status(500).json({ error: 'Failed to get history', message: error.message });
+    }
+});
+
+router.delete('/:documentId/history', optionalAuth, async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const tenantId = req.auth?.tenantId || 'demo-tenant';
+
+        const document = await Document.findById(documentId, tenantId);
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const WizardService = require('../services/WizardService');
+        const deletedTurns = await WizardService.clearHistory(documentId, tenantId);
+
+        res.json({ success: true, documentId, deletedTurns });
+    } catch (error) {
+        console.error('Clear history error:', error);
+        res.status(500).json({ error: 'Failed to clear history', message: error.message });
+    }
+});
+
 module.exports = router;
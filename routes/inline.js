@@ -3,7 +3,13 @@ const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
 const { analyzeText } = require('../modules/analyzer');
-const { anonymizeText } = require('../modules/anonymizer');
+const { anonymizeText, rehydrateText, minimizeBulkData } = require('../modules/anonymizer');
+const { evaluatePolicy, loadPolicyContext, getBulkDataPolicy } = require('../modules/policyEngine');
+const { loadAnalysisContext } = require('../modules/analysisContext');
+const { hashValue } = require('../modules/allowlist');
+const AllowlistEntry = require('../models/AllowlistEntry');
+const TokenVault = require('../models/TokenVault');
+const SecurityLog = require('../models/SecurityLog');
 const { query } = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const promptEnhancer = require('../modules/promptEnhancer');
@@ -11,18 +17,18 @@ const promptEnhancer = require('../modules/promptEnhancer');
 // Inline check endpoint
 router.post('/check', authenticate, async (req, res) => {
     try {
-        const { rawText, personaId, sourceApp } = req.body;
-        const { userId, tenantId } = req.auth;
+        const { rawText, personaId, sourceApp, pseudonymize, vaultId } = req.body;
+        const { userId, tenantId, role } = req.auth;
 
         if (!rawText) {
             return res.status(400).json({ error: 'rawText is required' });
         }
 
         // Get user and tenant info
-        const userResult = await query('SELECT preferred_language, selected_persona_id FROM users WHERE id = $1', [userId]);
+        const userResult = await query('SELECT preferred_language, selected_persona_id, user_group FROM users WHERE id = $1', [userId]);
         const user = userResult.rows[0];
 
-        const tenantResult = await query('SELECT default_language, allow_rehydration FROM tenants WHERE id = $1', [tenantId]);
+        const tenantResult = await query('SELECT default_language, allow_rehydration, retention_days, settings FROM tenants WHERE id = $1', [tenantId]);
         const tenant = tenantResult.rows[0];
 
         const effectiveLanguage = user.preferred_language || tenant.default_language || 'en';
@@ -40,37 +46,77 @@ router.post('/check', authenticate, async (req, res) => {
 
         const persona = personaResult.rows[0];
 
-        // Analyze text
-        const analysis = analyzeText(rawText, { tenantId, userId, platform: sourceApp });
-
-        // Get policies for tenant
-        const policiesResult = await query('SELECT category, decision FROM policies WHERE tenant_id = $1', [tenantId]);
-        const policies = {};
-        policiesResult.rows.forEach(p => {
-            policies[p.category] = p.decision;
-        });
+        // Analyze text with built-in and tenant-defined detectors, minus allowlisted values
+        const analysisContext = await loadAnalysisContext(tenantId, { userId, userGroup: user.user_group, platform: sourceApp });
+        const analysis = analyzeText(rawText, analysisContext);
 
-        // Determine overall decision based on categories
-        let decision = 'ALLOW';
-        const detectedCategories = [...new Set(analysis.findings.map(f => f.category || 'PII_BASIC'))];
-
-        for (const category of detectedCategories) {
-            const policyDecision = policies[category] || 'WARN';
-            if (policyDecision === 'BLOCK') {
-                decision = 'BLOCK';
-                break;
-            } else if (policyDecision === 'WARN' && decision === 'ALLOW') {
-                decision = 'WARN';
-            }
-        }
+        // Evaluate the tenant's policy (categories, mode, role, destination)
+        const policy = evaluatePolicy(analysis, await loadPolicyContext(tenantId, {
+            userRole: role,
+            userGroup: user.user_group,
+            tool: 'EXTENSION',
+            platform: sourceApp
+        }));
+        const { decision, bulkHandling } = policy;
+        const detectedCategories = policy.categories;
+        const bulkPolicy = getBulkDataPolicy(tenant.settings || {});
 
         // Anonymize if not blocked
         let sanitizedText = rawText;
+        let entityMap;
+        let maskedFindings = [];
+        let responseVaultId;
         let explanation = '';
 
-        if (decision !== 'BLOCK') {
-            const anonymized = anonymizeText(rawText, analysis.findings);
+        // Roles allowed to proceed past a warning send the text as written
+        if (decision !== 'BLOCK' && policy.action !== 'WARN_AND_ALLOW') {
+            // Tenants that allow rehydration always pseudonymize and keep the map in the vault
+            const useVault = tenant.allow_rehydration === true;
+            let vault = null;
+            if (useVault && vaultId) {
+                vault = await TokenVault.findById(vaultId, tenantId);
+                if (vault && vault.user_id !== userId) vault = null;
+            }
+
+            let anonymized;
+            if (bulkHandling === 'MINIMIZE') {
+                const { rowCount } = analysis.findings.find(f => f.type === 'BULK_DATA').details;
+                const minimized = minimizeBulkData(rawText, rowCount, {
+                    ...bulkPolicy,
+                    entityMap: vault ? vault.entityMap : undefined,
+                    analysisContext
+                });
+                anonymized = { sanitizedText: minimized.minimizedText, entityMap: minimized.entityMap || {}, maskedFindings: [] };
+            } else {
+                anonymized = anonymizeText(rawText, analysis.findings, {
+                    mode: pseudonymize || useVault ? 'PSEUDONYMIZE' : 'LABEL',
+                    entityMap: vault ? vault.entityMap : undefined,
+                    strategies: (tenant.settings && tenant.settings.maskingStrategies) || {},
+                    tenantId
+                });
+            }
             sanitizedText = anonymized.sanitizedText;
+            maskedFindings = anonymized.maskedFindings;
+            // Only returned to the caller who supplied the text, so it can map the answer back
+            if (pseudonymize) entityMap = anonymized.entityMap;
+
+            if (useVault && Object.keys(anonymized.entityMap).length > 0) {
+                if (vault) {
+                    await TokenVault.update(vault.id, tenantId, anonymized.entityMap);
+                    responseVaultId = vault.id;
+                } else {
+                    const expiresAt = new Date();
+                    expiresAt.setDate(expiresAt.getDate() + (tenant.retention_days || 30));
+                    const created = await TokenVault.create({
+                        id: `vault_${uuidv4()}`,
+                        tenant_id: tenantId,
+                        user_id: userId,
+                        entityMap: anonymized.entityMap,
+                        expires_at: expiresAt
+                    });
+                    responseVaultId = created.id;
+                }
+            }
         }
 
         // Build explanation
@@ -85,17 +131,23 @@ router.post('/check', authenticate, async (req, res) => {
         // Insert event
         const eventId = `evt_${uuidv4()}`;
         await query(
-            `INSERT INTO events (id, tenant_id, user_id, timestamp, event_type, decision, risk_level, categories, tool)
-       VALUES ($1, $2, $3, CURRENT_TIMESTAMP, 'INLINE_CHECK', $4, $5, $6, 'EXTENSION')`,
-            [eventId, tenantId, userId, decision, analysis.riskLevel, detectedCategories]
+            `INSERT INTO events (id, tenant_id, user_id, timestamp, event_type, decision, risk_level, categories, tool, policy_version)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP, 'INLINE_CHECK', $4, $5, $6, 'EXTENSION', $7)`,
+            [eventId, tenantId, userId, decision, analysis.riskLevel, detectedCategories, policy.policyVersion]
         );
 
         res.json({
             decision,
+            action: policy.action,
+            policyTrace: policy.trace,
+            policyVersion: policy.policyVersion,
             riskLevel: analysis.riskLevel,
             categories: detectedCategories,
             findings: analysis.findings,
             sanitizedText,
+            maskedFindings,
+            entityMap,
+            vaultId: responseVaultId,
             explanation,
             personaUsed: persona.name,
             language: effectiveLanguage
@@ -107,6 +159,103 @@ router.post('/check', authenticate, async (req, res) => {
     }
 });
 
+// Report a false positive - the value is hashed and queued for admin approval
+router.post('/false-positive', authenticate, async (req, res) => {
+    try {
+        const { value, type, category } = req.body;
+        const { userId, tenantId } = req.auth;
+
+        if (typeof value !== 'string' || !value.trim()) {
+            return res.status(400).json({ error: 'value is required' });
+        }
+
+        const valueHash = hashValue(value);
+
+        // One queue entry per value; repeated reports point at the existing entry
+        const existing = await AllowlistEntry.findByHash(tenantId, valueHash);
+        if (existing) {
+            return res.json({ reportId: existing.id, status: existing.status, alreadyReported: true });
+        }
+
+        const entry = await AllowlistEntry.create({
+            id: `al_${uuidv4()}`,
+            tenant_id: tenantId,
+            kind: 'HASH',
+            value_hash: valueHash,
+            finding_type: type || null,
+            category: category || null,
+            status: 'PENDING',
+            reported_by: userId
+        });
+
+        res.status(201).json({ reportId: entry.id, status: entry.status, alreadyReported: false });
+
+    } catch (error) {
+        console.error('False positive report error:', error);
+        res.status(500).json({ error: 'Failed to report false positive', message: error.message });
+    }
+});
+
+// Rehydrate an LLM response - put original values back in place of placeholders
+// Only the user who created the vault entry, and only when the tenant allows it
+router.post('/rehydrate', authenticate, async (req, res) => {
+    try {
+        const { vaultId, text, sourceApp } = req.body;
+        const { userId, tenantId } = req.auth;
+
+        if (typeof vaultId !== 'string' || typeof text !== 'string') {
+            return res.status(400).json({ error: 'vaultId and text are required' });
+        }
+
+        const tenantResult = await query('SELECT allow_rehydration FROM tenants WHERE id = $1', [tenantId]);
+        const tenant = tenantResult.rows[0];
+
+        if (!tenant || tenant.allow_rehydration !== true) {
+            await auditRehydration({ tenantId, userId, vaultId, decision: 'BLOCK', platform: sourceApp, reason: 'REHYDRATION_DISABLED' });
+            return res.status(403).json({ error: 'Rehydration is disabled for this tenant' });
+        }
+
+        const vault = await TokenVault.findById(vaultId, tenantId);
+        if (!vault || vault.user_id !== userId) {
+            await auditRehydration({ tenantId, userId, vaultId, decision: 'BLOCK', platform: sourceApp, reason: 'VAULT_NOT_FOUND' });
+            return res.status(404).json({ error: 'Vault entry not found or expired' });
+        }
+
+        const result = rehydrateText(text, vault.entityMap);
+
+        // The audit record must exist before any original value leaves the server
+        await auditRehydration({
+            tenantId,
+            userId,
+            vaultId,
+            decision: 'ALLOW',
+            platform: sourceApp,
+            placeholders: result.placeholders
+        });
+
+        res.json({ text: result.text, replaced: result.replaced });
+
+    } catch (error) {
+        console.error('Rehydration error:', error);
+        res.status(500).json({ error: 'Rehydration failed', message: error.message });
+    }
+});
+
+// Audit a rehydration attempt; records placeholder names, never original values
+async function auditRehydration({ tenantId, userId, vaultId, decision, platform, placeholders = [], reason }) {
+    await SecurityLog.create({
+        log_id: uuidv4(),
+        tenant_id: tenantId,
+        user_id: userId,
+        action_type: 'REHYDRATION',
+        risk_level: 'HIGH',
+        decision,
+        findings_count: placeholders.length,
+        findings: [{ vaultId, placeholders, reason: reason || null }],
+        platform: platform || 'EXTENSION'
+    });
+}
+
 // Helper function to get localized strings
 function getLocalizedString(language, key) {
     const locales = {
@@ -0,0 +1,118 @@
+// Job Routes - Progress of background document processing
+const express = require('express');
+const router = express.Router();
+
+const Job = require('../models/Job');
+const { optionalAuth } = require('../middleware/auth');
+
+// SSE clients are also polled, so updates made by workers in other instances arrive
+const SSE_POLL_INTERVAL_MS = 2000;
+const SSE_HEARTBEAT_MS = 15000;
+
+// Public view of a job (payload and lock details stay internal)
+function serializeJob(job) {
+    return {
+        jobId: job.id,
+        type: job.type,
+        documentId: job.document_id,
+        status: job.status,
+        currentStep: job.current_step,
+        progress: job.progress,
+        steps: job.steps,
+        result: job.result,
+        error: job.error,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        createdAt: job.created_at,
+        updatedAt: job.updated_at,
+        finishedAt: job.finished_at
+    };
+}
+
+// Get job status
+router.get('/:jobId', optionalAuth, async (req, res) => {
+    try {
+        const tenantId = req.auth?.tenantId || 'demo-tenant';
+        const job = await Job.findById(req.params.jobId, tenantId);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json(serializeJob(job));
+
+    } catch (error) {
+        console.error('Get job error:', error);
+        res.status(500).json({ error: 'Failed to get job', message: error.message });
+    }
+});
+
+// Stream job progress as Server-Sent Events ('progress' events, then one 'done')
+router.get('/:jobId/events', optionalAuth, async (req, res) => {
+    const tenantId = req.auth?.tenantId || 'demo-tenant';
+    const { jobId } = req.params;
+
+    let job;
+    try {
+        job = await Job.findById(jobId, tenantId);
+    } catch (error) {
+        console.error('Job events error:', error);
+        return res.status(500).json({ error: 'Failed to get job', message: error.message });
+    }
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    let lastSent = null;
+    let closed = false;
+
+    const cleanup = () => {
+        closed = true;
+        clearInterval(poller);
+        clearInterval(heartbeat);
+        Job.events.removeListener('update', onUpdate);
+    };
+
+    const send = (current) => {
+        if (closed) return;
+        const stamp = `${new Date(current.updated_at).getTime()}:${current.status}:${current.progress}:${JSON.stringify(current.steps)}`;
+        if (stamp === lastSent) return;
+        lastSent = stamp;
+
+        const terminal = Job.isTerminal(current);
+        res.write(`event: ${terminal ? 'done' : 'progress'}\ndata: ${JSON.stringify(serializeJob(current))}\n\n`);
+        if (terminal) {
+            cleanup();
+            res.end();
+        }
+    };
+
+    const onUpdate = (updated) => {
+        if (updated.id === jobId) send(updated);
+    };
+
+    Job.events.on('update', onUpdate);
+    const poller = setInterval(async () => {
+        try {
+            const current = await Job.findById(jobId, tenantId);
+            if (current) send(current);
+        } catch (error) {
+            console.error('Job events poll error:', error.message);
+        }
+    }, SSE_POLL_INTERVAL_MS);
+    const heartbeat = setInterval(() => {
+        if (!closed) res.write(': keep-alive\n\n');
+    }, SSE_HEARTBEAT_MS);
+
+    req.on('close', cleanup);
+    send(job);
+});
+
+module.exports = router;
@@ -111,6 +111,7 @@ app.get('/live', (req, res) => {
 app.use('/inline', require('./routes/inline'));
 app.use('/api/documents', require('./routes/documents'));
 app.use('/api/wizard', require('./routes/documents')); // Alias for wizard
+app.use('/api/jobs', require('./routes/jobs'));
 app.use('/personas', require('./routes/personas'));
 app.use('/prompts', require('./routes/prompts'));
 app.use('/auth', require('./routes/auth'));
@@ -173,6 +174,11 @@ if (!process.env.DATABASE_URL) {
 const retentionJob = require('./jobs/retentionJob');
 retentionJob.start();
 
+// Start document processing worker (set DOCUMENT_WORKER=false to run workers elsewhere)
+if (process.env.DOCUMENT_WORKER !== 'false') {
+  require('./jobs/documentWorker').start();
+}
+
 // Start server
 // Use Railway's PORT or default to 3000
 const PORT = process.env.PORT || 3000;
@@ -50,22 +50,8 @@ class AuthService {
                 [tenantId, firmName, language, JSON.stringify(['en', 'he']), region]
             );
 
-            // Create default policies
-            const categories = ['PII_BASIC', 'FINANCIAL', 'HEALTH', 'CONTRACT', 'INTERNAL'];
-            const defaultDecisions = {
-                'PII_BASIC': 'WARN',
-                'FINANCIAL': 'WARN',
-                'HEALTH': 'BLOCK',
-                'CONTRACT': 'ALLOW',
-                'INTERNAL': 'WARN'
-            };
-
-            for (const category of categories) {
-                await query(
-                    'INSERT INTO policies (tenant_id, category, decision) VALUES ($1, $2, $3)',
-                    [tenantId, category, defaultDecisions[category]]
-                );
-            }
+            // No category rules are seeded: the policy mode decides every category
+            // until an admin sets an explicit rule
 
             // Create admin user
             await query(
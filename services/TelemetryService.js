@@ -44,9 +44,11 @@ class TelemetryService {
 
                 // Handle structured events
                 if (['PromptEvaluated', 'ANALYSIS', 'BLOCK', 'WARN'].includes(safeEvent.type)) {
+                    // Policy version from the decision (inline check response), else the one in effect at the time
                     await query(
-                        `INSERT INTO security_logs (log_id, tenant_id, user_id, action_type, risk_level, decision, findings_count, findings, platform, latency_ms, timestamp)
-                         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+                        `INSERT INTO security_logs (log_id, tenant_id, user_id, action_type, risk_level, decision, findings_count, findings, platform, latency_ms, timestamp, policy_version)
+                         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
+                                 COALESCE($12::integer, (SELECT MAX(version) FROM policy_versions WHERE tenant_id = $2 AND created_at <= $11)))`,
                         [
                             uuidv4(),
                             safeEvent.tenantId || 'demo-tenant',
@@ -58,7 +60,8 @@ class TelemetryService {
                             JSON.stringify(safeEvent.findings || []),
                             safeEvent.tool || 'UNKNOWN',
                             safeEvent.latencyMs || null,
-                            safeEvent.timestamp || new Date()
+                            safeEvent.timestamp || new Date(),
+                            Number.isInteger(safeEvent.policyVersion) ? safeEvent.policyVersion : null
                         ]
                     );
                 } else if (safeEvent.type === 'PromptActionTaken') {
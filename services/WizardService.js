@@ -1,11 +1,29 @@
 // Wizard Service - Document processing and Q&A
 const DocumentProcessor = require('../modules/documentProcessor');
+const { analyzeText } = require('../modules/analyzer');
 const { query } = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const promptEnhancer = require('../modules/promptEnhancer');
+const { loadAnalysisContext } = require('../modules/analysisContext');
+const { loadMaskingStrategies } = require('../modules/masking');
+const { loadKAnonymityConfig } = require('../modules/kAnonymity');
+const { applyActiveContent } = require('../modules/activeContentScanner');
+const { evaluatePolicy, loadPolicyContext } = require('../modules/policyEngine');
+const { chunkText, selectChunks, formatChunks } = require('../modules/retrieval');
+const { CITATION_INSTRUCTIONS, parseAnswer, resolveCitations } = require('../modules/citations');
+const conversationMemory = require('../modules/conversationMemory');
+const Conversation = require('../models/Conversation');
 const OpenAI = require('openai');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 
+// Summaries are map-reduced over chunks of this size, so long documents are covered in full
+const SUMMARY_CHUNK_SIZE = parseInt(process.env.SUMMARY_CHUNK_SIZE, 10) || 5000;
+const SUMMARY_CHUNK_OVERLAP = 200;
+// Partial summaries requested at once
+const SUMMARY_MAP_CONCURRENCY = 3;
+// Most parts summarized per document, which bounds the LLM calls one upload can cause
+const SUMMARY_MAX_PARTS = parseInt(process.env.SUMMARY_MAX_PARTS, 10) || 40;
+
 class WizardService {
     constructor() {
         // Initialize OpenAI client if API key is provided
@@ -20,36 +38,81 @@ class WizardService {
     // Process uploaded document
     async processDocument(filePath, fileType, metadata) {
         const { tenantId, userId, title, docType } = metadata;
+        const ctx = { tenantId, userId, title, docType, filePath, fileType };
 
-        // Analyze document
-        const analysis = await DocumentProcessor.analyzeDocument(filePath, fileType, { tenantId, userId });
+        await this.extractStep(ctx);
+        await this.detectStep(ctx);
+        await this.anonymizeStep(ctx);
+        ctx.docSummary = await this.generateDocumentSummary(ctx.anonymized.sanitizedText, docType);
 
-        // Get tenant policies
-        const policiesResult = await query('SELECT category, decision FROM policies WHERE tenant_id = $1', [tenantId]);
-        const policies = {};
-        policiesResult.rows.forEach(p => {
-            policies[p.category] = p.decision;
-        });
+        const session = await this.createSession(ctx);
 
-        // Check if any category is BLOCKED
-        const detectedCategories = [...new Set(analysis.analysis.findings.map(f => f.category || 'PII_BASIC'))];
-        for (const category of detectedCategories) {
-            if (policies[category] === 'BLOCK') {
-                throw new Error(`Document blocked by policy: ${category}`);
-            }
+        return {
+            sessionId: session.sessionId,
+            docSummary: ctx.docSummary,
+            docType: docType || 'unknown',
+            riskLevel: ctx.analysis.riskLevel,
+            categories: ctx.categories,
+            decision: ctx.policy.decision,
+            policyTrace: ctx.policy.trace,
+            policyVersion: ctx.policy.policyVersion,
+            kAnonymity: ctx.anonymized.kAnonymity,
+            expiresAt: session.expiresAt
+        };
+    }
+
+    // Processing steps, run in order by processDocument and by the document worker
+    // (jobs/documentWorker.js). Each reads and extends a context object:
+    // { tenantId, userId, title, docType, filePath, fileType, ... }
+
+    // Step 1: extract text
+    async extractStep(ctx) {
+        ctx.extraction = await DocumentProcessor.extractText(ctx.filePath, ctx.fileType);
+    }
+
+    // Step 2: detect sensitive data and apply the tenant's policy
+    async detectStep(ctx) {
+        ctx.analysisContext = await loadAnalysisContext(ctx.tenantId, { userId: ctx.userId });
+        ctx.analysis = analyzeText(ctx.extraction.text, ctx.analysisContext);
+        applyActiveContent(ctx.analysis, await DocumentProcessor.scanActiveContent(ctx.filePath, ctx.fileType));
+
+        ctx.policy = evaluatePolicy(ctx.analysis, await loadPolicyContext(ctx.tenantId, { userId: ctx.userId, tool: 'WIZARD' }));
+        ctx.categories = ctx.policy.categories;
+        if (ctx.policy.decision === 'BLOCK') {
+            throw new Error(`Document blocked by policy: ${ctx.policy.blockedCategories.join(', ')}`);
         }
+    }
 
-        // Anonymize document
-        const sanitizedText = DocumentProcessor.anonymizeDocumentText(
-            analysis.extraction.text,
-            analysis.analysis.findings
-        );
+    // Step 3: pseudonymize - each distinct value gets a stable placeholder (CLIENT_1, EMAIL_2)
+    // unless the tenant picked another masking strategy for that category
+    async anonymizeStep(ctx) {
+        const strategies = await loadMaskingStrategies(ctx.tenantId);
+        const maskingPolicy = { mode: 'PSEUDONYMIZE', strategies, tenantId: ctx.tenantId };
+
+        ctx.anonymized = DocumentProcessor.isSpreadsheet(ctx.fileType) ?
+            await DocumentProcessor.anonymizeSpreadsheet(ctx.filePath, {
+                kAnonymity: await loadKAnonymityConfig(ctx.tenantId),
+                analysisContext: ctx.analysisContext,
+                policy: maskingPolicy
+            }) :
+            DocumentProcessor.anonymizeDocumentText(
+                ctx.extraction.text,
+                ctx.analysis.findings,
+                maskingPolicy
+            );
+    }
+
+    // Step 4: summarize the sanitized text; LLM errors are thrown so the worker can retry
+    async summaryStep(ctx) {
+        ctx.docSummary = await this.requestDocumentSummary(ctx.anonymized.sanitizedText, ctx.docType);
+    }
 
-        // Build entity map
-        const entityMap = this.buildEntityMap(analysis.analysis.findings);
+    // Store the processed document as a wizard session
+    async createSession(ctx) {
+        const { tenantId, userId, title, docType } = ctx;
 
-        // Generate document summary with LLM
-        const docSummary = await this.generateDocumentSummary(sanitizedText.sanitizedText, docType);
+        // Placeholder -> original value map, kept with the session
+        const entityMap = ctx.anonymized.entityMap;
 
         // Get tenant retention days
         const tenantResult = await query('SELECT retention_days FROM tenants WHERE id = $1', [tenantId]);
@@ -68,9 +131,9 @@ class WizardService {
                 sessionId,
                 tenantId,
                 userId,
-                analysis.extraction.text,
-                sanitizedText.sanitizedText,
-                docSummary,
+                ctx.extraction.text,
+                ctx.anonymized.sanitizedText,
+                ctx.docSummary,
                 docType || 'unknown',
                 title || 'Untitled Document',
                 JSON.stringify(entityMap),
@@ -81,109 +144,140 @@ class WizardService {
         // Insert event
         const eventId = `evt_${uuidv4()}`;
         await query(
-            `INSERT INTO events (id, tenant_id, user_id, timestamp, event_type, decision, risk_level, categories, tool)
-       VALUES ($1, $2, $3, CURRENT_TIMESTAMP, 'DOC_UPLOAD', 'ALLOW', $4, $5, 'WIZARD')`,
-            [eventId, tenantId, userId, analysis.analysis.riskLevel, detectedCategories]
+            `INSERT INTO events (id, tenant_id, user_id, timestamp, event_type, decision, risk_level, categories, tool, policy_version)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP, 'DOC_UPLOAD', $4, $5, $6, 'WIZARD', $7)`,
+            [eventId, tenantId, userId, ctx.policy.decision, ctx.analysis.riskLevel, ctx.categories, ctx.policy.policyVersion]
         );
 
-        return {
-            sessionId,
-            docSummary,
-            docType: docType || 'unknown',
-            riskLevel: analysis.analysis.riskLevel,
-            categories: detectedCategories,
-            expiresAt
-        };
+        return { sessionId, expiresAt };
     }
 
-    // Build entity map from findings
-    buildEntityMap(findings) {
-        const entityMap = {};
-        const counters = {};
+    // Generate document summary, falling back to a notice if no LLM answers
+    async generateDocumentSummary(sanitizedText, docType) {
+        try {
+            return await this.requestDocumentSummary(sanitizedText, docType);
+        } catch (error) {
+            console.error('Summary generation error:', error);
+            return 'Document uploaded successfully. Summary generation unavailable.';
+        }
+    }
 
-        findings.forEach(finding => {
-            const category = finding.category || 'PII';
-            const value = finding.value;
+    // Generate document summary using either OpenAI or Google Gemini; throws if the LLM call fails.
+    // Long documents are summarized part by part (map), then the part summaries combined (reduce).
+    async requestDocumentSummary(sanitizedText, docType) {
+        // If no API keys are available, return a default message
+        if (!this.gemini && !this.openai) {
+            return 'Document uploaded successfully. Summary generation requires an API key (OpenAI or Google Gemini).';
+        }
 
-            if (!entityMap[value]) {
-                const prefix = this.getCategoryPrefix(category);
-                counters[prefix] = (counters[prefix] || 0) + 1;
-                const placeholder = `${prefix}_${counters[prefix]}`;
+        const chunks = chunkText(sanitizedText, { chunkSize: SUMMARY_CHUNK_SIZE, overlap: SUMMARY_CHUNK_OVERLAP });
+        if (chunks.length <= 1) {
+            return this.completeText(`Provide a brief 2-3 sentence summary of this document.
 
-                entityMap[placeholder] = {
-                    originalValue: value,
-                    category: category
-                };
-            }
-        });
+Document type: ${docType || 'unknown'}
 
-        return entityMap;
-    }
+Document text:
+${sanitizedText}
 
-    // Get category prefix for placeholders
-    getCategoryPrefix(category) {
-        const prefixes = {
-            'EMAIL': 'EMAIL',
-            'PHONE': 'PHONE',
-            'SSN': 'ID',
-            'CREDIT_CARD': 'CC',
-            'PASSPORT': 'PASSPORT',
-            'PII_PERSON': 'CLIENT',
-            'PII_ORG': 'COMPANY',
-            'FINANCIAL': 'ACCOUNT',
-            'ADDRESS': 'ADDRESS'
-        };
-        return prefixes[category] || 'DATA';
-    }
+Summary:`);
+        }
 
-    // Generate document summary using either OpenAI or Google Gemini
-    async generateDocumentSummary(sanitizedText, docType) {
-        try {
-            const prompt = `Provide a brief 2-3 sentence summary of this document.
+        // Map: one partial summary per chunk, for the first SUMMARY_MAX_PARTS chunks
+        const parts = chunks.slice(0, SUMMARY_MAX_PARTS);
+        const partials = new Array(parts.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < parts.length) {
+                const i = next++;
+                partials[i] = await this.completeText(`Summarize part ${i + 1} of ${parts.length} of a document in 2-4 sentences.
+Keep names of parties, dates, amounts and obligations exactly as written (placeholders such as CLIENT_1 included).
 
 Document type: ${docType || 'unknown'}
 
-Document text:
-${sanitizedText.substring(0, 5000)}
-
-Summary:`;
-
-            // Try Google Gemini first if API key is available
-            if (this.gemini) {
-                try {
-                    // Use the correct model name for free tier
-                    const model = this.gemini.getGenerativeModel({ model: "gemini-2.5-flash" });
-                    const result = await model.generateContent(prompt);
-                    const response = await result.response;
-                    return response.text().trim();
-                } catch (geminiError) {
-                    console.error('Gemini summary generation error:', geminiError);
-                    // Fall back to OpenAI if Gemini fails
-                }
+Part ${i + 1}:
+${parts[i].text}
+
+Summary of part ${i + 1}:`, { maxTokens: 200 });
             }
+        };
+        await Promise.all(Array.from({ length: Math.min(SUMMARY_MAP_CONCURRENCY, parts.length) }, worker));
 
-            // Fall back to OpenAI if available
-            if (this.openai) {
-                const response = await this.openai.chat.completions.create({
-                    model: 'gpt-3.5-turbo',
-                    messages: [
-                        { role: 'system', content: 'You are a document summarization assistant. Provide concise, accurate summaries.' },
-                        { role: 'user', content: prompt }
-                    ],
-                    max_tokens: 150,
-                    temperature: 0.3
-                });
+        const summary = await this.reduceSummaries(partials, docType);
+        if (parts.length < chunks.length) {
+            const covered = Math.round((parts[parts.length - 1].end / sanitizedText.length) * 100);
+            return `${summary}\n\n(Summary of the first ${covered}% of the document; it is longer than ${SUMMARY_MAX_PARTS} parts.)`;
+        }
+        return summary;
+    }
+
+    // Reduce: combine part summaries, in rounds when they do not fit in one request
+    async reduceSummaries(summaries, docType) {
+        const labelled = summaries.map((summary, i) => `[Part ${i + 1}] ${summary}`);
+
+        if (labelled.join('\n\n').length > SUMMARY_CHUNK_SIZE && summaries.length > 2) {
+            const groups = [];
+            let group = [];
+            let size = 0;
+            labelled.forEach(entry => {
+                if (group.length > 1 && size + entry.length > SUMMARY_CHUNK_SIZE) {
+                    groups.push(group);
+                    group = [];
+                    size = 0;
+                }
+                group.push(entry);
+                size += entry.length + 2;
+            });
+            groups.push(group);
 
-                return response.choices[0].message.content.trim();
+            const combined = [];
+            for (const entries of groups) {
+                combined.push(await this.completeText(`Combine these summaries of consecutive parts of a document into one paragraph of 3-5 sentences.
+Keep placeholders such as CLIENT_1 exactly as written.
+
+${entries.join('\n\n')}
+
+Combined summary:`, { maxTokens: 250 }));
             }
+            return this.reduceSummaries(combined, docType);
+        }
 
-            // If no API keys are available, return a default message
-            return 'Document uploaded successfully. Summary generation requires an API key (OpenAI or Google Gemini).';
+        return this.completeText(`Provide a brief 2-3 sentence summary of a document from the summaries of its parts, in order.
 
-        } catch (error) {
-            console.error('Summary generation error:', error);
-            return 'Document uploaded successfully. Summary generation unavailable.';
+Document type: ${docType || 'unknown'}
+
+${labelled.join('\n\n')}
+
+Summary:`);
+    }
+
+    // One completion from Gemini, falling back to OpenAI; throws if the LLM call fails
+    async completeText(prompt, { maxTokens = 150 } = {}) {
+        // Try Google Gemini first if API key is available
+        if (this.gemini) {
+            try {
+                // Use the correct model name for free tier
+                const model = this.gemini.getGenerativeModel({ model: "gemini-2.5-flash" });
+                const result = await model.generateContent(prompt);
+                const response = await result.response;
+                return response.text().trim();
+            } catch (geminiError) {
+                console.error('Gemini summary generation error:', geminiError);
+                // Fall back to OpenAI if Gemini fails
+                if (!this.openai) throw geminiError;
+            }
         }
+
+        const response = await this.openai.chat.completions.create({
+            model: 'gpt-3.5-turbo',
+            messages: [
+                { role: 'system', content: 'You are a document summarization assistant. Provide concise, accurate summaries.' },
+                { role: 'user', content: prompt }
+            ],
+            max_tokens: maxTokens,
+            temperature: 0.3
+        });
+
+        return response.choices[0].message.content.trim();
     }
 
     // Answer question about document using either OpenAI or Google Gemini
@@ -217,10 +311,22 @@ Summary:`;
 
         const persona = personaResult.rows[0];
 
-        // Build prompt for Q&A
-        const systemPrompt = this.buildWizardPrompt(persona, session, question);
+        // Mask the question like the document; earlier turns give follow-ups their context
+        const conversation = await this.loadConversation(sessionId, tenantId);
+        const entityMap = session.entity_map || {};
+        const masked = conversationMemory.maskQuestion(question, {
+            analysisContext: await loadAnalysisContext(tenantId, { userId }),
+            policy: { mode: 'PSEUDONYMIZE', strategies: await loadMaskingStrategies(tenantId), tenantId, entityMap },
+            turns: conversation.turns
+        });
+        const sanitizedQuestion = masked.text;
+
+        // Build prompt for Q&A from the passages most relevant to the question
+        const chunks = this.retrieveChunks(session, conversationMemory.retrievalQuery(sanitizedQuestion, conversation.recent));
+        const systemPrompt = this.buildWizardPrompt(persona, session, sanitizedQuestion, chunks, conversation.summary);
 
         let answer, tokensUsed = 0;
+        let cited = null;
 
         // Try Google Gemini first if API key is available and requested
         if (llmProvider === 'gemini' && this.gemini) {
@@ -237,11 +343,12 @@ Summary:`;
                         {
                             role: "model",
                             parts: [{ text: "Understood. I'm ready to answer questions about the document." }]
-                        }
+                        },
+                        ...conversationMemory.toGeminiHistory(conversation.recent)
                     ]
                 });
 
-                const result = await chat.sendMessage(question);
+                const result = await chat.sendMessage(sanitizedQuestion);
                 const response = await result.response;
                 answer = response.text().trim();
                 tokensUsed = response.usageMetadata ? response.usageMetadata.totalTokenCount : 0;
@@ -259,7 +366,8 @@ Summary:`;
                     model: 'gpt-4',
                     messages: [
                         { role: 'system', content: systemPrompt },
-                        { role: 'user', content: question }
+                        ...conversationMemory.toChatMessages(conversation.recent),
+                        { role: 'user', content: sanitizedQuestion }
                     ],
                     max_tokens: 1000,
                     temperature: 0.7
@@ -273,6 +381,22 @@ Summary:`;
             }
         }
 
+        // Check the model's citations against the sanitized text
+        if (answer) {
+            cited = resolveCitations(parseAnswer(answer), chunks, session.sanitized_doc_text || '');
+            answer = cited.answer;
+
+            await this.recordExchange(sessionId, tenantId, sanitizedQuestion, answer, masked.detectedTypes);
+
+            // Keep placeholders for values first typed in a question
+            if (Object.keys(masked.entityMap).length > Object.keys(entityMap).length) {
+                await query(
+                    'UPDATE wizard_sessions SET entity_map = $1 WHERE id = $2 AND tenant_id = $3',
+                    [JSON.stringify(masked.entityMap), sessionId, tenantId]
+                );
+            }
+        }
+
         // If no API keys are available, return a default message
         if (!answer) {
             answer = `I can help answer questions about your document, but I need an API key to provide detailed responses. Please configure either an OpenAI API key or a Google Gemini API key in the application settings.
@@ -291,12 +415,78 @@ ${session.doc_summary.substring(0, 300)}...`;
 
         return {
             answer,
-            tokensUsed
+            question: sanitizedQuestion,
+            maskedTypes: masked.detectedTypes,
+            tokensUsed,
+            chunks: chunks.map(({ id, start, end }) => ({ id, start, end })),
+            citations: cited ? cited.citations : [],
+            claims: cited ? cited.claims : [],
+            uncitedClaims: cited ? cited.uncitedClaims : 0
+        };
+    }
+
+    // Chunks of the sanitized document selected for a question (BM25, see modules/retrieval.js)
+    retrieveChunks(session, question) {
+        return selectChunks(session.sanitized_doc_text || '', question);
+    }
+
+    // Conversation history of a wizard session or document: all turns, the recent
+    // ones to replay and a summary of the rest (extended here when turns fall out
+    // of the window)
+    async loadConversation(conversationId, tenantId) {
+        const turns = await Conversation.findTurns(conversationId, tenantId);
+        const stored = await Conversation.findSummary(conversationId, tenantId);
+        const { recent, unsummarized } = conversationMemory.windowTurns(turns, stored);
+
+        let summary = stored ? stored.summary : null;
+        if (unsummarized.length > 0) {
+            summary = await this.summarizeHistory(summary, unsummarized);
+            await Conversation.saveSummary(conversationId, tenantId, summary, unsummarized[unsummarized.length - 1].turn_index);
+        }
+
+        return { turns, recent, summary };
+    }
+
+    // Store an answered question (both sanitized) as the next two turns
+    async recordExchange(conversationId, tenantId, question, answer, detectedTypes = []) {
+        return Conversation.addTurns(conversationId, tenantId, [
+            { role: 'user', content: question, detected_types: detectedTypes },
+            { role: 'assistant', content: answer }
+        ]);
+    }
+
+    // Fold turns into the running summary; lists the questions if no LLM answers
+    async summarizeHistory(previousSummary, turns) {
+        if (this.gemini || this.openai) {
+            try {
+                const summary = await this.completeText(conversationMemory.buildSummaryPrompt(previousSummary, turns), { maxTokens: 300 });
+                return summary.slice(0, conversationMemory.SUMMARY_MAX_CHARS);
+            } catch (error) {
+                console.error('History summary error:', error);
+            }
+        }
+        return conversationMemory.fallbackSummary(previousSummary, turns);
+    }
+
+    // Stored history of a wizard session or document
+    async getHistory(conversationId, tenantId) {
+        const turns = await Conversation.findTurns(conversationId, tenantId);
+        const summary = await Conversation.findSummary(conversationId, tenantId);
+
+        return {
+            turns: turns.map(conversationMemory.describeTurn),
+            summary: summary ? { text: summary.summary, throughTurn: summary.through_turn } : null
         };
     }
 
-    // Build wizard prompt
-    buildWizardPrompt(persona, session, question) {
+    // Forget a conversation; returns the number of turns deleted
+    async clearHistory(conversationId, tenantId) {
+        return Conversation.clear(conversationId, tenantId);
+    }
+
+    // Build wizard prompt; `chunks` are the document passages to include and
+    // `historySummary` summarizes turns older than those replayed as chat messages
+    buildWizardPrompt(persona, session, question, chunks = this.retrieveChunks(session, question), historySummary = null) {
         const SECURITY_BLOCK = `
 [SECURITY RULES]
 You are operating inside a privacy-first AI workspace.
@@ -328,19 +518,28 @@ ${session.doc_type}
 
 [DOCUMENT SUMMARY]
 ${session.doc_summary}
-
+${historySummary ? `
+[CONVERSATION SO FAR]
+${historySummary}
+` : ''}
 [IMPORTANT]
-Base your answer ONLY on the SANITIZED_TEXT below and the DOCUMENT SUMMARY above.
-If the user asks about something that is not covered by the document, say that the document does not contain enough information.
+Base your answer ONLY on the DOCUMENT EXCERPTS below and the DOCUMENT SUMMARY above.
+The excerpts are the passages of the sanitized document most relevant to the question, each marked with its chunk id (e.g. [C3]).
+Every statement must cite the chunk it comes from, with a verbatim quote (see CITATIONS below).
+If the user asks about something that is not covered by the excerpts, say that the document does not contain enough information.
+Use earlier turns of the conversation to understand follow-up questions (e.g. "and the second clause?"), not as a source of facts.
 
-[SANITIZED_TEXT]
-${session.sanitized_doc_text}
+[DOCUMENT EXCERPTS]
+${formatChunks(chunks)}
 
 [OUTPUT REQUIREMENTS]
 - Answer in clear, professional language
 - Do NOT include internal notes or section headers in your final answer
 - Do NOT invent or guess client names, IDs or other personal details
-- If information is not in the document, say so clearly`;
+- Cite chunk ids such as [C3] for the statements you make
+- If information is not in the document, say so clearly
+
+${CITATION_INSTRUCTIONS}`;
     }
 }
 